@@ -1,17 +1,66 @@
-type EventType = 'targetExecutionStarted' | 'targetExecutionCompleted' | 'targetExecutionFailed';
+type EventType = 'targetExecutionStarted' | 'targetExecutionCompleted' | 'targetExecutionFailed' | 'targetSkipped' | 'consoleOutput' | 'buildCancelled' | 'targetNotRun' | 'targetRetry' | 'commandExecuted';
 
 declare namespace llbuild {
     /** Describes a build target. */
-    type Target = string | boolean | TargetRunner | TargetCollection | null | undefined;
+    type Target = string | boolean | TargetRunner | TargetCollection | TargetDefinition | null | undefined;
     type Context = any;
 
-    /** A callback function responsible for building a target. */
-    type TargetRunner = (builder: LLBuild, context: Context | null | undefined) => Promise<void>;
+    /**
+     * A callback function responsible for building a target, resolving with the value of the target.
+     * deps holds the values of the named targets referenced by the target that have completed in this build, keyed by target name.
+     */
+    type TargetRunner = (builder: LLBuild, context: Context | null | undefined, deps: { [targetName: string]: any }) => Promise<any>;
 
     interface TargetCollection {
         [idx: number]: Target
     }
 
+    /** Describes a build target declaratively, keeping its dependencies and metadata next to its runner. */
+    interface TargetDefinition {
+        /** The dependencies of the target, executed before the runner. */
+        deps?: Target;
+        /** The target runner callback, executed after the dependencies. */
+        run?: TargetRunner;
+        /** A human-readable description of the target. */
+        description?: string;
+        /** Glob patterns matching the files the target reads. Files matching a pattern starting with ! are left out. */
+        inputs?: string[];
+        /**
+         * Glob patterns matching the files the target writes. Files matching a pattern starting with ! are left out.
+         * If both inputs and outputs are declared, the runner is skipped while every output pattern matches
+         * at least one file and the oldest output is newer than the newest input.
+         */
+        outputs?: string[];
+        /** Glob patterns matching the files whose changes cause the target to be executed again in watch mode (default is the inputs). */
+        watch?: string[];
+        /** The names of the environment variables the target depends on, part of its fingerprint when the cache is enabled. */
+        env?: string[];
+        /** If true, the target is executed every time it is referenced, instead of at most once per build. */
+        alwaysRun?: boolean;
+        /** The number of milliseconds after which the runner is cancelled, killing the commands it has started. */
+        timeout?: number;
+        /** A signal cancelling the runner when aborted, killing the commands it has started. */
+        signal?: AbortSignal;
+        /** Describes how the runner is executed again after it has failed. The timeout covers every attempt. */
+        retry?: RetryOptions;
+    }
+
+    /** Describes how a failed target runner or command is retried. */
+    interface RetryOptions {
+        /** The maximum number of attempts, including the first one (default is 1, meaning no retries). */
+        attempts?: number;
+        /**
+         * The number of milliseconds to wait before the first retry, doubled before each further retry,
+         * or a function receiving the number of the failed attempt and its error and returning the number of milliseconds to wait (default is 0).
+         */
+        backoff?: number | ((attempt: number, err: any) => number);
+        /**
+         * A predicate receiving the error of the failed attempt, whose exit code is its code property if a command has failed.
+         * The attempt is only retried if the predicate returns true (default is to retry every error).
+         */
+        retryIf?: (err: any) => boolean;
+    }
+
     interface TargetSet {
         [key: string]: Target;
     }
@@ -20,8 +69,95 @@ declare namespace llbuild {
     interface LLBuildOptions {
         /** If true, the builder will not print to the standard output and standard error */
         quiet?: boolean;
+        /**
+         * The reporter printing the events of the builder: either the name of a built-in reporter, 'plain', 'prefixed'
+         * (prefixing every line with the name of its target) or 'json' (printing every event as a line of JSON), or a reporter object (default is 'plain').
+         */
+        reporter?: 'plain' | 'prefixed' | 'json' | Reporter;
         /** The maximum size of the stdout and stderr buffers (default is 200 * 1024). */
         maxBufferSize?: number;
+        /**
+         * If true, commands are spawned and their output is printed line by line as it arrives,
+         * without being buffered, instead of all at once after they have exited.
+         */
+        streamOutput?: boolean;
+        /** The number of last output lines of a failed command kept in its error (default is 50). */
+        outputTailLines?: number;
+        /** The names of the targets that are executed every time they are referenced, instead of at most once per build. */
+        alwaysRun?: string[];
+        /**
+         * If true, targets declaring inputs are skipped while their fingerprint (the paths relative to the working directory and the contents
+         * of their inputs, the values of their environment variables, their runner and the context passed in to it, including the KEY=VALUE
+         * variables of runArgs) matches the one stored in the manifest file, instead of comparing modification times.
+         */
+        cache?: boolean;
+        /** The path of the manifest file storing the fingerprints (default is .llbuild/cache.json). */
+        cacheManifest?: string;
+        /**
+         * If true, the builder prints the execution plan of the targets instead of executing them,
+         * and executeCommand, mkdirp, rmrf and the other file operations print what they would do without doing it.
+         */
+        dryRun?: boolean;
+        /** The maximum number of target runners and commands running at the same time (default is the number of CPUs). */
+        jobs?: number;
+        /** The number of milliseconds watch mode waits for further changes before starting a build (default is 100). */
+        watchDelay?: number;
+        /**
+         * If true, the independent targets keep being executed after a failure, and the build rejects at the end
+         * with an AggregateBuildError listing every failed target. Otherwise no new work is started after the first failure.
+         */
+        keepGoing?: boolean;
+        /** The path of a report file written after every build, describing the targets it has reached with their status, timings and commands. */
+        report?: string;
+        /** The format of the report (default is 'junit' if the path of the report ends with .xml, 'json' otherwise). */
+        reportFormat?: 'json' | 'junit';
+        /**
+         * If true, the targets reachable from the target a build is started with are checked by validate() before anything is executed,
+         * and the build rejects with a ValidationError if a problem other than an unreachable target is found.
+         */
+        validate?: boolean;
+        /** The path of a Chrome Trace Event file written after every build, recording the target runners and the commands, and whose critical path is printed. */
+        profile?: string;
+    }
+
+    /** Options controlling the cancellation of a build or a command. */
+    interface ExecutionOptions {
+        /** A signal cancelling the build or the command when aborted. */
+        signal?: AbortSignal;
+        /** The number of milliseconds after which the build or the command is cancelled. */
+        timeout?: number;
+    }
+
+    /** Options controlling the cancellation and the retries of a command. */
+    interface CommandOptions extends ExecutionOptions {
+        /** Describes how the command is executed again after it has failed. The timeout covers every attempt. */
+        retry?: RetryOptions;
+        /** The working directory of the command (default is the working directory of the build). */
+        cwd?: string;
+        /** Environment variables added to the environment of the build for the command. */
+        env?: { [name: string]: string };
+        /** The data written to the standard input of the command. */
+        input?: string | Uint8Array;
+    }
+
+    /** Options of glob expansion. */
+    interface GlobOptions {
+        /** The directory the patterns are relative to (default is the working directory). */
+        cwd?: string;
+        /** If true, * and ** match files and directories whose name starts with a dot (default is false). */
+        dot?: boolean;
+        /** If true, only files are matched, not directories (default is false). */
+        nodir?: boolean;
+        /** If true, the matched paths are resolved to absolute paths (default is false). */
+        absolute?: boolean;
+    }
+
+    /** Options of a command executed as a file with an array of arguments. */
+    interface SpawnOptions extends CommandOptions {
+        /** The target the command execution is associated with. */
+        targetName?: string | null;
+        /** Executes the quoted command line in a shell, or in the specified shell, instead of executing the file directly (default is false). */
+        shell?: boolean | string;
     }
 
     interface TargetExecutionStartedEventArgs {
@@ -37,6 +173,163 @@ declare namespace llbuild {
         err: Error;
     }
 
+    interface TargetSkippedEventArgs {
+        targetName: string;
+        reason: string;
+    }
+
+    interface CommandExecutedEventArgs {
+        targetName: string | null | undefined;
+        command: string;
+        /** The exit code of the command, or null if it was terminated by a signal. */
+        exitCode: number | null;
+        /** The signal that has terminated the command, or null. */
+        signal: string | null;
+        /** The number of bytes the command has written to stdout and stderr. */
+        outputSize: number;
+        /** The number of milliseconds the command was running for. */
+        duration: number;
+    }
+
+    interface TargetRetryEventArgs {
+        targetName: string | null | undefined;
+        /** The command, or null if a target runner has failed. */
+        command: string | null;
+        /** The number of the failed attempt, starting from 1. */
+        attempt: number;
+        err: any;
+        /** The number of milliseconds before the next attempt. */
+        delay: number;
+    }
+
+    interface TargetNotRunEventArgs {
+        targetName: string;
+    }
+
+    /** Describes a problem found by validate(). */
+    interface ValidationIssue {
+        type: 'missing' | 'unsupported' | 'cycle' | 'unreachable';
+        /** The name of the target the problem was found in, or null if a root target does not exist. */
+        targetName: string | null;
+        message: string;
+        /** The name of the missing target, for 'missing' problems. */
+        reference?: string;
+        /** The names of the targets forming the cycle, starting and ending with the same target, for 'cycle' problems. */
+        cycle?: string[];
+    }
+
+    /** Describes the failure of a target runner. */
+    interface TargetFailure {
+        targetName: string;
+        err: Error;
+    }
+
+    interface BuildCancelledEventArgs {
+        targetName: string;
+        /** The CancellationError or TimeoutError describing the cancellation. */
+        err: Error;
+    }
+
+    interface ConsoleOutputEventArgs {
+        targetName: string | null | undefined;
+        content: string;
+        /** Either 'stdout' or 'stderr' if the content is output of a command, 'stderr' if it describes an error, otherwise undefined. */
+        stream?: 'stdout' | 'stderr';
+    }
+
+    /**
+     * Receives the events of a builder and prints them. Every method is optional and is named after the event it receives,
+     * taking the same event arguments as the listeners of the event.
+     */
+    interface Reporter {
+        buildStarted?(ev: { targetName: string }): void;
+        buildComplete?(ev: { targetName: string }): void;
+        buildFailed?(ev: { targetName: string, err: Error }): void;
+        buildCancelled?(ev: BuildCancelledEventArgs): void;
+        targetExecutionStarted?(ev: TargetExecutionStartedEventArgs): void;
+        targetExecutionCompleted?(ev: TargetExecutionCompletedEventArgs): void;
+        targetExecutionFailed?(ev: TargetExecutionFailedEventArgs): void;
+        targetSkipped?(ev: TargetSkippedEventArgs): void;
+        targetNotRun?(ev: TargetNotRunEventArgs): void;
+        targetRetry?(ev: TargetRetryEventArgs): void;
+        commandExecuted?(ev: CommandExecutedEventArgs): void;
+        consoleOutput?(ev: ConsoleOutputEventArgs): void;
+    }
+
+    /** The argument of the beforeBuild and afterBuild hooks of a plugin. */
+    interface BuildHookArgs {
+        builder: LLBuild;
+        /** The name of the target the build was started with. */
+        targetName: string;
+        context: Context | null | undefined;
+        /** In the afterBuild hook, the error the build rejects with, or null if it has succeeded. */
+        err?: Error | null;
+    }
+
+    /** The argument of the beforeTarget, afterTarget and onError hooks of a plugin. */
+    interface TargetHookArgs {
+        builder: LLBuild;
+        /** The name of the target or the first parent target with a name. */
+        targetName: string;
+        context: Context | null | undefined;
+        /** In the onError hook, the error the target fails with. */
+        err?: LLBuild.BuildError;
+    }
+
+    /** A command passed through the wrapCommand hooks of the plugins. */
+    interface HookCommand {
+        builder: LLBuild;
+        /**
+         * The command to execute, or the quoted command line of a command executed as a file with an array of arguments, in which case it is ignored.
+         * Changing it does not change the command line printed and reported, which is the one passed in to executeCommand.
+         */
+        cmd: string;
+        /** The file to execute, or null if cmd is executed in a shell. */
+        file: string | null;
+        /** The arguments of the file, or null if cmd is executed in a shell. */
+        args: string[] | null;
+        targetName: string | null | undefined;
+        options: CommandOptions | SpawnOptions | undefined;
+    }
+
+    /**
+     * A plugin hooking into the execution of builds, targets and commands. Every hook is optional and may return a promise, which the execution waits for.
+     * Hooks run in the order the plugins were registered, and a hook resolving with a value other than undefined short-circuits the same hook
+     * of the plugins registered after it. As no target runner or command is executed in dry run mode, only beforeBuild and afterBuild are called then.
+     */
+    interface Plugin {
+        /** Called before the targets of a build are executed. Rejecting fails the build. */
+        beforeBuild?(ev: BuildHookArgs): any;
+        /** Called before a target runner is executed. Resolving with a string skips the runner, the string being the reason, and rejecting fails the target. */
+        beforeTarget?(ev: TargetHookArgs): any;
+        /** Called after a target runner has succeeded, before the target is reported as completed. Rejecting fails the target. */
+        afterTarget?(ev: TargetHookArgs): any;
+        /** Called after a target runner has failed. The target fails with its own error even if the hook rejects. */
+        onError?(ev: TargetHookArgs): any;
+        /** Called after the targets of a build have settled. Rejecting fails a successful build. */
+        afterBuild?(ev: BuildHookArgs): any;
+        /**
+         * Wraps the execution of a command. The hook may change the command and pass it to next, which resolves with the stdout,
+         * run it more than once or not at all, and resolves with the stdout. The first registered plugin wraps the ones registered after it.
+         * The changes are not printed nor reported, so that the hook can add secrets to the command.
+         */
+        wrapCommand?(command: HookCommand, next: (command: HookCommand) => Promise<string>): Promise<string>;
+    }
+
+    /** The streams a built-in reporter writes to. */
+    interface ReporterStreams {
+        /** The stream receiving the output (default is process.stdout). */
+        stdout?: { write(chunk: string): any };
+        /** The stream receiving the error output of the commands and the errors (default is process.stderr). */
+        stderr?: { write(chunk: string): any };
+    }
+
+    /** Re-runs the targets affected by file changes. */
+    interface Watcher {
+        /** Stops watching the files. Resolves after the build in progress, if any, has settled. */
+        close(): Promise<void>;
+    }
+
     class LLBuild {
         name: string;
 
@@ -50,14 +343,92 @@ declare namespace llbuild {
         /**
          * @param target The target to execute.
          * @param context An optional context object to pass in to target runner callbacks.
+         * @param executionOptions Options cancelling the build when a signal is aborted or a timeout elapses.
+         */
+        executeTarget(target: Target, context?: Context | null | undefined, executionOptions?: ExecutionOptions): Promise<any>;
+
+        /**
+         * Gets the value a named target has resolved with in the build in progress, or in the last build if none is in progress.
+         * @param targetName The name of the target.
+         * @returns The value of the target, or undefined if it has not completed.
+         */
+        result(targetName: string): any;
+
+        /**
+         * Executes named targets from within a target runner, as dependencies discovered at run time. Each target is executed at most once per build,
+         * and the job slot of the calling runner is released while it waits. Rejects with a DependencyCycleError if a target depends on the calling target.
+         * @param targetNames The names of the targets to execute, in parallel.
+         * @returns A promise resolving with the values of the targets.
+         */
+        need(...targetNames: string[]): Promise<any[]>;
+
+        /**
+         * Gets the names of the targets a target has requested with need(), in the build of the calling target runner,
+         * otherwise in the latest build in progress or in the last build.
+         * @param targetName The name of the target.
+         */
+        getNeededTargets(targetName: string): string[];
+
+        /** Gets the names of the targets defined in the builder instance, in the order they were defined. */
+        listTargets(): string[];
+
+        /**
+         * Gets the names of the targets a target references directly, as dependencies or as items of an array target.
+         * Throws if the target does not exist.
+         * @param targetName The name of the target.
+         */
+        getDependencies(targetName: string): string[];
+
+        /**
+         * Checks the definitions of the targets without executing anything, finding references to targets that do not exist,
+         * targets and runners of unsupported types, dependency cycles and targets that cannot be reached from the root targets.
+         * @param rootNames The names of the targets builds are started with (default is the default target, if there is one).
+         * @returns The problems found, or an empty array if the targets are valid.
+         */
+        validate(rootNames?: string | string[]): ValidationIssue[];
+
+        /**
+         * Exports the graph of the targets, without executing anything, telling serial arrays, parallel arrays,
+         * function runners and references to named targets apart.
+         * Throws if the format is not supported, or a root target does not exist.
+         * @param format Either 'dot' (Graphviz), 'mermaid' (a Mermaid flowchart) or 'json'.
+         * @param rootNames The names of the targets to start from, to export a subgraph (default is every target).
+         * @returns The graph.
+         */
+        exportGraph(format: 'dot' | 'mermaid' | 'json', rootNames?: string | string[]): string;
+
+        /**
+         * Registers a plugin hooking into the execution of builds, targets and commands.
+         * @param plugin The plugin.
+         * @returns The builder instance, for chaining.
+         */
+        use(plugin: Plugin): LLBuild;
+
+        /**
+         * Cancels the builds in progress and kills the child processes of the commands they have started.
+         * The builds reject with a CancellationError.
+         */
+        cancel(): void;
+
+        /**
+         * Executes a target, then executes it again whenever the files matching the watch patterns of the targets it depends on change.
+         * Resolves with the watcher after the first build has settled, or rejects with a UsageError if there is nothing to watch.
+         * @param targetName The name of the target to execute.
+         * @param context An optional context object to pass in to target runner callbacks.
          */
-        executeTarget(target: Target, context?: Context | null | undefined): Promise<void>;
+        watch(targetName: string, context?: Context | null | undefined): Promise<Watcher>;
 
         /**
-         * Parses the command line arguments and executes the selected target.
+         * Parses the command line arguments and executes the selected targets in order, as part of the same build.
+         * Flags such as --quiet and --jobs=N override the options, --list prints the available targets,
+         * --help prints the supported flags and --watch watches the selected target.
+         * KEY=VALUE arguments are merged into a copy of the context.
+         * If the arguments are invalid or the build fails, the exit code of the process is set to 1.
+         * Invalid arguments are reported with a message and resolve, build failures reject.
+         * Pressing Ctrl+C cancels the build and sets the exit code to 130, pressing it again exits immediately.
          * @param context An optional context object to pass in to the target runner callbacks.
          */
-        runArgs(context?: Context | null | undefined): Promise<void>;
+        runArgs(context?: Context | null | undefined): Promise<void | Watcher>;
 
         /**
          * Adds the listener function for the targetExecutionStarted event.
@@ -80,6 +451,48 @@ declare namespace llbuild {
          */
         addListener(eventName: 'targetExecutionFailed', listener: (ev: TargetExecutionFailedEventArgs) => void): void;
 
+        /**
+         * Adds the listener function for the targetSkipped event.
+         * @param eventName The name of the event.
+         * @param listener The callback function.
+         */
+        addListener(eventName: 'targetSkipped', listener: (ev: TargetSkippedEventArgs) => void): void;
+
+        /**
+         * Adds the listener function for the consoleOutput event.
+         * @param eventName The name of the event.
+         * @param listener The callback function.
+         */
+        addListener(eventName: 'consoleOutput', listener: (ev: ConsoleOutputEventArgs) => void): void;
+
+        /**
+         * Adds the listener function for the buildCancelled event.
+         * @param eventName The name of the event.
+         * @param listener The callback function.
+         */
+        addListener(eventName: 'buildCancelled', listener: (ev: BuildCancelledEventArgs) => void): void;
+
+        /**
+         * Adds the listener function for the targetNotRun event.
+         * @param eventName The name of the event.
+         * @param listener The callback function.
+         */
+        addListener(eventName: 'targetNotRun', listener: (ev: TargetNotRunEventArgs) => void): void;
+
+        /**
+         * Adds the listener function for the targetRetry event.
+         * @param eventName The name of the event.
+         * @param listener The callback function.
+         */
+        addListener(eventName: 'targetRetry', listener: (ev: TargetRetryEventArgs) => void): void;
+
+        /**
+         * Adds the listener function for the commandExecuted event.
+         * @param eventName The name of the event.
+         * @param listener The callback function.
+         */
+        addListener(eventName: 'commandExecuted', listener: (ev: CommandExecutedEventArgs) => void): void;
+
         /**
          * Removes the specified listener from the event named eventName.
          * @param eventName The name of the event.
@@ -91,20 +504,47 @@ declare namespace llbuild {
         removeAllListeners(): void;
 
         /**
-         * Executes the specified command as a child process.
+         * Removes the stored fingerprint of one target, or all of them, so that they are executed by the next build.
+         * @param targetName The name of the target to invalidate, or null to invalidate the whole cache.
+         */
+        invalidateCache(targetName?: string | null | undefined): Promise<void>;
+
+        /**
+         * Executes the specified command as a child process, passing it through the wrapCommand hooks of the plugins.
          * @param cmd The command to execute.
-         * @param targetName The target the command execution is associated with, or null.
+         * @param targetName The target the command execution is associated with, or null. Commands associated with a cached target count toward its fingerprint.
+         * @param executionOptions Options killing the child process tree when a signal is aborted or a timeout elapses,
+         * and retrying the command after it has failed.
          */
-        executeCommand(cmd: string, targetName?: string | null | undefined): Promise<void>;
+        executeCommand(cmd: string, targetName?: string | null | undefined, executionOptions?: CommandOptions): Promise<void>;
 
         /**
-         * Executes the specified command as a child process.
+         * Executes a file with an array of arguments as a child process, without a shell unless options.shell is set,
+         * passing it through the wrapCommand hooks of the plugins. The quoted command line is printed.
+         * @param file The file to execute.
+         * @param args The arguments of the file, which are neither split nor expanded.
+         * @param options The target the command execution is associated with, and options killing the child process tree,
+         * retrying the command and setting its working directory, environment and input.
+         */
+        executeCommand(file: string, args: string[], options?: SpawnOptions): Promise<void>;
+
+        /**
+         * Executes the specified command as a child process. Inside a target runner, the command is executed by the builder instance of the runner,
+         * so that it counts toward the jobs option. Before Node.js 12.17, this only applies to the commands executed synchronously by the runner.
          * @param cmd The command to execute.
          * @param quiet Disables printing to the standard output and standard error.
          * @param maxBuffer The maximum size of the stdout and stderr buffers (default is 200 * 1024).
          */
         static executeCommand(cmd: string, quiet?: boolean, maxBuffer?: number): Promise<void>;
 
+        /**
+         * Executes a file with an array of arguments as a child process, without a shell unless options.shell is set.
+         * @param file The file to execute.
+         * @param args The arguments of the file, which are neither split nor expanded.
+         * @param options The options of the command, which may also disable printing and set the maximum size of the stdout and stderr buffers.
+         */
+        static executeCommand(file: string, args: string[], options?: SpawnOptions & { quiet?: boolean; maxBufferSize?: number }): Promise<void>;
+
         /**
          * Creates a directory recursively.
          * @param path The path of the directory to create.
@@ -120,29 +560,293 @@ declare namespace llbuild {
         static mkdirp(path: string, quiet?: boolean): Promise<void>;
 
         /**
-         * Recursively removes a file or directory.
-         * @param path The path of the file or directory to remove.
+         * Recursively removes a file or directory, or the files and directories matching glob patterns.
+         * @param path The path of the file or directory to remove, or glob patterns. Wildcards match names starting with a dot,
+         * and paths matching a pattern starting with ! are not removed.
+         * @param targetName The target the operation is associated with, or null.
+         */
+        rmrf(path: string | string[], targetName?: string | null | undefined): Promise<void>;
+
+        /**
+         * Recursively removes a file or directory, or the files and directories matching glob patterns.
+         * @param path The path of the file or directory to remove, or glob patterns. Wildcards match names starting with a dot,
+         * and paths matching a pattern starting with ! are not removed.
+         * @param quiet Disables printing to the standard output.
+         */
+        static rmrf(path: string | string[], quiet?: boolean): Promise<void>;
+
+        /**
+         * Expands glob patterns into the paths of the files and directories they match. ** matches any number of directories,
+         * and paths matching a pattern starting with ! are left out, together with the paths inside them.
+         * @param patterns The glob patterns.
+         * @param options The directory the patterns are relative to, and whether dotfiles, directories and absolute paths are returned.
+         * @returns The matched paths, with forward slashes, sorted.
+         */
+        glob(patterns: string | string[], options?: GlobOptions): Promise<string[]>;
+
+        /**
+         * Expands glob patterns into the paths of the files and directories they match. ** matches any number of directories,
+         * and paths matching a pattern starting with ! are left out, together with the paths inside them.
+         * @param patterns The glob patterns.
+         * @param options The directory the patterns are relative to, and whether dotfiles, directories and absolute paths are returned.
+         * @returns The matched paths, with forward slashes, sorted.
+         */
+        static glob(patterns: string | string[], options?: GlobOptions): Promise<string[]>;
+
+        /**
+         * Copies a file or directory recursively, only the files matching the filter if there is one. Symbolic links are copied as links.
+         * @param source The path of the file or directory to copy.
+         * @param destination The path of the copy. The parent directories are created if they do not exist.
          * @param targetName The target the operation is associated with, or null.
+         * @param filter Glob patterns the paths of the copied files, relative to a source directory, have to match.
+         * Files matching a pattern starting with ! are not copied.
+         * @returns The paths of the copies of the files.
          */
-        rmrf(path: string, targetName?: string | null | undefined): Promise<void>;
+        copy(source: string, destination: string, targetName?: string | null | undefined, filter?: string | string[]): Promise<string[]>;
 
         /**
-         * Recursively removes a file or directory.
-         * @param path The path of the file or directory to remove.
-         * @param argetName The target the operation is associated with, or null.
+         * Copies a file or directory recursively, only the files matching the filter if there is one. Symbolic links are copied as links.
+         * @param source The path of the file or directory to copy.
+         * @param destination The path of the copy. The parent directories are created if they do not exist.
+         * @param quiet Disables printing to the standard output.
+         * @param filter Glob patterns the paths of the copied files, relative to a source directory, have to match.
+         * Files matching a pattern starting with ! are not copied.
+         * @returns The paths of the copies of the files.
          */
-        static rmrf(path: string, quiet?: boolean): Promise<void>;
+        static copy(source: string, destination: string, quiet?: boolean, filter?: string | string[]): Promise<string[]>;
 
         /**
-         * Prints the specified content to the standard output.
+         * Moves or renames a file or directory, falling back to copying and removing it when it is moved to another device.
+         * @param source The path of the file or directory to move.
+         * @param destination The new path. The parent directories are created if they do not exist.
+         * @param targetName The target the operation is associated with, or null.
+         */
+        move(source: string, destination: string, targetName?: string | null | undefined): Promise<void>;
+
+        /**
+         * Moves or renames a file or directory, falling back to copying and removing it when it is moved to another device.
+         * @param source The path of the file or directory to move.
+         * @param destination The new path. The parent directories are created if they do not exist.
+         * @param quiet Disables printing to the standard output.
+         */
+        static move(source: string, destination: string, quiet?: boolean): Promise<void>;
+
+        /**
+         * Creates a symbolic link. On Windows, links to directories are created as junctions.
+         * @param target The path the link points to, relative to the directory of the link or absolute.
+         * @param linkPath The path of the link. The parent directories are created if they do not exist.
+         * @param targetName The target the operation is associated with, or null.
+         */
+        symlink(target: string, linkPath: string, targetName?: string | null | undefined): Promise<void>;
+
+        /**
+         * Creates a symbolic link. On Windows, links to directories are created as junctions.
+         * @param target The path the link points to, relative to the directory of the link or absolute.
+         * @param linkPath The path of the link. The parent directories are created if they do not exist.
+         * @param quiet Disables printing to the standard output.
+         */
+        static symlink(target: string, linkPath: string, quiet?: boolean): Promise<void>;
+
+        /**
+         * Writes a file, replacing it if it exists.
+         * @param filePath The path of the file. The parent directories are created if they do not exist.
+         * @param content The content of the file.
+         * @param targetName The target the operation is associated with, or null.
+         */
+        writeFile(filePath: string, content: string | Uint8Array, targetName?: string | null | undefined): Promise<void>;
+
+        /**
+         * Writes a file, replacing it if it exists.
+         * @param filePath The path of the file. The parent directories are created if they do not exist.
+         * @param content The content of the file.
+         * @param quiet Disables printing to the standard output.
+         */
+        static writeFile(filePath: string, content: string | Uint8Array, quiet?: boolean): Promise<void>;
+
+        /**
+         * Reads a file. Files are read in dry run mode as well.
+         * @param filePath The path of the file.
+         * @param targetName The target the operation is associated with, or null.
+         * @param encoding The encoding of the file (default is 'utf8'), or null to read it as a Buffer.
+         */
+        readFile(filePath: string, targetName?: string | null | undefined, encoding?: string): Promise<string>;
+        readFile(filePath: string, targetName: string | null | undefined, encoding: null): Promise<Uint8Array>;
+
+        /**
+         * Reads a file.
+         * @param filePath The path of the file.
+         * @param quiet Disables printing to the standard output.
+         * @param encoding The encoding of the file (default is 'utf8'), or null to read it as a Buffer.
+         */
+        static readFile(filePath: string, quiet?: boolean, encoding?: string): Promise<string>;
+        static readFile(filePath: string, quiet: boolean | undefined, encoding: null): Promise<Uint8Array>;
+
+        /**
+         * Removes the files and directories matching glob patterns, directories recursively.
+         * @param patterns The glob patterns. Paths matching a pattern starting with ! are not removed.
+         * @param targetName The target the operation is associated with, or null.
+         * @returns The removed paths, or the paths that would be removed in dry run mode.
+         */
+        remove(patterns: string | string[], targetName?: string | null | undefined): Promise<string[]>;
+
+        /**
+         * Removes the files and directories matching glob patterns, directories recursively.
+         * @param patterns The glob patterns. Paths matching a pattern starting with ! are not removed.
+         * @param quiet Disables printing to the standard output.
+         * @returns The removed paths.
+         */
+        static remove(patterns: string | string[], quiet?: boolean): Promise<string[]>;
+
+        /**
+         * Prints the specified content through the reporter, to the standard output unless it is error output.
          * @param content The content to be printed.
          * @param targetName The target the message is associated with, or null.
+         * @param stream The stream of the command the content was read from, or 'stderr' for errors.
          */
-        print(content: string, targetName?: string | null | undefined): void;
+        print(content: string, targetName?: string | null | undefined, stream?: 'stdout' | 'stderr'): void;
     }
 
     module LLBuild {
+        /** Indicates that the runner of a target has failed, describing how the target was reached and the command that has failed, if any. */
+        class BuildError extends Error {
+            /** The name of the failing target. */
+            target: string;
+            /** The names of the targets that led to the failing target, outermost first, ending with the failing target. */
+            chain: string[];
+            /** The command that has failed, or null if the runner has failed otherwise. */
+            command: string | null;
+            /** The exit code of the command, or null. */
+            code: number | null;
+            /** The signal that has terminated the command, or null. */
+            signal: string | null;
+            /** The last lines of the standard output of the command, or null. */
+            stdout: string | null;
+            /** The last lines of the standard error of the command, or null. */
+            stderr: string | null;
+            /** The error the target runner has rejected with. */
+            cause: any;
+
+            /**
+             * Creates a new build error.
+             * @param target The name of the failing target.
+             * @param chain The names of the targets that led to the failing target.
+             * @param cause The error the target runner has rejected with.
+             */
+            constructor(target: string, chain: string[], cause: any);
+        }
+
+        /** Indicates that one or more targets have failed in keep going mode. */
+        class AggregateBuildError extends Error {
+            /** The failures of the target runners, in the order they have failed. */
+            failures: TargetFailure[];
+            /** The errors of the failed target runners. */
+            errors: Error[];
+            /** The names of the targets that were not executed because a target they depend on has failed. */
+            notRun: string[];
+
+            /**
+             * Creates a new aggregate build error.
+             * @param failures The failures of the target runners.
+             * @param notRun The names of the targets that were not executed.
+             */
+            constructor(failures: TargetFailure[], notRun: string[]);
+        }
+
+        /** Indicates that a build, a target or a command was cancelled. */
+        class CancellationError extends Error {
+            /**
+             * Creates a new cancellation error.
+             * @param message The description of what was cancelled.
+             */
+            constructor(message: string);
+        }
+
+        /** Indicates that a target depends on itself, directly or through other targets. */
+        class DependencyCycleError extends Error {
+            /** The names of the targets forming the cycle, ending with the target that was referenced again. */
+            cycle: string[];
+
+            /**
+             * Creates a new dependency cycle error.
+             * @param cycle The names of the targets forming the cycle.
+             */
+            constructor(cycle: string[]);
+        }
+
+        /** Indicates that every attempt of a retried target runner or command has failed. */
+        class RetryError extends Error {
+            /** The errors of the failed attempts, in order. */
+            attempts: any[];
+            /** The details of the last failed command, if any. */
+            cmd?: string;
+            code?: number | null;
+            signal?: string | null;
+            stdout?: string;
+            stderr?: string;
+
+            /**
+             * Creates a new retry error.
+             * @param attempts The errors of the failed attempts, in order.
+             */
+            constructor(attempts: any[]);
+        }
+
+        /** Prints the output as it is, the error output to the standard error. */
+        class PlainReporter implements Reporter {
+            /**
+             * Creates a new plain text reporter.
+             * @param streams The streams to write to.
+             */
+            constructor(streams?: ReporterStreams);
+            consoleOutput(ev: ConsoleOutputEventArgs): void;
+        }
+
+        /** Prints the output like PlainReporter, with every line prefixed by the name of its target. */
+        class PrefixedReporter extends PlainReporter {
+        }
+
+        /** Prints every event as a line of JSON to the standard output. */
+        class JsonReporter implements Reporter {
+            /**
+             * Creates a new newline delimited JSON reporter.
+             * @param streams The streams to write to.
+             */
+            constructor(streams?: ReporterStreams);
+        }
+
+        /** Indicates that a build, a target or a command did not settle in time. */
+        class TimeoutError extends Error {
+            /** The timeout in milliseconds. */
+            timeout: number;
+
+            /**
+             * Creates a new timeout error.
+             * @param description The description of what timed out.
+             * @param timeout The timeout in milliseconds.
+             */
+            constructor(description: string, timeout: number);
+        }
+
+        /** Indicates that the targets of a build are invalid, as found by validate() before the build has started. */
+        class ValidationError extends Error {
+            /** The problems found. */
+            issues: ValidationIssue[];
+
+            /**
+             * Creates a new validation error.
+             * @param issues The problems found.
+             */
+            constructor(issues: ValidationIssue[]);
+        }
 
+        /** Indicates that the command line arguments are invalid. */
+        class UsageError extends Error {
+            /**
+             * Creates a new usage error.
+             * @param message The description of the problem.
+             */
+            constructor(message: string);
+        }
     }
 }
 
@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ * @module llbuild/cache
+ * @license MIT
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const path = require('path');
+const util = require('util');
+const globs = require('./glob.js');
+
+const readFileAsync = util.promisify(fs.readFile);
+const renameAsync = util.promisify(fs.rename);
+const unlinkAsync = util.promisify(fs.unlink);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * A cached target entry.
+ * @interface BuildCache~Entry
+ * @property {string} fingerprint The fingerprint of the target after its last successful execution.
+ * @property {Array.<string>} commands The commands executed by the target during its last successful execution, for reference.
+ * They do not take part in the fingerprint, as they are determined by the runner, its context and its inputs.
+ */
+
+/**
+ * Stores the fingerprints of the targets in a persistent manifest file.
+ */
+class BuildCache {
+    /**
+     * Creates a new build cache.
+     * @param {string} manifestPath The path of the manifest file.
+     */
+    constructor(manifestPath) {
+        this.manifestPath = path.resolve(manifestPath);
+        this.loading = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Loads the manifest file, once. A manifest that cannot be parsed, such as a truncated one, is treated as empty.
+     * If the file cannot be read, it is read again the next time.
+     * @private
+     * @return {Promise.<Object>} A promise object that will resolve with the manifest.
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = readFileAsync(this.manifestPath, 'utf8').then(
+                content => {
+                    let manifest = null;
+                    try {
+                        manifest = JSON.parse(content);
+                    } catch (err) {
+                        return BuildCache.makeEmptyManifest();
+                    }
+
+                    if (manifest && manifest.version === MANIFEST_VERSION && manifest.targets) {
+                        return manifest;
+                    } else {
+                        return BuildCache.makeEmptyManifest();
+                    }
+                },
+                err => {
+                    if (err.code === 'ENOENT') {
+                        return BuildCache.makeEmptyManifest();
+                    } else {
+                        this.loading = null;
+                        return Promise.reject(err);
+                    }
+                }
+            );
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Writes the manifest file. Writes are serialised so that the last write always wins, and a failed write does not prevent the next ones.
+     * The manifest is written to a temporary file first, then renamed, so that an interrupted write does not leave a truncated manifest behind.
+     * @private
+     * @param {Object} manifest The manifest to write.
+     * @return {Promise} A promise object that will resolve after the manifest was written.
+     */
+    save(manifest) {
+        const temporaryPath = `${this.manifestPath}.${process.pid}.tmp`;
+        this.saving = this.saving.catch(() => undefined).then(() =>
+            mkdirp(path.dirname(this.manifestPath))
+            .then(() => writeFileAsync(temporaryPath, JSON.stringify(manifest, null, 2)))
+            .then(() => renameAsync(temporaryPath, this.manifestPath))
+            .catch(err => unlinkAsync(temporaryPath).then(() => Promise.reject(err), () => Promise.reject(err)))
+        );
+
+        return this.saving;
+    }
+
+    /**
+     * Gets the cached entry of a target.
+     * @param {string} targetName The name of the target.
+     * @return {Promise.<BuildCache~Entry>} A promise object that will resolve with the entry, or null if the target is not cached.
+     */
+    getEntry(targetName) {
+        return this.load().then(manifest => Object.prototype.hasOwnProperty.call(manifest.targets, targetName) ? manifest.targets[targetName] : null);
+    }
+
+    /**
+     * Sets the cached entry of a target.
+     * @param {string} targetName The name of the target.
+     * @param {BuildCache~Entry} entry The entry to store.
+     * @return {Promise} A promise object that will resolve after the manifest was updated.
+     */
+    setEntry(targetName, entry) {
+        return this.load().then(manifest => {
+            manifest.targets[targetName] = entry;
+            return this.save(manifest);
+        });
+    }
+
+    /**
+     * Removes the cached entry of one target, or all of them.
+     * @param {string=} targetName The name of the target to invalidate, or null to invalidate every target.
+     * @return {Promise} A promise object that will resolve after the manifest was updated.
+     */
+    invalidate(targetName) {
+        return this.load().then(manifest => {
+            if (targetName === null || targetName === undefined) {
+                manifest.targets = {};
+            } else {
+                delete manifest.targets[targetName];
+            }
+
+            return this.save(manifest);
+        });
+    }
+
+    /**
+     * Creates a manifest without any entries.
+     * @private
+     * @return {Object} The empty manifest.
+     */
+    static makeEmptyManifest() {
+        return { version: MANIFEST_VERSION, targets: {} };
+    }
+
+    /**
+     * Computes a digest of the paths and contents of the files matching the specified glob patterns.
+     * The paths are relative to the working directory, so that the digest does not depend on where the project is checked out.
+     * @param {Array.<string>} patterns The glob patterns to match. Files matching a pattern starting with ! are left out.
+     * @return {Promise.<string>} A promise object that will resolve with the hex digest.
+     */
+    static digestFiles(patterns) {
+        return globs.expand(patterns, { nodir: true }).then(matched => {
+            const paths = matched.map(p => path.resolve(p));
+            return Promise.all(paths.map(p => readFileAsync(p))).then(contents => {
+                const hash = crypto.createHash('sha256');
+                paths.forEach((p, i) => {
+                    hash.update(`${path.relative(process.cwd(), p).replace(/\\/g, '/')}\0${contents[i].length}\0`);
+                    hash.update(contents[i]);
+                });
+
+                return hash.digest('hex');
+            });
+        });
+    }
+
+    /**
+     * Computes the fingerprint of a target.
+     * @param {string} inputsDigest The digest of the input files of the target, see {@link BuildCache.digestFiles}.
+     * @param {Object.<string, string>} env The values of the environment variables the target depends on.
+     * @param {string} runnerSource The source code of the target runner.
+     * @param {Object=} context The context object passed in to the target runner, which shapes the commands it executes.
+     * @return {string} The hex fingerprint.
+     */
+    static computeFingerprint(inputsDigest, env, runnerSource, context) {
+        return (
+            crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ inputs: inputsDigest, env: env, runner: runnerSource, context: BuildCache.describeValue(context) }))
+            .digest('hex')
+        );
+    }
+
+    /**
+     * Describes a value, such as a context object, with its properties in sorted order.
+     * Unlike JSON, the description supports circular references and tells undefined and functions apart.
+     * @private
+     * @param {*} value The value to describe.
+     * @return {string} The description.
+     */
+    static describeValue(value) {
+        return util.inspect(value, { depth: null, sorted: true, breakLength: Infinity, maxArrayLength: Infinity, maxStringLength: Infinity });
+    }
+}
+
+module.exports = BuildCache;
@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * @module llbuild/cancellation
+ * @license MIT
+ */
+
+const errors = require('./errors.js');
+
+/**
+ * Tracks whether a build, a target or a command has been cancelled, either explicitly,
+ * by an AbortSignal, by a timeout or by the cancellation of its parent scope.
+ */
+class CancellationScope {
+    /**
+     * Creates a new cancellation scope.
+     * @param {CancellationScope=} parent The scope whose cancellation cancels this scope too, or null.
+     */
+    constructor(parent) {
+        this.error = null;
+        this.listeners = [];
+        this.disposers = [];
+
+        if (parent) {
+            this.disposers.push(parent.onCancel(err => this.cancel(err)));
+        }
+    }
+
+    /**
+     * Creates a new cancellation scope from the signal and timeout options of a build, a target or a command.
+     * @param {CancellationScope=} parent The scope whose cancellation cancels the new scope too, or null.
+     * @param {Object=} options An object whose signal property is an optional AbortSignal and whose timeout property is an optional number of milliseconds.
+     * @param {string} description The description of what the scope covers, used in the error messages.
+     * @return {CancellationScope} The new scope.
+     */
+    static fromOptions(parent, options, description) {
+        const scope = new CancellationScope(parent);
+        if (options) {
+            scope.linkSignal(options.signal, description);
+            scope.setTimeout(options.timeout, description);
+        }
+
+        return scope;
+    }
+
+    /**
+     * Indicates whether the scope has been cancelled.
+     * @type {boolean}
+     */
+    get cancelled() {
+        return this.error !== null;
+    }
+
+    /**
+     * Cancels the scope. Cancelling a scope more than once has no effect.
+     * @param {Error} err The error describing the cancellation.
+     */
+    cancel(err) {
+        if (this.error === null) {
+            this.error = err;
+            this.listeners.slice().forEach(listener => listener(err));
+        }
+    }
+
+    /**
+     * Adds a listener invoked when the scope is cancelled, or immediately if it has already been cancelled.
+     * @param {Function} listener The callback function, invoked with the error describing the cancellation.
+     * @return {Function} A function removing the listener.
+     */
+    onCancel(listener) {
+        if (this.error !== null) {
+            listener(this.error);
+            return () => { };
+        }
+
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index >= 0) {
+                this.listeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Cancels the scope when the specified AbortSignal is aborted.
+     * @private
+     * @param {AbortSignal=} signal The signal, or null.
+     * @param {string} description The description of what the scope covers.
+     */
+    linkSignal(signal, description) {
+        if (!signal) {
+            return;
+        }
+
+        const onAbort = () => this.cancel(new errors.CancellationError(`${description} was cancelled`));
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort);
+            this.disposers.push(() => signal.removeEventListener('abort', onAbort));
+        }
+    }
+
+    /**
+     * Cancels the scope after the specified time.
+     * @private
+     * @param {number=} timeout The timeout in milliseconds, or null.
+     * @param {string} description The description of what the scope covers.
+     */
+    setTimeout(timeout, description) {
+        if (!timeout) {
+            return;
+        }
+
+        const timer = setTimeout(() => this.cancel(new errors.TimeoutError(description, timeout)), timeout);
+        this.disposers.push(() => clearTimeout(timer));
+    }
+
+    /**
+     * Settles like the specified promise, unless the scope is cancelled first.
+     * @param {Promise} promise The promise to race.
+     * @return {Promise} A promise object that will settle like the specified promise, or reject with the error describing the cancellation.
+     */
+    race(promise) {
+        return new Promise((resolve, reject) => {
+            const removeListener = this.onCancel(reject);
+            promise.then(
+                value => { removeListener(); resolve(value); },
+                err => { removeListener(); reject(err); }
+            );
+        });
+    }
+
+    /**
+     * Waits for the specified time, unless the scope is cancelled first.
+     * @param {number} ms The number of milliseconds to wait.
+     * @return {Promise} A promise object that will resolve after the specified time, or reject with the error describing the cancellation.
+     */
+    delay(ms) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                removeListener();
+                resolve();
+            }, ms);
+
+            const removeListener = this.onCancel(err => {
+                clearTimeout(timer);
+                reject(err);
+            });
+        });
+    }
+
+    /**
+     * Stops listening to the parent scope, the signal and the timeout.
+     */
+    dispose() {
+        this.disposers.forEach(dispose => dispose());
+        this.disposers = [];
+    }
+}
+
+module.exports = CancellationScope;
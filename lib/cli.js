@@ -0,0 +1,208 @@
+"use strict";
+
+/**
+ * @module llbuild/cli
+ * @license MIT
+ */
+
+const os = require('os');
+const errors = require('./errors.js');
+const reporters = require('./reporters.js');
+const TargetGraph = require('./graph.js');
+
+/**
+ * Describes a command line flag.
+ * @private
+ * @interface Cli~Flag
+ * @property {string} name The long name of the flag, used as --name.
+ * @property {string=} alias The single letter short name of the flag, used as -a.
+ * @property {string=} option The name of the {@link LLBuild~LLBuildOptions} property the flag sets.
+ * @property {string=} value The placeholder of the value of the flag, if it takes a value.
+ * @property {Function=} parse Converts the value of the flag, throwing a {@link UsageError} if it is invalid.
+ * @property {string} description The description of the flag printed by --help.
+ */
+
+/**
+ * The results of parsing the command line arguments.
+ * @interface Cli~ParsedArgs
+ * @property {Array.<string>} targets The names of the targets to execute, in order.
+ * @property {Object} options The {@link LLBuild~LLBuildOptions} set by the flags.
+ * @property {Object.<string, string>} variables The KEY=VALUE variables.
+ * @property {Object.<string, boolean>} commands The flags not setting any option, such as help, list and watch.
+ */
+
+/**
+ * Parses a positive integer flag value.
+ * @private
+ * @param {string} value The value to parse.
+ * @param {string} flagName The name of the flag.
+ * @return {number} The parsed value.
+ */
+function parsePositiveInteger(value, flagName) {
+    if (!/^[1-9][0-9]*$/.test(value)) {
+        throw new errors.UsageError(`--${flagName} is expected to be a positive integer, got: ${value}`);
+    }
+
+    return parseInt(value, 10);
+}
+
+/**
+ * Creates a parser accepting one of the specified values.
+ * @private
+ * @param {Array.<string>} choices The accepted values.
+ * @return {Function} The parser, throwing a {@link UsageError} if the value is not accepted.
+ */
+function parseChoice(choices) {
+    return (value, flagName) => {
+        if (choices.indexOf(value) < 0) {
+            throw new errors.UsageError(`--${flagName} is expected to be one of ${choices.join(', ')}, got: ${value}`);
+        }
+
+        return value;
+    };
+}
+
+/**
+ * The supported flags.
+ * @private
+ * @type {Array.<Cli~Flag>}
+ */
+const FLAGS = [
+    { name: 'help', alias: 'h', description: 'Print this help message.' },
+    { name: 'list', alias: 'l', description: 'Print the available targets.' },
+    { name: 'graph', value: 'FORMAT', parse: parseChoice(TargetGraph.FORMATS), description: 'Print the graph of the targets as dot, mermaid or json, rooted at the specified targets.' },
+    { name: 'watch', alias: 'w', description: 'Build the target again whenever its files change.' },
+    { name: 'dry-run', alias: 'n', option: 'dryRun', description: 'Print the execution plan without executing anything.' },
+    { name: 'quiet', alias: 'q', option: 'quiet', description: 'Do not print to the standard output and standard error.' },
+    { name: 'reporter', option: 'reporter', value: 'NAME', parse: parseChoice(Object.keys(reporters.REPORTERS)), description: 'The format of the output: plain, prefixed (with the target names) or json (an event per line).' },
+    { name: 'keep-going', alias: 'k', option: 'keepGoing', description: 'Keep executing the independent targets after a failure.' },
+    { name: 'jobs', alias: 'j', option: 'jobs', value: 'N', parse: parsePositiveInteger, description: 'Run at most N target runners and commands at the same time.' },
+    { name: 'validate', option: 'validate', description: 'Check the targets for missing references, unsupported types and cycles before executing anything.' },
+    { name: 'cache', option: 'cache', description: 'Skip targets whose fingerprint has not changed.' },
+    { name: 'stream', option: 'streamOutput', description: 'Print the output of the commands line by line as it arrives.' },
+    { name: 'report', option: 'report', value: 'PATH', description: 'Write a JSON report of the build, or a JUnit XML report if PATH ends with .xml.' },
+    { name: 'report-format', option: 'reportFormat', value: 'FORMAT', parse: parseChoice(['json', 'junit']), description: 'The format of the report, either json or junit.' },
+    { name: 'profile', option: 'profile', value: 'PATH', description: 'Write a Chrome Trace Event profile of the build, and print its critical path.' },
+    { name: 'max-buffer-size', option: 'maxBufferSize', value: 'BYTES', parse: parsePositiveInteger, description: 'The maximum size of the stdout and stderr buffers.' }
+];
+
+/**
+ * Parses command line arguments.
+ * @param {Array.<string>} args The arguments, without the node executable and the script path.
+ * @return {Cli~ParsedArgs} The parsed arguments.
+ * @throws {UsageError} If an argument is not recognised or is missing its value.
+ */
+function parseArgs(args) {
+    const parsed = { targets: [], options: {}, variables: {}, commands: {} };
+    let onlyTargets = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        let match;
+
+        if (onlyTargets || !arg.startsWith('-') || arg === '-') {
+            match = onlyTargets ? null : /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(arg);
+            if (match) {
+                parsed.variables[match[1]] = match[2];
+            } else {
+                parsed.targets.push(arg);
+            }
+        } else if (arg === '--') {
+            onlyTargets = true;
+        } else if ((match = /^--([^=]+)(?:=(.*))?$/.exec(arg))) {
+            const flag = findFlag(f => f.name === match[1], arg);
+            const inlineValue = match[2];
+            if (flag.value) {
+                i = applyFlag(parsed, flag, inlineValue !== undefined ? inlineValue : args[i + 1], i + (inlineValue !== undefined ? 0 : 1));
+            } else if (inlineValue !== undefined) {
+                throw new errors.UsageError(`--${flag.name} does not take a value.`);
+            } else {
+                applyFlag(parsed, flag, undefined, i);
+            }
+        } else {
+            for (let j = 1; j < arg.length; j++) {
+                const flag = findFlag(f => f.alias === arg[j], `-${arg[j]}`);
+                if (flag.value) {
+                    const inlineValue = arg.substr(j + 1);
+                    i = applyFlag(parsed, flag, inlineValue.length > 0 ? inlineValue : args[i + 1], i + (inlineValue.length > 0 ? 0 : 1));
+                    break;
+                } else {
+                    applyFlag(parsed, flag, undefined, i);
+                }
+            }
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Finds a supported flag.
+ * @private
+ * @param {Function} predicate The predicate selecting the flag.
+ * @param {string} arg The argument, for the error message.
+ * @return {Cli~Flag} The flag.
+ * @throws {UsageError} If there is no such flag.
+ */
+function findFlag(predicate, arg) {
+    const flag = FLAGS.find(predicate);
+    if (!flag) {
+        throw new errors.UsageError(`Unknown flag: ${arg}`);
+    }
+
+    return flag;
+}
+
+/**
+ * Applies a flag to the parsed arguments.
+ * @private
+ * @param {Cli~ParsedArgs} parsed The parsed arguments.
+ * @param {Cli~Flag} flag The flag.
+ * @param {string=} value The value of the flag, if it takes one.
+ * @param {number} index The index of the last argument consumed by the flag.
+ * @return {number} The index of the last argument consumed by the flag.
+ * @throws {UsageError} If the value is missing or invalid.
+ */
+function applyFlag(parsed, flag, value, index) {
+    let actualValue = true;
+    if (flag.value) {
+        if (value === undefined) {
+            throw new errors.UsageError(`--${flag.name} is expected to be followed by ${flag.value}.`);
+        }
+
+        actualValue = flag.parse ? flag.parse(value, flag.name) : value;
+    }
+
+    if (flag.option) {
+        parsed.options[flag.option] = actualValue;
+    } else {
+        parsed.commands[flag.name] = actualValue;
+    }
+
+    return index;
+}
+
+/**
+ * Formats the help message.
+ * @param {string} scriptName The name of the build script.
+ * @return {string} The help message.
+ */
+function formatHelp(scriptName) {
+    const names = FLAGS.map(flag => (flag.alias ? `-${flag.alias}, ` : '    ') + `--${flag.name}` + (flag.value ? `=${flag.value}` : ''));
+    const width = Math.max.apply(null, names.map(name => name.length)) + 2;
+    const lines = FLAGS.map((flag, i) => `  ${names[i].padEnd(width)}${flag.description}`);
+
+    return [
+        `Usage: node ${scriptName} [options] [targets...] [KEY=VALUE...]`,
+        '',
+        'Executes the specified targets in order, or the default target if none is specified.',
+        'KEY=VALUE arguments are merged into the context passed in to the target runners.',
+        '',
+        'Options:'
+    ].concat(lines).join(os.EOL);
+}
+
+module.exports = {
+    parseArgs: parseArgs,
+    formatHelp: formatHelp
+};
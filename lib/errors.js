@@ -0,0 +1,180 @@
+"use strict";
+
+/**
+ * @module llbuild/errors
+ * @license MIT
+ */
+
+const os = require('os');
+
+/**
+ * Indicates that a target depends on itself, directly or through other targets.
+ * @extends Error
+ */
+class DependencyCycleError extends Error {
+    /**
+     * Creates a new dependency cycle error.
+     * @param {Array.<string>} cycle The names of the targets forming the cycle, starting with the target the build was started with and ending with the target that was referenced again.
+     */
+    constructor(cycle) {
+        super(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+        this.name = 'DependencyCycleError';
+        this.cycle = cycle;
+    }
+}
+
+/**
+ * Indicates that the command line arguments are invalid.
+ * @extends Error
+ */
+class UsageError extends Error {
+    /**
+     * Creates a new usage error.
+     * @param {string} message The description of the problem.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Indicates that the runner of a target has failed, describing how the target was reached and the command that has failed, if any.
+ * @extends Error
+ */
+class BuildError extends Error {
+    /**
+     * Creates a new build error.
+     * @param {string} target The name of the failing target.
+     * @param {Array.<string>} chain The names of the targets that led to the failing target, outermost first, ending with the failing target.
+     * @param {*} cause The error the target runner has rejected with.
+     */
+    constructor(target, chain, cause) {
+        super(`${chain.join(' > ')}: ${cause && cause.message ? cause.message : cause}`);
+        const details = cause !== null && typeof cause === 'object' ? cause : {};
+        this.name = 'BuildError';
+        this.target = target;
+        this.chain = chain;
+        this.command = typeof details.cmd === 'string' ? details.cmd : null;
+        this.code = typeof details.code === 'number' ? details.code : null;
+        this.signal = typeof details.signal === 'string' ? details.signal : null;
+        this.stdout = typeof details.stdout === 'string' ? details.stdout : null;
+        this.stderr = typeof details.stderr === 'string' ? details.stderr : null;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Indicates that every attempt of a retried target runner or command has failed.
+ * The details of the last failed command, if any, are copied from the last error.
+ * @extends Error
+ */
+class RetryError extends Error {
+    /**
+     * Creates a new retry error.
+     * @param {Array.<*>} attempts The errors of the failed attempts, in order.
+     */
+    constructor(attempts) {
+        super([`Failed after ${attempts.length} attempts:`].concat(
+            attempts.map((err, i) => `  Attempt ${i + 1}: ${err && err.message ? err.message : err}`)
+        ).join(os.EOL));
+
+        const last = attempts[attempts.length - 1];
+        const details = last !== null && typeof last === 'object' ? last : {};
+        this.name = 'RetryError';
+        this.attempts = attempts;
+        ['cmd', 'code', 'signal', 'stdout', 'stderr'].forEach(key => {
+            if (details[key] !== undefined) {
+                this[key] = details[key];
+            }
+        });
+    }
+}
+
+/**
+ * Indicates that one or more targets have failed in keep going mode.
+ * @extends Error
+ */
+class AggregateBuildError extends Error {
+    /**
+     * Creates a new aggregate build error.
+     * @param {Array.<LLBuild~TargetFailure>} failures The failures of the target runners, in the order they have failed.
+     * @param {Array.<string>} notRun The names of the targets that were not executed because a target they depend on has failed.
+     */
+    constructor(failures, notRun) {
+        const lines = [`${failures.length} target${failures.length > 1 ? 's' : ''} failed:`].concat(
+            failures.map(failure => failure.err instanceof BuildError
+                ? `  ${failure.err.message}`
+                : `  ${failure.targetName}: ${failure.err && failure.err.message ? failure.err.message : failure.err}`)
+        );
+
+        if (notRun.length > 0) {
+            lines.push(`Not run: ${notRun.join(', ')}`);
+        }
+
+        super(lines.join(os.EOL));
+        this.name = 'AggregateBuildError';
+        this.failures = failures;
+        this.errors = failures.map(failure => failure.err);
+        this.notRun = notRun;
+    }
+}
+
+/**
+ * Indicates that the targets of a build are invalid, as found by {@link LLBuild#validate} before the build has started.
+ * @extends Error
+ */
+class ValidationError extends Error {
+    /**
+     * Creates a new validation error.
+     * @param {Array.<LLBuild~ValidationIssue>} issues The problems found.
+     */
+    constructor(issues) {
+        super([`${issues.length} problem${issues.length > 1 ? 's' : ''} found in the targets:`].concat(issues.map(issue => `  ${issue.message}`)).join(os.EOL));
+        this.name = 'ValidationError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Indicates that a build, a target or a command was cancelled.
+ * @extends Error
+ */
+class CancellationError extends Error {
+    /**
+     * Creates a new cancellation error.
+     * @param {string} message The description of what was cancelled.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'CancellationError';
+    }
+}
+
+/**
+ * Indicates that a build, a target or a command did not settle in time.
+ * @extends Error
+ */
+class TimeoutError extends Error {
+    /**
+     * Creates a new timeout error.
+     * @param {string} description The description of what timed out.
+     * @param {number} timeout The timeout in milliseconds.
+     */
+    constructor(description, timeout) {
+        super(`${description} timed out after ${timeout} ms`);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+module.exports = {
+    AggregateBuildError: AggregateBuildError,
+    BuildError: BuildError,
+    CancellationError: CancellationError,
+    DependencyCycleError: DependencyCycleError,
+    RetryError: RetryError,
+    TimeoutError: TimeoutError,
+    UsageError: UsageError,
+    ValidationError: ValidationError
+};
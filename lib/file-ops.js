@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * @module llbuild/file-ops
+ * @license MIT
+ */
+
+const fs = require('fs');
+const minimatch = require('minimatch');
+const mkdirp = require('mkdirp');
+const path = require('path');
+const rimraf = require('rimraf');
+const util = require('util');
+const globs = require('./glob.js');
+
+const copyFileAsync = util.promisify(fs.copyFile);
+const lstatAsync = util.promisify(fs.lstat);
+const readdirAsync = util.promisify(fs.readdir);
+const readFileAsync = util.promisify(fs.readFile);
+const readlinkAsync = util.promisify(fs.readlink);
+const renameAsync = util.promisify(fs.rename);
+const rimrafAsync = util.promisify(rimraf);
+const statAsync = util.promisify(fs.stat);
+const symlinkAsync = util.promisify(fs.symlink);
+const unlinkAsync = util.promisify(fs.unlink);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * Creates a predicate matching paths relative to the source of a copy against glob patterns.
+ * @private
+ * @param {(string|Array.<string>)=} patterns The patterns. Paths matching a pattern starting with ! are excluded.
+ * @return {Function} The predicate, accepting every path if there is no pattern other than the excluding ones.
+ */
+function makeFilter(patterns) {
+    const all = [].concat(patterns || []).map(pattern => pattern.replace(/\\/g, '/'));
+    const included = all.filter(pattern => !pattern.startsWith('!'));
+    const excluded = all.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.substr(1));
+    return relativePath => {
+        const normalised = relativePath.replace(/\\/g, '/');
+        const matches = pattern => minimatch(normalised, pattern, { dot: true });
+        return (included.length === 0 || included.some(matches)) && !excluded.some(matches);
+    };
+}
+
+/**
+ * Removes a file or a symbolic link, if it exists.
+ * @private
+ * @param {string} filePath The path of the file or link.
+ * @return {Promise} A promise object that will resolve after the file or link was removed.
+ */
+function removeFile(filePath) {
+    return unlinkAsync(filePath).catch(err => err.code === 'ENOENT' ? undefined : Promise.reject(err));
+}
+
+/**
+ * Copies a file, a symbolic link or a directory recursively. Existing files and links are replaced.
+ * @param {string} source The path of the file or directory to copy.
+ * @param {string} destination The path of the copy. The parent directories are created if they do not exist.
+ * @param {(string|Array.<string>)=} filter Glob patterns the paths of the copied files, relative to a source directory, have to match.
+ * Files matching a pattern starting with ! are not copied. Directories are only created if they contain copied files, unless there is no filter.
+ * @return {Promise.<Array.<string>>} A promise object that will resolve with the paths of the copied files.
+ */
+function copy(source, destination, filter) {
+    const accepts = makeFilter(filter);
+    const hasFilter = filter !== undefined && filter !== null && [].concat(filter).length > 0;
+    const copied = [];
+
+    const copyEntry = (sourcePath, destinationPath, relativePath) => lstatAsync(sourcePath).then(stats => {
+        if (stats.isDirectory()) {
+            return (hasFilter ? Promise.resolve() : mkdirp(destinationPath))
+                .then(() => readdirAsync(sourcePath))
+                .then(names => names.sort().reduce(
+                    (promise, name) => promise.then(() => copyEntry(
+                        path.join(sourcePath, name),
+                        path.join(destinationPath, name),
+                        relativePath === null ? name : path.join(relativePath, name)
+                    )),
+                    Promise.resolve()
+                ));
+        } else if (relativePath !== null && !accepts(relativePath)) {
+            return Promise.resolve();
+        }
+
+        copied.push(destinationPath);
+        return mkdirp(path.dirname(destinationPath)).then(() => stats.isSymbolicLink()
+            ? readlinkAsync(sourcePath).then(linkTarget => removeFile(destinationPath).then(() => symlinkAsync(linkTarget, destinationPath)))
+            : copyFileAsync(sourcePath, destinationPath));
+    });
+
+    return copyEntry(source, destination, null).then(() => copied);
+}
+
+/**
+ * Moves or renames a file or directory, copying it when it is moved to another device.
+ * @param {string} source The path of the file or directory to move.
+ * @param {string} destination The new path. The parent directories are created if they do not exist.
+ * @return {Promise} A promise object that will resolve after the file or directory was moved.
+ */
+function move(source, destination) {
+    return mkdirp(path.dirname(destination))
+        .then(() => renameAsync(source, destination))
+        .catch(err => {
+            if (err.code !== 'EXDEV') {
+                return Promise.reject(err);
+            }
+
+            return copy(source, destination).then(() => rimrafAsync(source));
+        });
+}
+
+/**
+ * Creates a symbolic link. On Windows, links to directories are created as junctions, which do not require elevated privileges.
+ * @param {string} target The path the link points to, relative to the directory of the link or absolute.
+ * @param {string} linkPath The path of the link. The parent directories are created if they do not exist.
+ * @return {Promise} A promise object that will resolve after the link was created.
+ */
+function symlink(target, linkPath) {
+    const getType = () => process.platform !== 'win32'
+        ? Promise.resolve(undefined)
+        : statAsync(path.resolve(path.dirname(linkPath), target)).then(stats => stats.isDirectory() ? 'junction' : 'file', () => 'file');
+
+    return mkdirp(path.dirname(linkPath))
+        .then(getType)
+        .then(type => symlinkAsync(type === 'junction' ? path.resolve(path.dirname(linkPath), target) : target, linkPath, type));
+}
+
+/**
+ * Writes a file, replacing it if it exists.
+ * @param {string} filePath The path of the file. The parent directories are created if they do not exist.
+ * @param {(string|Buffer)} content The content of the file.
+ * @return {Promise} A promise object that will resolve after the file was written.
+ */
+function writeFile(filePath, content) {
+    return mkdirp(path.dirname(filePath)).then(() => writeFileAsync(filePath, content));
+}
+
+/**
+ * Reads a file.
+ * @param {string} filePath The path of the file.
+ * @param {string=} encoding The encoding of the file, or null to read it as a Buffer.
+ * @return {Promise.<(string|Buffer)>} A promise object that will resolve with the content of the file.
+ */
+function readFile(filePath, encoding) {
+    return readFileAsync(filePath, encoding === null ? undefined : encoding);
+}
+
+/**
+ * Finds the files and directories matching glob patterns, which can be removed recursively without removing any excluded path.
+ * @param {(string|Array.<string>)} patterns The patterns. Paths matching a pattern starting with ! are excluded.
+ * @return {Promise.<Array.<string>>} A promise object that will resolve with the matching paths, sorted, without the paths inside matching directories
+ * and without the directories containing excluded paths.
+ */
+function findRemovable(patterns) {
+    const excluded = globs.splitPatterns(patterns).excluded;
+    return Promise.all([globs.expand(patterns, { dot: true }), globs.expand(excluded, { dot: true })]).then(results => {
+        const kept = results[1];
+        return results[0]
+            .filter(p => !kept.some(keptPath => keptPath.startsWith(`${p}/`)))
+            .filter((p, i, paths) => !paths.some(parent => p.startsWith(`${parent}/`)));
+    });
+}
+
+/**
+ * Removes the files and directories matching glob patterns, directories recursively.
+ * @param {(string|Array.<string>)} patterns The patterns. Paths matching a pattern starting with ! are not removed.
+ * @return {Promise.<Array.<string>>} A promise object that will resolve with the removed paths.
+ */
+function remove(patterns) {
+    return findRemovable(patterns).then(paths => paths
+        .reduce((promise, p) => promise.then(() => rimrafAsync(p, { glob: false })), Promise.resolve())
+        .then(() => paths));
+}
+
+module.exports = {
+    copy: copy,
+    findRemovable: findRemovable,
+    move: move,
+    readFile: readFile,
+    remove: remove,
+    symlink: symlink,
+    writeFile: writeFile
+};
@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * @module llbuild/glob
+ * @license MIT
+ */
+
+const fs = require('fs');
+const glob = require('glob');
+const minimatch = require('minimatch');
+const path = require('path');
+const util = require('util');
+
+const globAsync = util.promisify(glob);
+const lstatAsync = util.promisify(fs.lstat);
+
+/**
+ * Options of {@link LLBuild#glob}.
+ * @interface LLBuild~GlobOptions
+ * @property {string=} cwd The directory the patterns are relative to (default is the working directory).
+ * @property {boolean=} dot If true, * and ** match files and directories whose name starts with a dot (default is false).
+ * @property {boolean=} nodir If true, only files are matched, not directories (default is false).
+ * @property {boolean=} absolute If true, the matched paths are resolved to absolute paths (default is false).
+ */
+
+/**
+ * Splits glob patterns into the including and the excluding ones.
+ * @param {(string|Array.<string>)} patterns The patterns. Patterns starting with ! are excluding.
+ * @return {{included: Array.<string>, excluded: Array.<string>}} The including patterns and the excluding patterns, without the leading !.
+ */
+function splitPatterns(patterns) {
+    const all = [].concat(patterns || []);
+    return {
+        included: all.filter(pattern => !pattern.startsWith('!')),
+        excluded: all.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.substr(1))
+    };
+}
+
+/**
+ * Determines whether a path matches a pattern, or is inside a directory matching it.
+ * @private
+ * @param {string} filePath The path, with forward slashes.
+ * @param {string} pattern The pattern.
+ * @param {boolean} dot True if wildcards match names starting with a dot.
+ * @return {boolean} True if the path or one of its parent directories matches the pattern.
+ */
+function matchesWithParents(filePath, pattern, dot) {
+    const segments = filePath.split('/');
+    return segments.some((segment, i) => minimatch(segments.slice(0, i + 1).join('/'), pattern, { dot: dot }));
+}
+
+/**
+ * Expands an including glob pattern.
+ * @private
+ * @param {string} pattern The pattern.
+ * @param {LLBuild~GlobOptions} options The options.
+ * @return {Promise.<Array.<string>>} A promise object that will resolve with the matched paths, relative to options.cwd unless the pattern is absolute.
+ */
+function expandPattern(pattern, options) {
+    if (glob.hasMagic(pattern)) {
+        return globAsync(pattern, { cwd: options.cwd, dot: options.dot, nodir: options.nodir });
+    }
+
+    // Paths without wildcards are used as they are, so that Windows paths with backslashes are not mistaken for escapes.
+    return lstatAsync(path.resolve(options.cwd, pattern)).then(
+        stats => options.nodir && stats.isDirectory() ? [] : [pattern.replace(/\\/g, '/')],
+        () => []
+    );
+}
+
+/**
+ * Expands glob patterns into the paths they match. ** matches any number of directories, and paths matching a pattern
+ * starting with ! are excluded together with the paths inside them. The result does not depend on the order the file system
+ * lists directories in.
+ * @param {(string|Array.<string>)} patterns The patterns.
+ * @param {LLBuild~GlobOptions=} options The options.
+ * @return {Promise.<Array.<string>>} A promise object that will resolve with the matched paths, with forward slashes, without duplicates, sorted.
+ */
+function expand(patterns, options) {
+    const actualOptions = Object.assign({ cwd: process.cwd(), dot: false, nodir: false, absolute: false }, options);
+    const split = splitPatterns(patterns);
+    const excluded = split.excluded.map(pattern => pattern.replace(/\\/g, '/'));
+
+    return Promise.all(split.included.map(pattern => expandPattern(pattern, actualOptions))).then(results => {
+        const matched = Array.from(new Set([].concat.apply([], results)))
+            .filter(p => !excluded.some(pattern => matchesWithParents(p, pattern, true)))
+            .map(p => actualOptions.absolute ? path.resolve(actualOptions.cwd, p).replace(/\\/g, '/') : p);
+
+        return Array.from(new Set(matched)).sort();
+    });
+}
+
+/**
+ * Determines whether an absolute path matches glob patterns, resolving them against the working directory.
+ * Wildcards match names starting with a dot.
+ * @param {string} absolutePath The absolute path to match.
+ * @param {(string|Array.<string>)} patterns The patterns. Paths matching a pattern starting with ! do not match, nor do the paths inside them.
+ * @return {boolean} True if the path matches an including pattern and no excluding pattern, false otherwise.
+ */
+function matches(absolutePath, patterns) {
+    const split = splitPatterns(patterns);
+    const normalisedPath = absolutePath.replace(/\\/g, '/');
+    const resolve = pattern => path.resolve(pattern).replace(/\\/g, '/');
+    return split.included.some(pattern => minimatch(normalisedPath, resolve(pattern), { dot: true })) &&
+        !split.excluded.some(pattern => matchesWithParents(normalisedPath, resolve(pattern), true));
+}
+
+module.exports = {
+    expand: expand,
+    matches: matches,
+    splitPatterns: splitPatterns
+};
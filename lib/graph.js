@@ -0,0 +1,211 @@
+"use strict";
+
+/**
+ * @module llbuild/graph
+ * @license MIT
+ */
+
+const os = require('os');
+
+/**
+ * A node of the target graph.
+ * @private
+ * @interface TargetGraph~Node
+ * @property {string} id The identifier of the node, safe to use in every format.
+ * @property {string} type Either 'target' (a named target), 'missing' (a reference to a target that does not exist),
+ * 'serial' or 'parallel' (an array target), or 'runner' (a function runner).
+ * @property {string} label The label of the node.
+ */
+
+/**
+ * An edge of the target graph, from a target or an array to what it executes.
+ * @private
+ * @interface TargetGraph~Edge
+ * @property {string} from The identifier of the node executing the other one.
+ * @property {string} to The identifier of the executed node.
+ * @property {number=} order The position of the executed node in a serial array, starting from 1.
+ * @property {boolean} reference True if the executed node is referenced by name, false if it is defined inline.
+ */
+
+/**
+ * The graph of the named targets and the arrays and runners they are made of, which can be formatted as Graphviz DOT, Mermaid or JSON.
+ */
+class TargetGraph {
+    /**
+     * Creates the graph of a set of targets.
+     * @param {Object.<string, LLBuild~Target>} targets The targets, keyed by name.
+     * @param {Array.<string>} rootNames The names of the targets to start from. Only the targets reachable from them are included.
+     */
+    constructor(targets, rootNames) {
+        this.targets = targets;
+        this.rootNames = rootNames;
+        this.nodes = [];
+        this.edges = [];
+        this.targetIds = new Map();
+
+        const queue = rootNames.slice();
+        const expanded = new Set();
+        const getTargetId = name => {
+            if (!this.targetIds.has(name)) {
+                const exists = this.targets[name] !== null && this.targets[name] !== undefined;
+                this.targetIds.set(name, this.addNode(exists ? 'target' : 'missing', exists ? name : `${name} (missing)`));
+                queue.push(name);
+            }
+
+            return this.targetIds.get(name);
+        };
+
+        rootNames.forEach(getTargetId);
+        while (queue.length > 0) {
+            const name = queue.shift();
+            if (!expanded.has(name) && this.targets[name] !== null && this.targets[name] !== undefined) {
+                expanded.add(name);
+                this.addTarget(this.targets[name], getTargetId(name), undefined, getTargetId);
+            }
+        }
+    }
+
+    /**
+     * Adds a node.
+     * @private
+     * @param {string} type The type of the node.
+     * @param {string} label The label of the node.
+     * @return {string} The identifier of the node.
+     */
+    addNode(type, label) {
+        const id = `n${this.nodes.length + 1}`;
+        this.nodes.push({ id: id, type: type, label: label });
+        return id;
+    }
+
+    /**
+     * Adds the nodes and the edges of a target, executed by another node.
+     * @private
+     * @param {LLBuild~Target} target The target.
+     * @param {string} parentId The identifier of the node executing the target.
+     * @param {number=} order The position of the target in a serial array, starting from 1.
+     * @param {Function} getTargetId Gets the identifier of the node of a named target.
+     */
+    addTarget(target, parentId, order, getTargetId) {
+        const addEdge = (to, reference) => {
+            const edge = { from: parentId, to: to, reference: reference };
+            if (order !== undefined) {
+                edge.order = order;
+            }
+
+            this.edges.push(edge);
+        };
+
+        if (target === null || target === undefined || target === true || target === false) {
+            return;
+        } else if (target.constructor === String) {
+            addEdge(getTargetId(target), true);
+        } else if (target.constructor === Function) {
+            addEdge(this.addNode('runner', target.name ? `${target.name}()` : 'function'), false);
+        } else if (target.constructor === Array) {
+            const isSerial = target[0] === true;
+            const items = (typeof target[0] === 'boolean' ? target.slice(1) : target).filter(t => t !== null && t !== undefined && t !== true && t !== false);
+            if (items.length === 1) {
+                this.addTarget(items[0], parentId, order, getTargetId);
+            } else if (items.length > 1) {
+                const groupId = this.addNode(isSerial ? 'serial' : 'parallel', isSerial ? 'serial' : 'parallel');
+                addEdge(groupId, false);
+                items.forEach((item, i) => this.addTarget(item, groupId, isSerial ? i + 1 : undefined, getTargetId));
+            }
+        } else if (target.constructor === Object) {
+            // The runner of an object target is executed after its dependencies.
+            this.addTarget([true, target.deps, target.run], parentId, order, getTargetId);
+        }
+    }
+
+    /**
+     * Formats the graph in the Graphviz DOT language. Named targets are boxes, serial arrays are diamonds with numbered edges,
+     * parallel arrays are parallelograms, function runners are ellipses, and edges to named references are dashed.
+     * @return {string} The graph.
+     */
+    toDot() {
+        const shapes = {
+            target: 'shape=box, style=bold',
+            missing: 'shape=box, style=dashed, color=red',
+            serial: 'shape=diamond',
+            parallel: 'shape=parallelogram',
+            runner: 'shape=ellipse'
+        };
+
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        return ['digraph llbuild {', '    rankdir=LR;']
+            .concat(this.nodes.map(node => `    ${node.id} [label=${quote(node.label)}, ${shapes[node.type]}];`))
+            .concat(this.edges.map(edge => {
+                const attributes = (edge.order !== undefined ? [`label=${quote(edge.order)}`] : []).concat(edge.reference ? ['style=dashed'] : []);
+                return `    ${edge.from} -> ${edge.to}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`;
+            }))
+            .concat(['}'])
+            .join(os.EOL);
+    }
+
+    /**
+     * Formats the graph as a Mermaid flowchart. Named targets are rectangles, serial arrays are hexagons with numbered edges,
+     * parallel arrays are parallelograms, function runners are stadiums, and edges to named references are dotted.
+     * @return {string} The graph.
+     */
+    toMermaid() {
+        const shapes = {
+            target: ['[', ']'],
+            missing: ['[', ']:::missing'],
+            serial: ['{{', '}}'],
+            parallel: ['[/', '/]'],
+            runner: ['([', '])']
+        };
+
+        const quote = value => `"${String(value).replace(/"/g, '#quot;')}"`;
+        return ['flowchart LR']
+            .concat(this.nodes.map(node => `    ${node.id}${shapes[node.type][0]}${quote(node.label)}${shapes[node.type][1]}`))
+            .concat(this.edges.map(edge => {
+                if (edge.reference) {
+                    return `    ${edge.from} -.${edge.order !== undefined ? ` ${edge.order} .` : ''}-> ${edge.to}`;
+                } else {
+                    return `    ${edge.from} --${edge.order !== undefined ? ` ${edge.order} --` : ''}> ${edge.to}`;
+                }
+            }))
+            .concat(this.nodes.some(node => node.type === 'missing') ? ['    classDef missing stroke:#f00,stroke-dasharray:4'] : [])
+            .join(os.EOL);
+    }
+
+    /**
+     * Converts the graph to an object that can be serialised as JSON.
+     * @return {Object} The names of the root targets, the nodes and the edges.
+     */
+    toJSON() {
+        return {
+            roots: this.rootNames,
+            nodes: this.nodes.map(node => Object.assign({}, node)),
+            edges: this.edges.map(edge => Object.assign({}, edge))
+        };
+    }
+
+    /**
+     * Formats the graph.
+     * @param {string} format Either 'dot', 'mermaid' or 'json'.
+     * @return {string} The graph.
+     * @throws {Error} If the format is not supported.
+     */
+    format(format) {
+        if (format === 'dot') {
+            return this.toDot();
+        } else if (format === 'mermaid') {
+            return this.toMermaid();
+        } else if (format === 'json') {
+            return JSON.stringify(this.toJSON(), null, 2);
+        } else {
+            throw new Error(`Unsupported graph format: ${format}. The supported formats are ${TargetGraph.FORMATS.join(', ')}.`);
+        }
+    }
+}
+
+/**
+ * The formats {@link TargetGraph#format} supports.
+ * @type {Array.<string>}
+ */
+TargetGraph.FORMATS = ['dot', 'mermaid', 'json'];
+
+module.exports = TargetGraph;
@@ -0,0 +1,75 @@
+"use strict";
+
+/**
+ * @module llbuild/job-limiter
+ * @license MIT
+ */
+
+/**
+ * Limits how many target runners and commands run at the same time.
+ *
+ * A command executed by a running target runner usually replaces the work of that runner
+ * rather than adding to it, so the load is the greater of the number of running runners and
+ * the number of running commands. This also guarantees that a runner waiting for its first
+ * command can never deadlock the build, even with a limit of one job.
+ */
+class JobLimiter {
+    /**
+     * Creates a new job limiter.
+     * @param {LLBuild~LLBuildOptions} options The options of the builder, whose jobs property is the maximum load.
+     */
+    constructor(options) {
+        this.options = options;
+        this.running = { runner: 0, command: 0 };
+        this.queue = [];
+    }
+
+    /**
+     * Waits until a job of the specified kind can be started without exceeding the limit.
+     * @param {string} kind Either 'runner' or 'command'.
+     * @return {Promise.<Function>} A promise object that will resolve with a function releasing the job once it is done.
+     */
+    acquire(kind) {
+        return new Promise(resolve => {
+            this.queue.push({ kind: kind, resolve: resolve });
+            this.startQueuedJobs();
+        });
+    }
+
+    /**
+     * Starts the queued jobs that fit within the limit, in the order they were queued.
+     * @private
+     */
+    startQueuedJobs() {
+        for (let i = 0; i < this.queue.length; i++) {
+            const job = this.queue[i];
+            if (this.canStart(job.kind)) {
+                this.queue.splice(i--, 1);
+                this.running[job.kind]++;
+
+                let released = false;
+                job.resolve(() => {
+                    if (!released) {
+                        released = true;
+                        this.running[job.kind]--;
+                        this.startQueuedJobs();
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Determines whether a job of the specified kind can be started without exceeding the limit.
+     * @private
+     * @param {string} kind Either 'runner' or 'command'.
+     * @return {boolean} True if the job can be started, false otherwise.
+     */
+    canStart(kind) {
+        const runners = this.running.runner + (kind === 'runner' ? 1 : 0);
+        const commands = this.running.command + (kind === 'command' ? 1 : 0);
+        return Math.max(runners, commands) <= Math.max(1, this.options.jobs);
+    }
+}
+
+module.exports = JobLimiter;
@@ -5,30 +5,232 @@
  * @license MIT
  */
 
+const asyncHooks = require('async_hooks');
 const childProcess = require('child_process');
 const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
 const mkdirp = require('mkdirp');
-const rimraf = require('rimraf');
+const path = require('path');
 const os = require('os');
+const util = require('util');
+const BuildCache = require('./cache.js');
+const CancellationScope = require('./cancellation.js');
+const cli = require('./cli.js');
+const errors = require('./errors.js');
+const fileOps = require('./file-ops.js');
+const globs = require('./glob.js');
+const TargetGraph = require('./graph.js');
+const JobLimiter = require('./job-limiter.js');
+const PluginSet = require('./plugins.js');
+const BuildProfile = require('./profile.js');
+const BuildReport = require('./report.js');
+const reporters = require('./reporters.js');
+const RetryPolicy = require('./retry.js');
+const Watcher = require('./watcher.js');
+
+const statAsync = util.promisify(fs.stat);
+
+/**
+ * Tracks the target runner the code being executed belongs to, across asynchronous calls, where AsyncLocalStorage is available.
+ * @private
+ * @type {AsyncLocalStorage}
+ */
+const runnerStorage = asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
 
 /**
  * @typedef LLBuild~Target
- * @type {string|boolean|Array.<LLBuild~Target>|LLBuild~targetRunner}
+ * @type {string|boolean|Array.<LLBuild~Target>|LLBuild~targetRunner|LLBuild~TargetDefinition}
  * Describes a build target.
  */
 
+/**
+ * Describes a build target declaratively, keeping its dependencies and metadata next to its runner.
+ * @interface LLBuild~TargetDefinition
+ * @property {LLBuild~Target=} deps The dependencies of the target, executed before the runner.
+ * @property {LLBuild~targetRunner=} run The target runner callback, executed after the dependencies.
+ * @property {string=} description A human-readable description of the target.
+ * @property {Array.<string>=} inputs Glob patterns matching the files the target reads. Files matching a pattern starting with ! are left out, see {@link LLBuild#glob}.
+ * @property {Array.<string>=} outputs Glob patterns matching the files the target writes. Files matching a pattern starting with ! are left out.
+ * If both inputs and outputs are declared, the runner is skipped while every output pattern matches
+ * at least one file and the oldest output is newer than the newest input.
+ * @property {Array.<string>=} watch Glob patterns matching the files whose changes cause the target to be executed again by {@link LLBuild#watch} (default is the inputs).
+ * @property {number=} timeout The number of milliseconds after which the runner is cancelled and its commands are killed.
+ * @property {AbortSignal=} signal A signal cancelling the runner and killing its commands when aborted.
+ * @property {LLBuild~RetryOptions=} retry Describes how the runner is executed again after it has failed. The timeout covers every attempt.
+ * @property {Array.<string>=} env The names of the environment variables the target depends on, part of its fingerprint when {@link LLBuild~LLBuildOptions}.cache is enabled.
+ * @property {boolean=} alwaysRun If true, the target is executed every time it is referenced, instead of at most once per build.
+ */
+
 /**
  * @callback LLBuild~targetRunner
  * @param {LLBuild} builder The builder instance that invoked the target runner.
  * @param {Object?} context The context object that was provided to the {@link LLBuild#executeTarget} function.
- * @return {Promise} A promise object that will resolve after the callback was executed successfully.
+ * @param {Object.<string, *>} deps The values of the named targets referenced by the target that have completed in this build, keyed by target name.
+ * @return {Promise} A promise object that will resolve with the value of the target after the callback was executed successfully.
+ * The value is stored for the rest of the build, see {@link LLBuild#result}.
  */
 
 /**
  * Options passed in to the {@link LLBuild} constructor.
  * @interface LLBuild~LLBuildOptions
  * @property {boolean=} quiet If true, the builder will not print to the standard output and standard error.
+ * @property {(string|LLBuild~Reporter)=} reporter The reporter printing the events of the builder: either the name of a built-in reporter,
+ * 'plain', 'prefixed' (prefixing every line with the name of its target) or 'json' (printing every event as a line of JSON),
+ * or a reporter object (default is 'plain').
  * @property {number=} maxBufferSize The maximum size of the stdout and stderr buffers (default is 200 * 1024).
+ * @property {boolean=} streamOutput If true, commands are spawned and their output is printed line by line as it arrives,
+ * without being buffered, instead of all at once after they have exited.
+ * @property {number=} outputTailLines The number of last output lines of a failed command kept in its error (default is 50).
+ * @property {Array.<string>=} alwaysRun The names of the targets that are executed every time they are referenced, instead of at most once per build.
+ * @property {boolean=} cache If true, targets declaring inputs are skipped while their fingerprint (the paths relative to the working directory
+ * and the contents of their inputs, the values of their environment variables, their runner and the context passed in to it, including the
+ * KEY=VALUE variables of {@link LLBuild#runArgs}) matches the one stored in the manifest file, instead of comparing modification times.
+ * @property {string=} cacheManifest The path of the manifest file storing the fingerprints (default is .llbuild/cache.json).
+ * @property {boolean=} dryRun If true, the builder prints the execution plan of the targets instead of executing them, and
+ * {@link LLBuild#executeCommand}, {@link LLBuild#mkdirp}, {@link LLBuild#rmrf} and the other file operations print what they would do without doing it.
+ * @property {number=} jobs The maximum number of target runners and commands running at the same time (default is the number of CPUs).
+ * @property {number=} watchDelay The number of milliseconds {@link LLBuild#watch} waits for further changes before starting a build (default is 100).
+ * @property {boolean=} keepGoing If true, the independent targets keep being executed after a failure, and the build rejects at the end
+ * with an {@link AggregateBuildError} listing every failed target. Otherwise no new work is started after the first failure.
+ * @property {string=} report The path of a report file written after every build, describing the targets it has reached
+ * with their status, timings and commands.
+ * @property {string=} reportFormat The format of the report, either 'json' or 'junit' (default is 'junit' if the path of the report ends with .xml, 'json' otherwise).
+ * @property {boolean=} validate If true, the targets reachable from the target a build is started with are checked by {@link LLBuild#validate}
+ * before anything is executed, and the build rejects with a {@link ValidationError} if a problem other than an unreachable target is found.
+ * @property {string=} profile The path of a Chrome Trace Event file written after every build, recording the target runners and the commands as spans,
+ * and the critical path of the build, which is also printed.
+ */
+
+/**
+ * Options controlling the cancellation of a build or a command.
+ * @interface LLBuild~ExecutionOptions
+ * @property {AbortSignal=} signal A signal cancelling the build or the command when aborted.
+ * @property {number=} timeout The number of milliseconds after which the build or the command is cancelled.
+ */
+
+/**
+ * Options controlling the cancellation and the retries of a command.
+ * @interface LLBuild~CommandOptions
+ * @extends LLBuild~ExecutionOptions
+ * @property {LLBuild~RetryOptions=} retry Describes how the command is executed again after it has failed. The timeout covers every attempt.
+ * @property {string=} cwd The working directory of the command (default is the working directory of the build).
+ * @property {Object.<string, string>=} env Environment variables added to the environment of the build for the command.
+ * @property {(string|Buffer)=} input The data written to the standard input of the command.
+ */
+
+/**
+ * Options of a command executed as a file with an array of arguments.
+ * @interface LLBuild~SpawnOptions
+ * @extends LLBuild~CommandOptions
+ * @property {string=} targetName The target the command execution is associated with.
+ * @property {(boolean|string)=} shell Executes the quoted command line in a shell, or in the specified shell, instead of executing the file directly (default is false).
+ */
+
+/**
+ * The outcome of checking whether a target is up to date.
+ * @private
+ * @interface LLBuild~UpToDateCheck
+ * @property {string} reason The reason why the execution of the target can be skipped, or null if it has to be executed.
+ * @property {string=} inputsDigest The digest of the inputs of the target, if its fingerprint is to be stored after its execution.
+ */
+
+/**
+ * The state shared by all the targets executed as part of a single build.
+ * @private
+ * @interface LLBuild~BuildState
+ * @property {Map.<string, Promise>} executions The executions of the named targets started so far, keyed by target name.
+ * @property {Map.<string, *>} results The values of the named targets completed so far, keyed by target name.
+ * @property {Map.<string, Array.<string>>} needed The names of the targets requested with {@link LLBuild#need} by the runners of the named targets, keyed by target name.
+ * @property {Array.<string>} chain The names of the targets that led to the target being executed, outermost first.
+ * @property {number} depth The nesting depth of the target being executed, used for indenting the execution plan printed in dry run mode.
+ * @property {CancellationScope} cancellation The scope cancelled when the build is cancelled or times out.
+ * @property {Array.<LLBuild~TargetFailure>} failures The failures of the target runners, in the order they have failed.
+ * @property {Array.<string>} notRun The names of the targets that were not executed because a target they depend on has failed.
+ * @property {Array.<(BuildReport|BuildProfile)>} recorders The report and the profile recording the build, as set by {@link LLBuild~LLBuildOptions},
+ * or null until the first target of the build is executed.
+ */
+
+/**
+ * A plugin hooking into the execution of builds, targets and commands, registered with {@link LLBuild#use}.
+ * Every hook is optional and may return a promise, which the execution waits for. Hooks run in the order the plugins were registered,
+ * and a hook resolving with a value other than undefined short-circuits the same hook of the plugins registered after it.
+ * As no target runner or command is executed in dry run mode, only beforeBuild and afterBuild are called then.
+ * @interface LLBuild~Plugin
+ * @property {Function=} beforeBuild Called with {@link LLBuild~BuildHookArgs} before the targets of a build are executed. Rejecting fails the build.
+ * @property {Function=} beforeTarget Called with {@link LLBuild~TargetHookArgs} before a target runner is executed.
+ * Resolving with a string skips the runner, the string being the reason, and rejecting fails the target.
+ * @property {Function=} afterTarget Called with {@link LLBuild~TargetHookArgs} after a target runner has succeeded,
+ * before the target is reported as completed. Rejecting fails the target.
+ * @property {Function=} onError Called with {@link LLBuild~TargetHookArgs} after a target runner has failed, the err property being the {@link BuildError}.
+ * The target fails with its own error even if the hook rejects.
+ * @property {Function=} afterBuild Called with {@link LLBuild~BuildHookArgs} after the targets of a build have settled, the err property being
+ * the error the build rejects with, or null. Rejecting fails a successful build.
+ * @property {Function=} wrapCommand Called with a {@link LLBuild~HookCommand} and a function running the command passed in to it,
+ * which resolves with the stdout, by {@link LLBuild#executeCommand}. The hook may change the command, run it more than once
+ * or not at all, and resolves with the stdout. The first registered plugin wraps the ones registered after it.
+ * The changes are not printed nor reported, so that the hook can add secrets to the command.
+ */
+
+/**
+ * The argument of the beforeBuild and afterBuild hooks of a {@link LLBuild~Plugin}.
+ * @interface LLBuild~BuildHookArgs
+ * @property {LLBuild} builder The builder instance.
+ * @property {string} targetName The name of the target the build was started with.
+ * @property {Object} context The context object passed in to the target runners.
+ * @property {Error=} err In the afterBuild hook, the error the build rejects with, or null if it has succeeded.
+ */
+
+/**
+ * The argument of the beforeTarget, afterTarget and onError hooks of a {@link LLBuild~Plugin}.
+ * @interface LLBuild~TargetHookArgs
+ * @property {LLBuild} builder The builder instance.
+ * @property {string} targetName The name of the target or the first parent target with a name.
+ * @property {Object} context The context object passed in to the target runner.
+ * @property {BuildError=} err In the onError hook, the error the target fails with.
+ */
+
+/**
+ * A command passed through the wrapCommand hooks of the plugins.
+ * @interface LLBuild~HookCommand
+ * @property {LLBuild} builder The builder instance.
+ * @property {string} cmd The command to execute, or the quoted command line of a command executed as a file with an array of arguments,
+ * in which case it is ignored. Changing it does not change the command line printed and reported, which is the one passed in to {@link LLBuild#executeCommand}.
+ * @property {string} file The file to execute, or null if cmd is executed in a shell.
+ * @property {Array.<string>} args The arguments of the file, or null if cmd is executed in a shell.
+ * @property {string} targetName The target the command execution is associated with, or null.
+ * @property {(LLBuild~CommandOptions|LLBuild~SpawnOptions)} options The options of the command, or undefined.
+ */
+
+/**
+ * The target runner a builder instance passed in to a {@link LLBuild~targetRunner} callback belongs to.
+ * @private
+ * @interface LLBuild~RunnerScope
+ * @property {string} targetName The name of the target or the first parent target with a name.
+ * @property {Object} context The context object passed in to the target runner.
+ * @property {LLBuild~BuildState} build The state of the build the target is executed as part of.
+ * @property {Function} release Releases the job slot of the target runner.
+ * @property {boolean} holdsJob True if the target runner holds a job slot, false while it is waiting for the targets it has requested with {@link LLBuild#need}.
+ * @property {number} waiting The number of calls to {@link LLBuild#need} the target runner is waiting for.
+ * @property {CancellationScope} cancellation The scope of the target runner, the parent of the scopes of the commands it executes.
+ * @property {LLBuild} builder The builder instance passed in to the target runner.
+ */
+
+/**
+ * Describes a problem found by {@link LLBuild#validate}.
+ * @interface LLBuild~ValidationIssue
+ * @property {string} type Either 'missing' (a reference to a target that does not exist), 'unsupported' (a target or runner of an unsupported type),
+ * 'cycle' (a dependency cycle) or 'unreachable' (a target not reachable from the root targets).
+ * @property {string} targetName The name of the target the problem was found in, or null if a root target does not exist.
+ * @property {string} message The description of the problem.
+ * @property {string=} reference The name of the missing target, for 'missing' problems.
+ * @property {Array.<string>=} cycle The names of the targets forming the cycle, starting and ending with the same target, for 'cycle' problems.
+ */
+
+/**
+ * Describes the failure of a target runner.
+ * @interface LLBuild~TargetFailure
+ * @property {string} targetName The name of the target.
+ * @property {Error} err The error the target runner has rejected with.
  */
 
 /**
@@ -65,179 +267,1390 @@ class LLBuild {
         this.targets = targets ? targets : {};
         this.options = LLBuild.makeDefaultOptions(options || {});
         this.emitter = new EventEmitter();
+        this.cache = new BuildCache(this.options.cacheManifest);
+        this.recordedCommands = new Map();
+        this.jobLimiter = new JobLimiter(this.options);
+        this.activeBuilds = new Set();
+        this.childProcesses = new Set();
+        this.reporter = null;
+        this.plugins = new PluginSet();
+        this.lastBuild = null;
+        this.runnerScope = null;
     }
 
     /**
      * Extends an an options object with any missing defaults.
      * @private
-     * @param {LLBuild~LLBuildOptions} The options object to extends.
-     * @return {LLBuild~LLBuildOptions} The extended options object.
+     * @param {LLBuild~LLBuildOptions} The options object to extends.
+     * @return {LLBuild~LLBuildOptions} The extended options object.
+     */
+    static makeDefaultOptions(src) {
+        var opts = Object.assign({}, src);
+        if (opts.quiet === undefined) {
+            opts.quiet = false;
+        }
+
+        if (opts.reporter === undefined) {
+            opts.reporter = 'plain';
+        }
+
+        if (opts.maxBufferSize === undefined) {
+            opts.maxBufferSize = 200 * 1024;
+        }
+
+        if (opts.streamOutput === undefined) {
+            opts.streamOutput = false;
+        }
+
+        if (opts.outputTailLines === undefined) {
+            opts.outputTailLines = 50;
+        }
+
+        if (opts.alwaysRun === undefined) {
+            opts.alwaysRun = [];
+        }
+
+        if (opts.cache === undefined) {
+            opts.cache = false;
+        }
+
+        if (opts.cacheManifest === undefined) {
+            opts.cacheManifest = '.llbuild/cache.json';
+        }
+
+        if (opts.dryRun === undefined) {
+            opts.dryRun = false;
+        }
+
+        if (opts.jobs === undefined) {
+            opts.jobs = Math.max(1, os.cpus().length);
+        }
+
+        if (opts.watchDelay === undefined) {
+            opts.watchDelay = 100;
+        }
+
+        if (opts.keepGoing === undefined) {
+            opts.keepGoing = false;
+        }
+
+        if (opts.validate === undefined) {
+            opts.validate = false;
+        }
+
+        return opts;
+    }
+
+    /**
+     * Creates the state of a new build.
+     * @private
+     * @param {CancellationScope=} cancellation The scope cancelled when the build is cancelled, or null to create a new one.
+     * @return {LLBuild~BuildState} The state of the new build.
+     */
+    makeBuildState(cancellation) {
+        return { executions: new Map(), results: new Map(), needed: new Map(), chain: [], depth: 0, cancellation: cancellation || new CancellationScope(), failures: [], notRun: [], recorders: null };
+    }
+
+    /**
+     * Creates the state of a build for executing the dependencies of a named target.
+     * @private
+     * @param {LLBuild~BuildState} build The state of the build the named target is executed as part of.
+     * @param {string} targetName The name of the target whose dependencies are executed.
+     * @return {LLBuild~BuildState} The state of the build with the target appended to the chain.
+     */
+    enterTarget(build, targetName) {
+        return Object.assign({}, build, { chain: build.chain.concat([targetName]), depth: build.depth + 1 });
+    }
+
+    /**
+     * Prints a line of the execution plan in dry run mode.
+     * @private
+     * @param {string} content The content of the line.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {LLBuild~BuildState} build The state of the build, determining the indentation of the line.
+     */
+    printPlan(content, targetName, build) {
+        this.print(`${'  '.repeat(build.depth)}${content}`, targetName);
+    }
+
+    /**
+     * Executes a target.
+     * @param {String} target The name of the target to execute.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~ExecutionOptions=} executionOptions Options cancelling the build when a signal is aborted or a timeout elapses.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully,
+     * or reject with a {@link CancellationError} or a {@link TimeoutError} if the build was cancelled.
+     * The value of a target runner is the value it has resolved with, the value of an array target is the array of the values of its items
+     * (not including the leading true or false), and the value of an object target is the value of its runner, or of its dependencies if it has none.
+     * Targets skipped because they are up to date, and all targets in dry run mode, have an undefined value.
+     * @example
+     * const targets = {
+     *     'default': ['babel', 'less'],
+     *     'babel': function() {
+     *         // invoke babel
+     *     },
+     *     'less': function() {
+     *         // invoke less
+     *     }
+     * };
+     *
+     * new LLBuild(targets).executeTarget('default');
+     */
+    executeTarget(targetName, context, executionOptions) {
+        if (!targetName || targetName.constructor !== String) {
+            return Promise.reject(new Error('Target name is expected to be a string.'));
+        } else {
+            const cancellation = CancellationScope.fromOptions(null, executionOptions, `Build of '${targetName}'`);
+            return this.executeBuild(targetName, context, this.makeBuildState(cancellation)).then(
+                value => { cancellation.dispose(); return Promise.resolve(value); },
+                err => { cancellation.dispose(); return Promise.reject(err); }
+            );
+        }
+    }
+
+    /**
+     * Executes a build of a target.
+     * @private
+     * @param {String} targetName The name of the target to execute.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState} build The state of the build.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeBuild(targetName, context, build) {
+        this.activeBuilds.add(build);
+        if (!build.recorders) {
+            build.recorders = this.makeRecorders();
+        }
+
+        build.recorders.forEach(recorder => recorder.start(targetName));
+        const hookArgs = { builder: this, targetName: targetName, context: context };
+
+        return (
+            Promise
+            .resolve()
+            .then(() => { this.emitBuildStarted(targetName); return Promise.resolve(); })
+            .then(() => this.checkDependencyCycles(targetName))
+            .then(() => this.options.validate ? this.validateBuild(targetName) : Promise.resolve())
+            .then(() => build.cancellation.race(
+                this.plugins.run('beforeBuild', hookArgs).then(() => this.executeAnyTarget(targetName, targetName, context, build))
+            ))
+            .catch(err => {
+                if (this.options.keepGoing && build.failures.length > 0 && !build.cancellation.cancelled) {
+                    return Promise.reject(new errors.AggregateBuildError(build.failures, build.notRun));
+                } else {
+                    return Promise.reject(err);
+                }
+            })
+            .then(
+                value => this.plugins.run('afterBuild', Object.assign({ err: null }, hookArgs)).then(() => value),
+                err => this.runFailureHook('afterBuild', Object.assign({ err: err }, hookArgs)).then(() => Promise.reject(err))
+            )
+            .then(
+                value => this.writeRecorders(build, 'succeeded', null).then(() => {
+                    this.finishBuild(build);
+                    this.emitBuildComplete(targetName);
+                    return Promise.resolve(value);
+                }),
+                err => {
+                    const isCancelled = build.cancellation.cancelled && err === build.cancellation.error;
+                    return this.writeRecorders(build, isCancelled ? 'cancelled' : 'failed', err).catch(recorderErr => {
+                        this.print(`Could not write the report: ${recorderErr.message}`, targetName, 'stderr');
+                    }).then(() => {
+                        this.finishBuild(build);
+                        if (isCancelled) {
+                            this.emitBuildCancelled(targetName, err);
+                        } else {
+                            this.emitBuildFailed(targetName, err);
+                        }
+
+                        return Promise.reject(err);
+                    });
+                }
+            )
+        );
+    }
+
+    /**
+     * Removes a build from the builds in progress, keeping it for {@link LLBuild#result} and {@link LLBuild#getNeededTargets}.
+     * @private
+     * @param {LLBuild~BuildState} build The state of the build.
+     */
+    finishBuild(build) {
+        this.activeBuilds.delete(build);
+        this.lastBuild = build;
+    }
+
+    /**
+     * Finds the build a target runner belongs to, the latest build in progress or the last build, whichever matches first.
+     * @private
+     * @param {Function} predicate Determines whether a build matches.
+     * @return {LLBuild~BuildState} The state of the build, or null if no build matches.
+     */
+    findBuild(predicate) {
+        const builds = (this.runnerScope ? [this.runnerScope.build] : []).concat(Array.from(this.activeBuilds).reverse(), this.lastBuild ? [this.lastBuild] : []);
+        return builds.find(predicate) || null;
+    }
+
+    /**
+     * Gets the value a named target has resolved with in the build of the calling target runner, otherwise in the latest build in progress
+     * the target has completed in, or in the last build.
+     * @param {string} targetName The name of the target.
+     * @return {*} The value of the target, or undefined if it has not completed.
+     * @example
+     * const targets = {
+     *     'default': [true, 'version', 'package'],
+     *     'version': builder => builder.executeCommand('git describe --tags', 'version').then(stdout => stdout.trim()),
+     *     'package': builder => builder.executeCommand(`npm pack --tag ${builder.result('version')}`, 'package')
+     * };
+     */
+    result(targetName) {
+        const build = this.findBuild(b => b.results.has(targetName));
+        return build ? build.results.get(targetName) : undefined;
+    }
+
+    /**
+     * Executes named targets from within a target runner, as dependencies discovered at run time.
+     * Each target is executed at most once per build, like the targets referenced statically, and the job slot of the calling runner
+     * is released while it waits. The requested targets are recorded, see {@link LLBuild#getNeededTargets}.
+     * @param {...string} targetNames The names of the targets to execute, in parallel.
+     * @return {Promise.<Array>} A promise object that will resolve with the values of the targets after they were executed successfully,
+     * or reject with a {@link DependencyCycleError} if a target depends on the calling target.
+     * @example
+     * const targets = {
+     *     'packages': builder => readManifest().then(manifest => builder.need(...manifest.packages))
+     * };
+     */
+    need(...targetNames) {
+        const scope = this.runnerScope;
+        if (!scope || !scope.build) {
+            return Promise.reject(new Error('need() is expected to be called on the builder instance passed in to a target runner.'));
+        } else if (targetNames.some(name => !name || name.constructor !== String)) {
+            return Promise.reject(new Error('Target name is expected to be a string.'));
+        }
+
+        const build = scope.build;
+        for (let i = 0; i < targetNames.length; i++) {
+            const path = this.findDependencyPath(targetNames[i], scope.targetName, build);
+            if (path) {
+                return Promise.reject(new errors.DependencyCycleError([scope.targetName].concat(path)));
+            }
+
+            const needed = build.needed.get(scope.targetName) || [];
+            if (needed.indexOf(targetNames[i]) < 0) {
+                build.needed.set(scope.targetName, needed.concat([targetNames[i]]));
+            }
+        }
+
+        this.suspendRunner(scope);
+        const executions = targetNames.map(name => this.executeTargetWithName(name, scope.context, build));
+        const settled = this.options.keepGoing ? LLBuild.settleAll(executions) : Promise.all(executions);
+        return settled.then(
+            values => this.resumeRunner(scope).then(() => values),
+            err => this.resumeRunner(scope).then(() => Promise.reject(err))
+        );
+    }
+
+    /**
+     * Releases the job slot of a target runner starting to wait for the targets it has requested, so that they can be executed even with a single job.
+     * @private
+     * @param {LLBuild~RunnerScope} scope The target runner.
+     */
+    suspendRunner(scope) {
+        if (scope.waiting++ === 0 && scope.holdsJob) {
+            scope.holdsJob = false;
+            scope.release();
+        }
+    }
+
+    /**
+     * Acquires a job slot again for a target runner once it is no longer waiting for the targets it has requested.
+     * @private
+     * @param {LLBuild~RunnerScope} scope The target runner.
+     * @return {Promise} A promise object that will resolve once the target runner can continue.
+     */
+    resumeRunner(scope) {
+        if (--scope.waiting > 0) {
+            return Promise.resolve();
+        }
+
+        return this.jobLimiter.acquire('runner').then(release => {
+            // Another request may have started, or a concurrent one may have acquired a slot, while this one was queued.
+            if (scope.waiting > 0 || scope.holdsJob) {
+                release();
+            } else {
+                scope.release = release;
+                scope.holdsJob = true;
+            }
+        });
+    }
+
+    /**
+     * Gets the names of the targets a target has requested with {@link LLBuild#need}, in the build of the calling target runner,
+     * otherwise in the latest build in progress or in the last build.
+     * @param {string} targetName The name of the target.
+     * @return {Array.<string>} The names of the requested targets, in the order they were first requested.
+     */
+    getNeededTargets(targetName) {
+        const build = this.findBuild(b => b.needed.has(targetName));
+        return build ? build.needed.get(targetName).slice() : [];
+    }
+
+    /**
+     * Finds a chain of dependencies, static or requested with {@link LLBuild#need}, leading from one named target to another.
+     * @private
+     * @param {string} fromName The name of the target to start from.
+     * @param {string} toName The name of the target to reach.
+     * @param {LLBuild~BuildState} build The state of the build whose requested targets are followed.
+     * @return {Array.<string>} The names of the targets on the shortest chain, starting with fromName and ending with toName, or null if there is none.
+     */
+    findDependencyPath(fromName, toName, build) {
+        const parents = new Map([[fromName, null]]);
+        const queue = [fromName];
+        while (queue.length > 0) {
+            const name = queue.shift();
+            if (name === toName) {
+                const path = [];
+                for (let n = name; n !== null; n = parents.get(n)) {
+                    path.unshift(n);
+                }
+
+                return path;
+            }
+
+            LLBuild.getTargetReferences(this.targets[name]).concat(build.needed.get(name) || []).forEach(next => {
+                if (!parents.has(next)) {
+                    parents.set(next, name);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates the builder instance passed in to a target runner, which knows the build and the target it belongs to.
+     * It shares the state of this builder instance.
+     * @private
+     * @param {LLBuild~RunnerScope} scope The target runner the builder instance belongs to.
+     * @return {LLBuild} The builder instance.
+     */
+    makeRunnerBuilder(scope) {
+        return Object.assign(Object.create(this), { runnerScope: scope });
+    }
+
+    /**
+     * Calls a target runner, so that the code it executes, including its asynchronous callbacks, can find the target runner it belongs to.
+     * Before Node.js 12.17, only the code executed synchronously by the target runner can.
+     * @private
+     * @param {LLBuild~RunnerScope} scope The target runner.
+     * @param {Function} callback Calls the target runner.
+     * @return {*} The return value of the callback.
+     */
+    static runInRunnerScope(scope, callback) {
+        if (runnerStorage) {
+            return runnerStorage.run(scope, callback);
+        }
+
+        const previousScope = LLBuild.syncRunnerScope;
+        LLBuild.syncRunnerScope = scope;
+        try {
+            return callback();
+        } finally {
+            LLBuild.syncRunnerScope = previousScope;
+        }
+    }
+
+    /**
+     * Gets the target runner the code being executed belongs to, see {@link LLBuild.runInRunnerScope}.
+     * @private
+     * @return {LLBuild~RunnerScope} The target runner, or null.
+     */
+    static getCurrentRunnerScope() {
+        return (runnerStorage ? runnerStorage.getStore() : LLBuild.syncRunnerScope) || null;
+    }
+
+    /**
+     * Creates the report and the profile recording a build, as set by {@link LLBuild~LLBuildOptions}.
+     * @private
+     * @return {Array.<(BuildReport|BuildProfile)>} The recorders.
+     */
+    makeRecorders() {
+        const graph = {
+            getDependencies: name => LLBuild.getTargetReferences(this.targets[name]),
+            hasRunner: name => LLBuild.hasOwnRunner(this.targets[name])
+        };
+
+        const recorders = [];
+        if (this.options.report) {
+            recorders.push(new BuildReport(this, graph, this.options.report, this.options.reportFormat));
+        }
+
+        if (this.options.profile) {
+            recorders.push(new BuildProfile(this, this.options.profile));
+        }
+
+        return recorders;
+    }
+
+    /**
+     * Finishes the report and the profile of a build, writes them to their files and prints the summary of the profile.
+     * @private
+     * @param {LLBuild~BuildState} build The state of the build.
+     * @param {string} status The status of the build, either 'succeeded', 'failed' or 'cancelled'.
+     * @param {Error} err The error the build has rejected with, or null.
+     * @return {Promise} A promise object that will resolve after the files were written.
+     */
+    writeRecorders(build, status, err) {
+        return Promise.all(build.recorders.map(recorder => {
+            recorder.finish(status, err);
+            return recorder.write().then(() => {
+                if (recorder instanceof BuildProfile) {
+                    this.print(recorder.formatSummary());
+                }
+            });
+        }));
+    }
+
+    /**
+     * Registers a plugin hooking into the execution of builds, targets and commands.
+     * @param {LLBuild~Plugin} plugin The plugin.
+     * @return {LLBuild} The builder instance, for chaining.
+     * @example
+     * new LLBuild(targets).use({
+     *     beforeTarget: ev => remoteCache.has(ev.targetName).then(hit => hit ? 'found in the remote cache' : undefined),
+     *     wrapCommand: (command, next) => next(Object.assign({}, command, { cmd: `${command.cmd} --token=${process.env.TOKEN}` }))
+     * }).executeTarget('default');
+     */
+    use(plugin) {
+        this.plugins.add(plugin);
+        return this;
+    }
+
+    /**
+     * Cancels the builds in progress and kills the child processes of the commands they have started.
+     * The builds reject with a {@link CancellationError}.
+     * @example
+     * const llbuild = new LLBuild(targets);
+     * llbuild.executeTarget('default');
+     * process.once('SIGINT', () => llbuild.cancel());
+     */
+    cancel() {
+        const err = new errors.CancellationError('The build was cancelled');
+        this.activeBuilds.forEach(build => build.cancellation.cancel(err));
+        this.killChildProcesses(err);
+    }
+
+    /**
+     * Executes a target, then executes it again whenever the files matching the watch patterns of the targets it depends on change.
+     * Only the targets whose files have changed and the targets depending on them are executed again.
+     * Builds never overlap: changes arriving during a build are built once it has settled.
+     * @param {String} targetName The name of the target to execute.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @return {Promise.<Watcher>} A promise object that will resolve with the watcher after the first build has settled,
+     * or reject with a {@link UsageError} if neither the target nor the targets it depends on have watch or inputs patterns.
+     * @example
+     * const targets = {
+     *     'default': ['babel', 'less'],
+     *     'babel': { run: runBabel, watch: ['src/**\/*.js'] },
+     *     'less': { run: runLess, watch: ['styles/**\/*.less'] }
+     * };
+     *
+     * new LLBuild(targets).watch('default');
+     */
+    watch(targetName, context) {
+        if (!targetName || targetName.constructor !== String) {
+            return Promise.reject(new Error('Target name is expected to be a string.'));
+        } else if (this.getWatchPatterns(targetName).length === 0) {
+            return Promise.reject(new errors.UsageError(`Nothing to watch: neither ${targetName} nor the targets it depends on have watch or inputs patterns.`));
+        } else {
+            return new Watcher(this, targetName, context).start();
+        }
+    }
+
+    /**
+     * Executes a build on behalf of a {@link Watcher}.
+     * @private
+     * @param {String} targetName The name of the target to execute.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {Array.<string>} changedPaths The absolute paths of the changed files, or null to execute every target.
+     * @param {Map.<string, *>} results The values of the named targets completed by the previous builds of the watcher, keyed by target name.
+     * Only the targets it holds are skipped when they are not affected by the changes, so that failed targets are executed again.
+     * The values of the affected targets are removed from it, and the values of the targets completed by this build are stored in it.
+     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     */
+    executeWatchBuild(targetName, context, changedPaths, results) {
+        const build = this.makeBuildState();
+        if (changedPaths) {
+            const affected = this.getAffectedTargets(targetName, changedPaths);
+            if (affected.size === 0) {
+                return Promise.resolve();
+            }
+
+            affected.forEach(name => results.delete(name));
+            this.getReachableTargets(targetName)
+                .filter(name => results.has(name))
+                .forEach(name => {
+                    build.results.set(name, results.get(name));
+                    build.executions.set(name, Promise.resolve(results.get(name)));
+                });
+        } else {
+            results.clear();
+        }
+
+        const storeResults = () => build.results.forEach((value, name) => results.set(name, value));
+        return this.executeBuild(targetName, context, build).then(
+            value => { storeResults(); return value; },
+            err => { storeResults(); return Promise.reject(err); }
+        );
+    }
+
+    /**
+     * Gets the names of the targets defined in the builder instance.
+     * @return {Array.<string>} The names of the targets, in the order they were defined.
+     */
+    listTargets() {
+        return Object.keys(this.targets).filter(name => this.targets[name] !== null && this.targets[name] !== undefined);
+    }
+
+    /**
+     * Gets the names of the targets a target references directly, as dependencies or as items of an array target.
+     * Targets requested at run time are not included, see {@link LLBuild#getNeededTargets}.
+     * @param {string} targetName The name of the target.
+     * @return {Array.<string>} The names of the referenced targets, in the order they are first referenced.
+     * @throws {Error} If the target does not exist.
+     */
+    getDependencies(targetName) {
+        if (this.targets[targetName] === null || this.targets[targetName] === undefined) {
+            throw new Error(`Target does not exist: ${targetName}`);
+        }
+
+        return LLBuild.getTargetReferences(this.targets[targetName]);
+    }
+
+    /**
+     * Checks the definitions of the targets without executing anything, finding references to targets that do not exist,
+     * targets and runners of unsupported types, dependency cycles and targets that cannot be reached from the root targets.
+     * @param {(string|Array.<string>)=} rootNames The names of the targets builds are started with (default is the default target, if there is one).
+     * Unreachable targets are only reported if there is at least one root target.
+     * @return {Array.<LLBuild~ValidationIssue>} The problems found, or an empty array if the targets are valid.
+     * @example
+     * const issues = new LLBuild(targets).validate();
+     * issues.forEach(issue => console.error(issue.message));
+     */
+    validate(rootNames) {
+        const roots = rootNames === undefined ? this.listTargets().filter(name => name === 'default') : [].concat(rootNames);
+        const issues = roots
+            .filter(name => this.targets[name] === null || this.targets[name] === undefined)
+            .map(name => ({ type: 'missing', targetName: null, reference: name, message: `Target does not exist: ${name}` }));
+
+        const targetNames = this.listTargets();
+        const existingRoots = roots.filter(name => targetNames.indexOf(name) >= 0);
+        if (existingRoots.length > 0) {
+            const reachable = new Set();
+            existingRoots.forEach(root => this.getReachableTargets(root).forEach(name => reachable.add(name)));
+            targetNames.filter(name => !reachable.has(name)).forEach(name => issues.push({
+                type: 'unreachable',
+                targetName: name,
+                message: `${name} is not reachable from ${existingRoots.join(', ')}`
+            }));
+        }
+
+        return this.findTargetIssues(targetNames).concat(issues);
+    }
+
+    /**
+     * Exports the graph of the targets, without executing anything. Named targets, serial and parallel arrays and function runners
+     * are nodes, the items of serial arrays are numbered in the order they are executed, and references to named targets are told apart
+     * from targets defined inline. An object target is shown as its dependencies followed by its runner.
+     * @param {string} format Either 'dot' (Graphviz), 'mermaid' (a Mermaid flowchart) or 'json'.
+     * @param {(string|Array.<string>)=} rootNames The names of the targets to start from, to export a subgraph (default is every target).
+     * @return {string} The graph.
+     * @throws {Error} If the format is not supported, or a root target does not exist.
+     * @example
+     * fs.writeFileSync('targets.dot', new LLBuild(targets).exportGraph('dot', 'default'));
+     */
+    exportGraph(format, rootNames) {
+        const roots = rootNames === undefined ? this.listTargets() : [].concat(rootNames);
+        roots.forEach(name => {
+            if (this.targets[name] === null || this.targets[name] === undefined) {
+                throw new Error(`Target does not exist: ${name}`);
+            }
+        });
+
+        return new TargetGraph(this.targets, roots).format(format);
+    }
+
+    /**
+     * Checks the targets reachable from the target a build is started with, as enabled by {@link LLBuild~LLBuildOptions}.validate.
+     * @private
+     * @param {string} targetName The name of the target the build is started with.
+     * @return {Promise} A promise object that will resolve if the targets are valid, or reject with a {@link ValidationError} otherwise.
+     */
+    validateBuild(targetName) {
+        const issues = this.findTargetIssues(this.getReachableTargets(targetName).filter(name => this.targets[name] !== null && this.targets[name] !== undefined));
+        return issues.length > 0 ? Promise.reject(new errors.ValidationError(issues)) : Promise.resolve();
+    }
+
+    /**
+     * Finds the missing references, the unsupported types and the dependency cycles in the definitions of named targets.
+     * @private
+     * @param {Array.<string>} targetNames The names of the existing targets to check.
+     * @return {Array.<LLBuild~ValidationIssue>} The problems found.
+     */
+    findTargetIssues(targetNames) {
+        const issues = [];
+        const check = (target, targetName) => {
+            if (target === null || target === undefined || target === true || target === false || target.constructor === Function) {
+                return;
+            } else if (target.constructor === Array) {
+                target.forEach(t => check(t, targetName));
+            } else if (target.constructor === String) {
+                if (this.targets[target] === null || this.targets[target] === undefined) {
+                    issues.push({ type: 'missing', targetName: targetName, reference: target, message: `${targetName} references a target that does not exist: ${target}` });
+                }
+            } else if (target.constructor === Object) {
+                if (target.run !== null && target.run !== undefined && target.run.constructor !== Function) {
+                    issues.push({ type: 'unsupported', targetName: targetName, message: `${targetName}: Unsupported target runner type: ${typeof(target.run)}` });
+                }
+
+                check(target.deps, targetName);
+            } else {
+                issues.push({ type: 'unsupported', targetName: targetName, message: `${targetName}: Unsupported target type: ${typeof(target)}` });
+            }
+        };
+
+        targetNames.forEach(name => check(this.targets[name], name));
+
+        const cycleKeys = new Set();
+        targetNames.forEach(name => {
+            const chain = this.findDependencyCycle(name, [], new Set());
+            if (chain) {
+                // The chain may lead to the cycle from outside of it, and the same cycle can be reached from any of its targets.
+                const cycle = chain.slice(chain.indexOf(chain[chain.length - 1]));
+                const key = cycle.slice(1).sort().join('\n');
+                if (!cycleKeys.has(key)) {
+                    cycleKeys.add(key);
+                    issues.push({ type: 'cycle', targetName: cycle[0], cycle: cycle, message: new errors.DependencyCycleError(cycle).message });
+                }
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Gets the names of the targets reachable from the specified target, including itself.
+     * @private
+     * @param {string} targetName The name of the target to start from.
+     * @return {Array.<string>} The names of the reachable targets, in depth-first order.
+     */
+    getReachableTargets(targetName) {
+        const reachable = [];
+        const visit = name => {
+            if (reachable.indexOf(name) < 0) {
+                reachable.push(name);
+                LLBuild.getTargetReferences(this.targets[name]).forEach(visit);
+            }
+        };
+
+        visit(targetName);
+        return reachable;
+    }
+
+    /**
+     * Gets the names of the targets affected by file changes: the targets whose watch patterns match a changed file,
+     * and the targets depending on them.
+     * @private
+     * @param {string} targetName The name of the target being built.
+     * @param {Array.<string>} changedPaths The absolute paths of the changed files.
+     * @return {Set.<string>} The names of the affected targets.
+     */
+    getAffectedTargets(targetName, changedPaths) {
+        const reachable = this.getReachableTargets(targetName);
+        const affected = new Set(reachable.filter(name => {
+            const patterns = LLBuild.getOwnWatchPatterns(this.targets[name]);
+            return changedPaths.some(changedPath => globs.matches(changedPath, patterns));
+        }));
+
+        let size;
+        do {
+            size = affected.size;
+            reachable
+                .filter(name => LLBuild.getTargetReferences(this.targets[name]).some(reference => affected.has(reference)))
+                .forEach(name => affected.add(name));
+        } while (affected.size !== size);
+
+        return affected;
+    }
+
+    /**
+     * Gets the watch patterns of the targets reachable from the specified target.
+     * @private
+     * @param {string} targetName The name of the target to start from.
+     * @return {Array.<string>} The watch patterns.
+     */
+    getWatchPatterns(targetName) {
+        const patterns = [];
+        this.getReachableTargets(targetName).forEach(name => {
+            LLBuild.getOwnWatchPatterns(this.targets[name]).forEach(pattern => {
+                if (patterns.indexOf(pattern) < 0) {
+                    patterns.push(pattern);
+                }
+            });
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Gets the watch patterns declared by a target itself.
+     * @private
+     * @param {LLBuild~Target} target The target.
+     * @return {Array.<string>} The watch patterns of an object target, falling back to its inputs, or an empty array for other targets.
+     */
+    static getOwnWatchPatterns(target) {
+        if (target !== null && target !== undefined && target.constructor === Object) {
+            return target.watch || target.inputs || [];
+        } else {
+            return [];
+        }
+    }
+
+    /**
+     * Gets the names of the targets directly referenced by a target, not following the references.
+     * @private
+     * @param {LLBuild~Target} target The target.
+     * @param {Array.<string>=} references The array to add the names to.
+     * @return {Array.<string>} The names of the referenced targets, without duplicates.
+     */
+    static getTargetReferences(target, references) {
+        const actualReferences = references || [];
+        if (target === null || target === undefined) {
+            return actualReferences;
+        } else if (target.constructor === Array) {
+            target.forEach(t => LLBuild.getTargetReferences(t, actualReferences));
+        } else if (target.constructor === String) {
+            if (actualReferences.indexOf(target) < 0) {
+                actualReferences.push(target);
+            }
+        } else if (target.constructor === Object) {
+            LLBuild.getTargetReferences(target.deps, actualReferences);
+        }
+
+        return actualReferences;
+    }
+
+    /**
+     * Executes a target of any type.
+     * @pprivate
+     * @param {String} target The name of the target to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeAnyTarget(target, targetName, context, build) {
+        if (build && build.cancellation.cancelled) {
+            return Promise.reject(build.cancellation.error);
+        } else if (this.isBuildStopped(build)) {
+            return Promise.reject(build.failures[0].err);
+        } else if (target === null || target === undefined || target === true || target === false) {
+            return Promise.resolve();
+        } else if (target.constructor === Array) {
+            return this.executeArrayTarget(target, targetName, context, build);
+        } else if (target.constructor === String) {
+            return this.executeTargetWithName(target, context, build);
+        } else if (target.constructor === Function) {
+            return this.executeTargetRunner(target, targetName, context, build);
+        } else if (target.constructor === Object) {
+            return this.executeObjectTarget(target, targetName, context, build);
+        } else {
+            return Promise.reject(new Error(`Unsupported target type: ${typeof(target)}`));
+        }
+    }
+
+    /**
+     * Executes an object target: its dependencies first, then its runner.
+     * @private
+     * @param {LLBuild~TargetDefinition} targetDefinition The target to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeObjectTarget(targetDefinition, targetName, context, build) {
+        const runner = targetDefinition.run;
+        if (runner !== null && runner !== undefined && runner.constructor !== Function) {
+            return Promise.reject(new Error(`Unsupported target runner type: ${typeof(runner)}`));
+        }
+
+        return this.executeAnyTarget(targetDefinition.deps, targetName, context, build).then(value => {
+            if (runner) {
+                return this.executeTargetRunner(runner, targetName, context, build, targetDefinition);
+            } else {
+                return Promise.resolve(value);
+            }
+        });
+    }
+    
+    /**
+     * Executes an array target.
+     * @private
+     * @param {Array.<LLBuild~Target>} targetArray The target to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeArrayTarget(targetArray, targetName, context, build) {
+        if (targetArray.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        const isSerial = targetArray[0] === true;
+        let actualBuild = build;
+        if (this.options.dryRun && build) {
+            const itemCount = targetArray.slice(isSerial ? 1 : 0).filter(t => t !== null && t !== undefined && t !== true && t !== false).length;
+            if (itemCount > 1) {
+                this.printPlan(isSerial ? 'serial:' : 'parallel:', targetName, build);
+                actualBuild = Object.assign({}, build, { depth: build.depth + 1 });
+            }
+        }
+        
+        if (isSerial) {
+            return this.executeArrayTargetSerially(targetArray, targetName, context, actualBuild);
+        } else {
+            return this.executeArrayTargetInParallel(targetArray, targetName, context, actualBuild);
+        }
+    }
+    
+    /**
+     * Executes an array target serially.
+     * @private
+     * @param {Array.<LLBuild~Target>} targetArray The target to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeArrayTargetSerially(targetArray, targetName, context, build) {
+        const values = [];
+        let promise = Promise.resolve();
+        for (let i = 1; i < targetArray.length; i++) {
+            const nextTarget = targetArray[i];
+            promise = promise.then(() => this.executeAnyTarget(nextTarget, targetName, context, build)).then(value => { values.push(value); });
+        }
+        
+        return promise.then(() => values);
+    }
+    
+    /**
+     * Executes an array target in parallel.
+     * @private
+     * @param {Array.<LLBuild~Target>} targetArray The target to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeArrayTargetInParallel(targetArray, targetName, context, build) {
+        const items = targetArray[0] === false ? targetArray.slice(1) : targetArray;
+        if (this.options.dryRun) {
+            // Walk the branches one by one, so that the execution plan is printed in a readable order.
+            return this.executeArrayTargetSerially([true].concat(items), targetName, context, build);
+        }
+
+        const branches = items.map(t => this.executeAnyTarget(t, targetName, context, build));
+        return this.options.keepGoing ? LLBuild.settleAll(branches) : Promise.all(branches);
+    }
+
+    /**
+     * Waits for every promise to settle.
+     * @private
+     * @param {Array.<Promise>} promises The promises to wait for.
+     * @return {Promise} A promise object that will resolve with their values after every promise has resolved,
+     * or reject with the error of the first promise that has rejected after every promise has settled.
+     */
+    static settleAll(promises) {
+        let failed = false;
+        let firstError = null;
+        return Promise.all(promises.map(promise => promise.catch(err => {
+            if (!failed) {
+                failed = true;
+                firstError = err;
+            }
+        }))).then(values => failed ? Promise.reject(firstError) : Promise.resolve(values));
+    }
+
+    /**
+     * Determines whether a build has stopped launching new work, because a target has failed and the keepGoing option is not set.
+     * @private
+     * @param {LLBuild~BuildState=} build The state of the build, if any.
+     * @return {boolean} True if the build has stopped, false otherwise.
+     */
+    isBuildStopped(build) {
+        return !this.options.keepGoing && !!build && build.failures.length > 0;
+    }
+    
+    /**
+     * Executes the target with the specified name.
+     * Unless listed in {@link LLBuild~LLBuildOptions}.alwaysRun, a named target is executed at most once per build:
+     * subsequent references wait for the first execution to settle.
+     * @private
+     * @param {string} targetName The name of the target to execute.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeTargetWithName(targetName, context, build) {
+        const target = this.targets[targetName];
+        const actualBuild = build || this.makeBuildState();
+        if (target === null || target === undefined) {
+            return Promise.reject(new Error(`Target does not exist: ${targetName}`));
+        } else if (actualBuild.chain.indexOf(targetName) >= 0) {
+            return Promise.reject(new errors.DependencyCycleError(actualBuild.chain.concat([targetName])));
+        }
+
+        const isAlwaysRun = this.isAlwaysRun(targetName, target);
+        if (this.options.dryRun) {
+            const isExecuted = !isAlwaysRun && actualBuild.executions.has(targetName);
+            this.printPlan(isExecuted ? `${targetName} (already executed)` : targetName, targetName, actualBuild);
+        }
+
+        if (isAlwaysRun) {
+            return this.executeNamedTarget(target, targetName, context, actualBuild);
+        } else {
+            if (!actualBuild.executions.has(targetName)) {
+                actualBuild.executions.set(targetName, this.executeNamedTarget(target, targetName, context, actualBuild));
+            }
+
+            return actualBuild.executions.get(targetName);
+        }
+    }
+
+    /**
+     * Executes the target associated with a name, marking the target as not run if it fails without a failure of its own.
+     * @private
+     * @param {LLBuild~Target} target The target associated with the name.
+     * @param {String} targetName The name of the target.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState} build The state of the build the target is executed as part of.
+     * @return {Promise} A promise object that will resolve with the value of the target after it was executed successfully.
+     */
+    executeNamedTarget(target, targetName, context, build) {
+        return this.executeAnyTarget(target, targetName, context, this.enterTarget(build, targetName)).then(value => {
+            build.results.set(targetName, value);
+            return value;
+        }, err => {
+            const hasFailed = build.failures.some(failure => failure.targetName === targetName);
+            if (!hasFailed && build.notRun.indexOf(targetName) < 0) {
+                build.notRun.push(targetName);
+                this.emitTargetNotRun(targetName);
+            }
+
+            return Promise.reject(err);
+        });
+    }
+
+    /**
+     * Determines whether a named target is executed every time it is referenced.
+     * @private
+     * @param {string} targetName The name of the target.
+     * @param {LLBuild~Target} target The target.
+     * @return {boolean} True if the target is executed every time it is referenced, false if at most once per build.
+     */
+    isAlwaysRun(targetName, target) {
+        return this.options.alwaysRun.indexOf(targetName) >= 0 || (target.constructor === Object && target.alwaysRun === true);
+    }
+
+    /**
+     * Checks whether the graph of named targets reachable from the specified target contains a cycle.
+     * Cycles have to be detected before the build starts, because a target waiting for the execution
+     * of another target that in turn waits for the first one would never settle.
+     * @private
+     * @param {string} targetName The name of the target to start the search from.
+     * @return {Promise} A promise object that will resolve if there are no cycles, or reject with a {@link DependencyCycleError} otherwise.
+     */
+    checkDependencyCycles(targetName) {
+        const cycle = this.findDependencyCycle(targetName, [], new Set());
+        if (cycle) {
+            return Promise.reject(new errors.DependencyCycleError(cycle));
+        } else {
+            return Promise.resolve();
+        }
+    }
+
+    /**
+     * Finds a dependency cycle reachable from the specified target.
+     * @private
+     * @param {LLBuild~Target} target The target to start the search from.
+     * @param {Array.<string>} chain The names of the targets that led to the target.
+     * @param {Set.<string>} checked The names of the targets already known not to lead to a cycle.
+     * @return {Array.<string>} The names of the targets forming the cycle, or null if there is no cycle.
+     */
+    findDependencyCycle(target, chain, checked) {
+        if (target === null || target === undefined) {
+            return null;
+        } else if (target.constructor === Array) {
+            for (let i = 0; i < target.length; i++) {
+                const cycle = this.findDependencyCycle(target[i], chain, checked);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+
+            return null;
+        } else if (target.constructor === String) {
+            if (chain.indexOf(target) >= 0) {
+                return chain.concat([target]);
+            } else if (checked.has(target)) {
+                return null;
+            }
+
+            const cycle = this.findDependencyCycle(this.targets[target], chain.concat([target]), checked);
+            checked.add(target);
+            return cycle;
+        } else if (target.constructor === Object) {
+            return this.findDependencyCycle(target.deps, chain, checked);
+        } else {
+            return null;
+        }
+    }
+    
+    /**
+     * Executes a target runner callback.
+     * @private
+     * @param {LLBuild~targetRunner} targetRunner The target runner callback to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @param {LLBuild~TargetDefinition=} targetDefinition The definition of the object target the runner belongs to, if any.
+     * @return {Promise} A promise object that will resolve after the callback was executed successfully, or was skipped because the target is up to date.
      */
-    static makeDefaultOptions(src) {
-        var opts = Object.assign({}, src);
-        if (opts.quiet === undefined) {
-            opts.quiet = false;
-        }
+    executeTargetRunner(targetRunner, targetName, context, build, targetDefinition) {
+        return this.checkTargetUpToDate(targetRunner, targetName, context, targetDefinition).then(check => {
+            if (this.options.dryRun) {
+                this.printPlan(`run ${targetName}${check.reason ? ` (skipped: ${check.reason})` : ''}`, targetName, build || this.makeBuildState());
+                return Promise.resolve();
+            } else if (check.reason) {
+                this.print(`${targetName} is up to date.`, targetName);
+                this.emitTargetSkipped(targetName, check.reason);
+                return Promise.resolve();
+            }
 
-        if (opts.maxBufferSize === undefined) {
-            opts.maxBufferSize = 200 * 1024;
-        }
+            return this.plugins.run('beforeTarget', { builder: this, targetName: targetName, context: context }).then(
+                skipReason => {
+                    if (typeof skipReason === 'string') {
+                        this.print(`${targetName} is skipped: ${skipReason}`, targetName);
+                        this.emitTargetSkipped(targetName, skipReason);
+                        return Promise.resolve();
+                    }
 
-        return opts;
+                    return this.runTargetRunner(targetRunner, targetName, context, build, targetDefinition, check);
+                },
+                err => this.failTarget(targetName, context, build, err)
+            );
+        });
     }
 
     /**
-     * Executes a target.
-     * @param {String} target The name of the target to execute.
+     * Executes a target runner callback that is not up to date, once a job slot is available.
+     * @private
+     * @param {LLBuild~targetRunner} targetRunner The target runner callback to execute.
+     * @param {String} targetName The name of the target or the first parent target with a name.
      * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
-     * @example
-     * const targets = {
-     *     'default': ['babel', 'less'],
-     *     'babel': function() {
-     *         // invoke babel
-     *     },
-     *     'less': function() {
-     *         // invoke less
-     *     }
-     * };
-     *
-     * new LLBuild(targets).executeTarget('default');
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @param {LLBuild~TargetDefinition=} targetDefinition The definition of the object target the runner belongs to, if any.
+     * @param {LLBuild~UpToDateCheck} check The outcome of checking whether the target is up to date.
+     * @return {Promise} A promise object that will resolve after the callback was executed successfully.
      */
-    executeTarget(targetName, context) {
-        if (!targetName || targetName.constructor !== String) {
-            return Promise.reject(new Error('Target name is expected to be a string.'));
-        } else {
+    runTargetRunner(targetRunner, targetName, context, build, targetDefinition, check) {
+        const isCached = check.inputsDigest !== undefined;
+        if (isCached) {
+            this.recordedCommands.set(targetName, []);
+        }
+
+        return this.jobLimiter.acquire('runner').then(release => {
+            if (this.isBuildStopped(build)) {
+                release();
+                return Promise.reject(build.failures[0].err);
+            }
+
+            const cancellation = CancellationScope.fromOptions(build ? build.cancellation : null, targetDefinition, `Target '${targetName}'`);
+            const retryPolicy = new RetryPolicy(targetDefinition ? targetDefinition.retry : null);
+            const scope = { targetName: targetName, context: context, build: build, release: release, holdsJob: true, waiting: 0, cancellation: cancellation, builder: null };
+            scope.builder = this.makeRunnerBuilder(scope);
+            const settle = () => {
+                cancellation.dispose();
+                scope.release();
+            };
+
             return (
                 Promise
                 .resolve()
-                .then(() => { this.emitBuildStarted(targetName); return Promise.resolve(); })
-                .then(() => this.executeAnyTarget(targetName, targetName, context))
+                .then(() => { this.emitTargetExecutionStarted(targetName); return Promise.resolve(); } )
+                .then(() => retryPolicy.run(
+                    cancellation,
+                    () => {
+                        if (isCached) {
+                            this.recordedCommands.set(targetName, []);
+                        }
+
+                        return cancellation.race(Promise.resolve().then(() => LLBuild.runInRunnerScope(
+                            scope,
+                            () => targetRunner(scope.builder, context, this.getDependencyResults(targetName, build))
+                        )));
+                    },
+                    (attempt, err, delay) => this.reportRetry(targetName, null, attempt, retryPolicy.attempts, err, delay)
+                ))
+                .then(value => this.plugins.run('afterTarget', { builder: this, targetName: targetName, context: context }).then(() => value))
+                .then(
+                    value => (isCached ? this.storeTargetFingerprint(targetRunner, targetName, context, targetDefinition, check.inputsDigest) : Promise.resolve()).then(() => value),
+                    err => (isCached ? this.cache.invalidate(targetName) : Promise.resolve()).then(() => Promise.reject(err))
+                )
                 .then(
-                    () => { this.emitBuildComplete(targetName); return Promise.resolve(); },
-                    err => { this.emitBuildFailed(targetName, err); return Promise.reject(err); }
+                    value => { settle(); this.emitTargetExecutionCompleted(targetName); return Promise.resolve(value); },
+                    err => { settle(); return this.failTarget(targetName, context, build, err); }
                 )
             );
-        }
+        });
     }
 
     /**
-     * Executes a target of any type.
-     * @pprivate
-     * @param {String} target The name of the target to execute.
+     * Gets the values of the named targets referenced by a target that have completed in a build.
+     * @private
      * @param {String} targetName The name of the target or the first parent target with a name.
-     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @return {Object.<string, *>} The values, keyed by target name.
      */
-    executeAnyTarget(target, targetName, context) {
-        if (target === null || target === undefined || target === true || target === false) {
-            return Promise.resolve();
-        } else if (target.constructor === Array) {
-            return this.executeArrayTarget(target, targetName, context);
-        } else if (target.constructor === String) {
-            return this.executeTargetWithName(target, context);
-        } else if (target.constructor === Function) {
-            return this.executeTargetRunner(target, targetName, context);
-        } else {
-            return Promise.reject(new Error(`Unsupported target type: ${typeof(target)}`));
+    getDependencyResults(targetName, build) {
+        const deps = {};
+        if (build) {
+            LLBuild.getTargetReferences(this.targets[targetName])
+                .filter(name => build.results.has(name))
+                .forEach(name => { deps[name] = build.results.get(name); });
         }
+
+        return deps;
     }
-    
+
     /**
-     * Executes an array target.
+     * Records the failure of a target runner and runs the onError hooks of the plugins.
      * @private
-     * @param {Array.<LLBuild~Target>} targetArray The target to execute.
      * @param {String} targetName The name of the target or the first parent target with a name.
-     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     * @param {Object=} context The context object passed in to the target runner.
+     * @param {LLBuild~BuildState=} build The state of the build the target is executed as part of.
+     * @param {*} err The error the target runner, or one of the hooks around it, has rejected with.
+     * @return {Promise} A promise object that will reject with a {@link BuildError} describing the failure.
      */
-    executeArrayTarget(targetArray, targetName, context) {
-        if (targetArray.length === 0) {
-            return Promise.resolve();
+    failTarget(targetName, context, build, err) {
+        const buildError = err instanceof errors.BuildError ? err : new errors.BuildError(targetName, build ? build.chain : [targetName], err);
+        // A runner rejecting with the failure of a target it has needed was not run, rather than having failed on its own.
+        if (build && !build.failures.some(failure => failure.err === buildError)) {
+            build.failures.push({ targetName: targetName, err: buildError });
         }
-        
-        if (targetArray[0] === true) {
-            return this.executeArrayTargetSerially(targetArray, targetName, context);
+
+        return this.runFailureHook('onError', { builder: this, targetName: targetName, context: context, err: buildError }).then(() => {
+            this.emitTargetExecutionFailed(targetName, buildError);
+            return Promise.reject(buildError);
+        });
+    }
+
+    /**
+     * Runs a hook of the plugins after a failure, printing the error of the hook instead of rejecting with it,
+     * so that the original error is not replaced.
+     * @private
+     * @param {string} hookName The name of the hook.
+     * @param {Object} ev The argument passed in to the hooks, whose targetName is associated with the printed error.
+     * @return {Promise} A promise object that will resolve after the hooks have settled.
+     */
+    runFailureHook(hookName, ev) {
+        return this.plugins.run(hookName, ev).then(() => Promise.resolve(), hookErr => {
+            this.print(`The ${hookName} hook has failed: ${hookErr && hookErr.message ? hookErr.message : hookErr}`, ev.targetName, 'stderr');
+        });
+    }
+
+    /**
+     * Checks whether the execution of a target runner can be skipped.
+     * @private
+     * @param {LLBuild~targetRunner} targetRunner The target runner callback.
+     * @param {String} targetName The name of the target or the first parent target with a name.
+     * @param {Object=} context The context object passed in to the target runner.
+     * @param {LLBuild~TargetDefinition=} targetDefinition The definition of the object target the runner belongs to, if any.
+     * @return {Promise.<LLBuild~UpToDateCheck>} A promise object that will resolve with the outcome of the check.
+     */
+    checkTargetUpToDate(targetRunner, targetName, context, targetDefinition) {
+        if (this.options.cache) {
+            return this.checkTargetFingerprint(targetRunner, targetName, context, targetDefinition);
         } else {
-            return this.executeArrayTargetInParallel(targetArray, targetName, context);
+            return this.isTargetUpToDate(targetDefinition).then(upToDate => ({ reason: upToDate ? 'Outputs are newer than inputs.' : null }));
         }
     }
-    
+
     /**
-     * Executes an array target serially.
+     * Checks whether the fingerprint of a target matches the one stored in the cache manifest.
+     * Targets without declared inputs are never cached. If the target declares outputs, each output pattern has to match at least one file.
      * @private
-     * @param {Array.<LLBuild~Target>} targetArray The target to execute.
+     * @param {LLBuild~targetRunner} targetRunner The target runner callback.
      * @param {String} targetName The name of the target or the first parent target with a name.
-     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     * @param {Object=} context The context object passed in to the target runner.
+     * @param {LLBuild~TargetDefinition=} targetDefinition The definition of the object target the runner belongs to, if any.
+     * @return {Promise.<LLBuild~UpToDateCheck>} A promise object that will resolve with the outcome of the check.
      */
-    executeArrayTargetSerially(targetArray, targetName, context) {
-        if (targetArray.length < 2) {
-            return Promise.resolve();
+    checkTargetFingerprint(targetRunner, targetName, context, targetDefinition) {
+        if (!targetDefinition || !LLBuild.isNonEmptyArray(targetDefinition.inputs)) {
+            return Promise.resolve({ reason: null });
         }
-        
-        let promise = this.executeAnyTarget(targetArray[1], targetName, context);
-        for (let i = 2; i < targetArray.length; i++) {
-            const nextTarget = targetArray[i];
-            promise = promise.then(() => this.executeAnyTarget(nextTarget, targetName, context));
-        }
-        
-        return promise;
+
+        return Promise.all([
+            BuildCache.digestFiles(targetDefinition.inputs),
+            this.cache.getEntry(targetName),
+            LLBuild.isNonEmptyArray(targetDefinition.outputs) ? LLBuild.statFilePatterns(targetDefinition.outputs) : Promise.resolve([])
+        ]).then(results => {
+            const inputsDigest = results[0];
+            const entry = results[1];
+            const outputStats = results[2];
+            const upToDate = (
+                entry !== null &&
+                outputStats.every(stats => stats.length > 0) &&
+                entry.fingerprint === BuildCache.computeFingerprint(inputsDigest, LLBuild.getTargetEnv(targetDefinition), targetRunner.toString(), context)
+            );
+
+            return { reason: upToDate ? 'Fingerprint has not changed.' : null, inputsDigest: inputsDigest };
+        });
     }
-    
+
     /**
-     * Executes an array target in parallel.
+     * Stores the fingerprint of a target after its successful execution.
      * @private
-     * @param {Array.<LLBuild~Target>} targetArray The target to execute.
+     * @param {LLBuild~targetRunner} targetRunner The target runner callback.
      * @param {String} targetName The name of the target or the first parent target with a name.
-     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     * @param {Object=} context The context object passed in to the target runner.
+     * @param {LLBuild~TargetDefinition} targetDefinition The definition of the object target the runner belongs to.
+     * @param {string} inputsDigest The digest of the inputs of the target, computed before its execution.
+     * @return {Promise} A promise object that will resolve after the fingerprint was stored.
      */
-    executeArrayTargetInParallel(targetArray, targetName, context) {
-        return Promise.all(targetArray.map(t => this.executeAnyTarget(t, targetName, context)));
+    storeTargetFingerprint(targetRunner, targetName, context, targetDefinition, inputsDigest) {
+        const commands = this.recordedCommands.get(targetName) || [];
+        this.recordedCommands.delete(targetName);
+        return this.cache.setEntry(targetName, {
+            fingerprint: BuildCache.computeFingerprint(inputsDigest, LLBuild.getTargetEnv(targetDefinition), targetRunner.toString(), context),
+            commands: commands
+        });
     }
-    
+
     /**
-     * Executes the target with the specified name.
+     * Gets the values of the environment variables a target depends on.
      * @private
-     * @param {string} targetName The name of the target to execute.
-     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     * @param {LLBuild~TargetDefinition} targetDefinition The definition of the target.
+     * @return {Object.<string, string>} The values of the environment variables, keyed by name in sorted order.
      */
-    executeTargetWithName(targetName, context) {
-        const target = this.targets[targetName];
+    static getTargetEnv(targetDefinition) {
+        const env = {};
+        (targetDefinition.env || []).slice().sort().forEach(name => {
+            env[name] = process.env[name] === undefined ? null : process.env[name];
+        });
+
+        return env;
+    }
+
+    /**
+     * Removes the stored fingerprint of one target, or all of them, so that they are executed by the next build
+     * even if {@link LLBuild~LLBuildOptions}.cache is enabled.
+     * @param {string=} targetName The name of the target to invalidate, or null to invalidate the whole cache.
+     * @return {Promise} A promise object that will resolve after the cache manifest was updated.
+     * @example
+     * new LLBuild(targets, { cache: true }).invalidateCache('less');
+     */
+    invalidateCache(targetName) {
+        return this.cache.invalidate(targetName);
+    }
+
+    /**
+     * Determines whether the outputs of a target are up to date with its inputs.
+     * @private
+     * @param {LLBuild~TargetDefinition=} targetDefinition The definition of the target, or null.
+     * @return {Promise.<boolean>} A promise object that will resolve with true if every output pattern matches at least one file
+     * and all the matched outputs are newer than all the matched inputs, or with false otherwise.
+     */
+    isTargetUpToDate(targetDefinition) {
+        if (!targetDefinition || !LLBuild.isNonEmptyArray(targetDefinition.inputs) || !LLBuild.isNonEmptyArray(targetDefinition.outputs)) {
+            return Promise.resolve(false);
+        }
+
+        return Promise.all([
+            LLBuild.statFilePatterns(targetDefinition.inputs),
+            LLBuild.statFilePatterns(targetDefinition.outputs)
+        ]).then(results => {
+            const inputStats = results[0];
+            const outputStats = results[1];
+            if (outputStats.some(stats => stats.length === 0)) {
+                return false;
+            }
+
+            const newestInput = Math.max.apply(null, [].concat.apply([], inputStats).map(stats => stats.mtimeMs));
+            const oldestOutput = Math.min.apply(null, [].concat.apply([], outputStats).map(stats => stats.mtimeMs));
+            return oldestOutput > newestInput;
+        });
+    }
+
+    /**
+     * Retrieves the file system stats of the files matching each of the specified glob patterns.
+     * @private
+     * @param {Array.<string>} patterns The glob patterns to match. Files matching a pattern starting with ! are left out of every group.
+     * @return {Promise.<Array.<Array.<fs.Stats>>>} A promise object that will resolve with the stats of the matched files, grouped by including pattern.
+     */
+    static statFilePatterns(patterns) {
+        const split = globs.splitPatterns(patterns);
+        const excluded = split.excluded.map(pattern => `!${pattern}`);
+        return Promise.all(split.included.map(pattern =>
+            globs.expand([pattern].concat(excluded), { nodir: true }).then(paths => Promise.all(paths.map(p => statAsync(p))))
+        ));
+    }
+
+    /**
+     * Determines whether a target executes a {@link LLBuild~targetRunner} under its own name, rather than only referencing other named targets.
+     * @private
+     * @param {LLBuild~Target} target The target.
+     * @return {boolean} True if the target has a runner of its own, false otherwise.
+     */
+    static hasOwnRunner(target) {
         if (target === null || target === undefined) {
-            return Promise.reject(new Error(`Target does not exist: ${targetName}`));
+            return false;
+        } else if (target.constructor === Function) {
+            return true;
+        } else if (target.constructor === Array) {
+            return target.some(t => LLBuild.hasOwnRunner(t));
+        } else if (target.constructor === Object) {
+            return typeof target.run === 'function' || LLBuild.hasOwnRunner(target.deps);
         } else {
-            return this.executeAnyTarget(target, targetName, context);
+            return false;
         }
     }
-    
+
     /**
-     * Executes a target runner callback.
+     * Determines whether the specified value is an array with at least one item.
      * @private
-     * @param {LLBuild~targetRunner} targetRunner The target runner callback to execute.
-     * @param {String} targetName The name of the target or the first parent target with a name.
-     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the callback was executed successfully.
+     * @param {*} value The value to check.
+     * @return {boolean} True if the value is a non-empty array, false otherwise.
      */
-    executeTargetRunner(targetRunner, targetName, context) {
-        return (
-            Promise
-            .resolve()
-            .then(() => { this.emitTargetExecutionStarted(targetName); return Promise.resolve(); } )
-            .then(() => targetRunner(this, context))
-            .then(
-                () => { this.emitTargetExecutionCompleted(targetName); return Promise.resolve(); },
-                err => { this.emitTargetExecutionFailed(targetName, err); return Promise.reject(err); }
-            )
-        );
+    static isNonEmptyArray(value) {
+        return Array.isArray(value) && value.length > 0;
     }
 
     /**
-     * Parses the command line arguments and executes the selected target.
+     * Parses the command line arguments and executes the selected targets in order, as part of the same build.
+     * Flags such as --quiet and --jobs=N override {@link LLBuild~LLBuildOptions}, --list prints the available targets,
+     * --help prints the supported flags and --watch watches the selected target using {@link LLBuild#watch}.
+     * KEY=VALUE arguments are merged into a copy of the context.
+     * If the arguments are invalid or the build fails, the exit code of the process is set to 1. Invalid arguments are reported
+     * with a friendly message instead of an error, so that build scripts do not have to handle them.
+     * Pressing Ctrl+C cancels the build using {@link LLBuild#cancel}, killing the running commands, and sets the exit code to 130.
+     * Pressing it again exits immediately.
      * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
-     * @return {Promise} A promise object that will resolve after the target was executed successfully.
+     * @return {Promise} A promise object that will resolve after the targets were executed successfully, after the arguments were reported
+     * as invalid, or with the watcher in watch mode.
      * @example
      * const targets = {
      *     'default': ['babel', 'less'],
@@ -249,23 +1662,119 @@ class LLBuild {
      *     }
      * };
      *
+     * // node build.js --jobs=2 babel less NODE_ENV=production
      * new LLBuild(targets).runArgs();
      */
     runArgs(context) {
-        return this.executeTarget(this.getArgTarget(), context);
+        let interrupted = false;
+        let watcher = null;
+        const onInterrupt = () => {
+            if (interrupted) {
+                process.exit(130);
+            }
+
+            interrupted = true;
+            this.print('Cancelling the build, press Ctrl+C again to exit immediately.');
+            this.cancel();
+            if (watcher) {
+                watcher.close().then(removeInterruptListener);
+            }
+        };
+
+        const removeInterruptListener = () => process.removeListener('SIGINT', onInterrupt);
+        process.on('SIGINT', onInterrupt);
+
+        return (
+            Promise
+            .resolve()
+            .then(() => this.executeArgs(cli.parseArgs(process.argv.slice(2)), context))
+            .then(result => {
+                if (result instanceof Watcher) {
+                    watcher = result;
+                    if (interrupted) {
+                        return watcher.close().then(() => { removeInterruptListener(); return watcher; });
+                    }
+                } else {
+                    removeInterruptListener();
+                }
+
+                return result;
+            })
+            .catch(err => {
+                removeInterruptListener();
+                process.exitCode = interrupted ? 130 : 1;
+                if (err instanceof errors.UsageError) {
+                    this.print(`${err.message}${os.EOL}Run with --help to see the usage.`, null, 'stderr');
+                    return undefined;
+                }
+
+                return Promise.reject(err);
+            })
+        );
     }
 
     /**
-     * Gets the name of the target selected by the command line arguments.
+     * Executes parsed command line arguments.
      * @private
-     * @return {string} The name of the target selected by the command line arguments.
+     * @param {Cli~ParsedArgs} args The parsed command line arguments.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     * @return {Promise} A promise object that will resolve after the targets were executed successfully, or with the watcher in watch mode.
      */
-    getArgTarget() {
-        if (process.argv.length < 3) {
-            return 'default';
-        } else {
-            return process.argv[2];
+    executeArgs(args, context) {
+        Object.assign(this.options, args.options);
+
+        if (args.commands.help) {
+            this.print(cli.formatHelp(path.basename(process.argv[1] || 'build.js')));
+            return Promise.resolve();
+        } else if (args.commands.list) {
+            this.print(this.formatTargetList());
+            return Promise.resolve();
+        } else if (args.commands.graph) {
+            const unknownRoots = args.targets.filter(name => this.targets[name] === null || this.targets[name] === undefined);
+            if (unknownRoots.length > 0) {
+                return Promise.reject(new errors.UsageError(`Unknown target${unknownRoots.length > 1 ? 's' : ''}: ${unknownRoots.join(', ')}. Run with --list to see the available targets.`));
+            }
+
+            this.print(this.exportGraph(args.commands.graph, args.targets.length > 0 ? args.targets : undefined));
+            return Promise.resolve();
+        }
+
+        const targetNames = args.targets.length > 0 ? args.targets : ['default'];
+        const unknownTargets = targetNames.filter(name => this.targets[name] === null || this.targets[name] === undefined);
+        if (unknownTargets.length > 0) {
+            return Promise.reject(new errors.UsageError(`Unknown target${unknownTargets.length > 1 ? 's' : ''}: ${unknownTargets.join(', ')}. Run with --list to see the available targets.`));
+        }
+
+        const actualContext = Object.keys(args.variables).length > 0 ? Object.assign({}, context, args.variables) : context;
+        if (args.commands.watch) {
+            if (targetNames.length > 1) {
+                return Promise.reject(new errors.UsageError('--watch accepts a single target.'));
+            }
+
+            return this.watch(targetNames[0], actualContext);
         }
+
+        const build = this.makeBuildState();
+        return targetNames.reduce(
+            (promise, targetName) => promise.then(() => this.executeBuild(targetName, actualContext, build)),
+            Promise.resolve()
+        );
+    }
+
+    /**
+     * Formats the list of the available targets printed by --list.
+     * @private
+     * @return {string} The names of the targets, one per line, followed by their descriptions if they have any.
+     */
+    formatTargetList() {
+        return Object.keys(this.targets).map(name => {
+            const target = this.targets[name];
+            if (target && target.constructor === Object && target.description) {
+                return `${name} - ${target.description}`;
+            } else {
+                return name;
+            }
+        }).join(os.EOL);
     }
 
     /**
@@ -285,7 +1794,7 @@ class LLBuild {
          *     console.log(`Starting building ${ev.targetName}.`);
          * });
          */
-        this.emitter.emit('buildStarted', { targetName: targetName });
+        this.emit('buildStarted', { targetName: targetName });
     }
 
     /**
@@ -305,7 +1814,7 @@ class LLBuild {
          *     console.log(`Completed building ${ev.targetName}.`);
          * });
          */
-        this.emitter.emit('buildComplete', { targetName: targetName });
+        this.emit('buildComplete', { targetName: targetName });
     }
 
     /**
@@ -326,9 +1835,31 @@ class LLBuild {
          *     console.log(`Failed building ${ev.targetName}.`);
          * });
          */
-        this.emitter.emit('buildFailed', { targetName: targetName, err: err });
+        this.emit('buildFailed', { targetName: targetName, err: err });
     }
     
+    /**
+     * Emits a build cancelled event.
+     * @private
+     * @param {string} targetName The target whose building was cancelled.
+     * @param {Error} err The {@link CancellationError} or {@link TimeoutError} describing the cancellation.
+     * @fires LLBuild#buildCancelled
+     */
+    emitBuildCancelled(targetName, err) {
+        /**
+         * Indicates that a build was cancelled, either explicitly, by an AbortSignal or by a timeout.
+         * @event LLBuild#buildCancelled
+         * @type {object}
+         * @property {string} targetName The target whose building was cancelled.
+         * @property {Error} err The {@link CancellationError} or {@link TimeoutError} describing the cancellation.
+         * @example
+         * llbuild.addListener('buildCancelled', function(ev) {
+         *     console.log(`Cancelled building ${ev.targetName}: ${ev.err.message}`);
+         * });
+         */
+        this.emit('buildCancelled', { targetName: targetName, err: err });
+    }
+
     /**
      * Emits a target execution started event.
      * @private
@@ -346,7 +1877,7 @@ class LLBuild {
          *     console.log(`The execution of ${ev.targetName} has started.`);
          * });
          */
-        this.emitter.emit('targetExecutionStarted', { targetName: targetName });
+        this.emit('targetExecutionStarted', { targetName: targetName });
     }
 
     /**
@@ -366,7 +1897,7 @@ class LLBuild {
          *     console.log(`The execution of ${ev.targetName} has completed.`);
          * });
          */
-        this.emitter.emit('targetExecutionCompleted', { targetName: targetName });
+        this.emit('targetExecutionCompleted', { targetName: targetName });
     }
 
     /**
@@ -388,7 +1919,114 @@ class LLBuild {
          *     console.log(`The execution of ${ev.targetName} has failed: ${ev.error}`);
          * });
          */
-        this.emitter.emit('targetExecutionFailed', { targetName: targetName, err: err });
+        this.emit('targetExecutionFailed', { targetName: targetName, err: err });
+    }
+
+    /**
+     * Emits a target skipped event.
+     * @private
+     * @param {string} targetName The target whose execution was skipped.
+     * @param {string} reason The reason why the execution was skipped.
+     * @fires LLBuild#targetSkipped
+     */
+    emitTargetSkipped(targetName, reason) {
+        /**
+         * Indicates that the execution of a target with a {@link LLBuild~targetRunner} function was skipped because the target is up to date.
+         * @event LLBuild#targetSkipped
+         * @type {object}
+         * @property {string} targetName The target whose execution was skipped.
+         * @property {string} reason The reason why the execution was skipped.
+         * @example
+         * llbuild.addListener('targetSkipped', function(ev) {
+         *     console.log(`Skipped ${ev.targetName}: ${ev.reason}`);
+         * });
+         */
+        this.emit('targetSkipped', { targetName: targetName, reason: reason });
+    }
+
+    /**
+     * Emits a command executed event.
+     * @private
+     * @param {string} targetName The target the command execution is associated with, or null.
+     * @param {string} command The command.
+     * @param {number} exitCode The exit code of the command, or null if it was terminated by a signal.
+     * @param {string} signal The signal that has terminated the command, or null.
+     * @param {number} outputSize The number of bytes the command has written to stdout and stderr.
+     * @param {number} duration The number of milliseconds the command was running for.
+     * @fires LLBuild#commandExecuted
+     */
+    emitCommandExecuted(targetName, command, exitCode, signal, outputSize, duration) {
+        /**
+         * Indicates that a command has exited, successfully or not.
+         * @event LLBuild#commandExecuted
+         * @type {object}
+         * @property {string} targetName The target the command execution is associated with, or null.
+         * @property {string} command The command.
+         * @property {number} exitCode The exit code of the command, or null if it was terminated by a signal.
+         * @property {string} signal The signal that has terminated the command, or null.
+         * @property {number} outputSize The number of bytes the command has written to stdout and stderr.
+         * @property {number} duration The number of milliseconds the command was running for.
+         * @example
+         * llbuild.addListener('commandExecuted', function(ev) {
+         *     console.log(`${ev.command} exited with code ${ev.exitCode} after ${ev.duration} ms`);
+         * });
+         */
+        this.emit('commandExecuted', {
+            targetName: targetName,
+            command: command,
+            exitCode: exitCode,
+            signal: signal,
+            outputSize: outputSize,
+            duration: duration
+        });
+    }
+
+    /**
+     * Emits a target retry event.
+     * @private
+     * @param {string} targetName The target the runner or the command is associated with, or null.
+     * @param {string} command The command, or null if a target runner has failed.
+     * @param {number} attempt The number of the failed attempt, starting from 1.
+     * @param {*} err The error of the failed attempt.
+     * @param {number} delay The number of milliseconds before the next attempt.
+     * @fires LLBuild#targetRetry
+     */
+    emitTargetRetry(targetName, command, attempt, err, delay) {
+        /**
+         * Indicates that a failed target runner or command is about to be executed again, according to its {@link LLBuild~RetryOptions}.
+         * @event LLBuild#targetRetry
+         * @type {object}
+         * @property {string} targetName The target the runner or the command is associated with, or null.
+         * @property {string} command The command, or null if a target runner has failed.
+         * @property {number} attempt The number of the failed attempt, starting from 1.
+         * @property {Error} err The error of the failed attempt.
+         * @property {number} delay The number of milliseconds before the next attempt.
+         * @example
+         * llbuild.addListener('targetRetry', function(ev) {
+         *     console.log(`Attempt ${ev.attempt} of ${ev.targetName} failed: ${ev.err.message}`);
+         * });
+         */
+        this.emit('targetRetry', { targetName: targetName, command: command, attempt: attempt, err: err, delay: delay });
+    }
+
+    /**
+     * Emits a target not run event.
+     * @private
+     * @param {string} targetName The target that was not executed.
+     * @fires LLBuild#targetNotRun
+     */
+    emitTargetNotRun(targetName) {
+        /**
+         * Indicates that a target was not executed because a target it depends on has failed.
+         * @event LLBuild#targetNotRun
+         * @type {object}
+         * @property {string} targetName The target that was not executed.
+         * @example
+         * llbuild.addListener('targetNotRun', function(ev) {
+         *     console.log(`Not run: ${ev.targetName}`);
+         * });
+         */
+        this.emit('targetNotRun', { targetName: targetName });
     }
 
     /**
@@ -396,21 +2034,54 @@ class LLBuild {
      * @private
      * @param {string} targetName The target whose execution has failed.
      * @param {string} content The content of the output.
+     * @param {string=} stream The stream of the command the output was read from, or 'stderr' for errors.
      * @fires LLBuild#consoleOutput
      */
-    emitConsoleOutput(targetName, content) {
+    emitConsoleOutput(targetName, content, stream) {
         /**
          * Indicates a console output event..
          * @event LLBuild#consoleOutput
          * @type {object}
          * @property {String} targetName The target that emittet the output.
          * @property {String} content The content of the output.
+         * @property {String} stream Either 'stdout' or 'stderr' if the content is output of a command, 'stderr' if it describes an error,
+         * otherwise undefined.
          * @example
          * llbuild.addListener('consoleOutput', function(ev) {
          *     console.log(ev.content);
          * });
          */
-        this.emitter.emit('consoleOutput', { targetName: targetName, content: content });
+        this.emit('consoleOutput', { targetName: targetName, content: content, stream: stream });
+    }
+
+    /**
+     * Passes an event to the reporter, unless the builder is quiet, and to the listeners.
+     * @private
+     * @param {string} eventName The name of the event.
+     * @param {Object} ev The event arguments.
+     */
+    emit(eventName, ev) {
+        const reporter = this.getReporter();
+        if (reporter && typeof reporter[eventName] === 'function') {
+            reporter[eventName](ev);
+        }
+
+        this.emitter.emit(eventName, ev);
+    }
+
+    /**
+     * Gets the reporter set by {@link LLBuild~LLBuildOptions}.reporter, creating it if the option has changed.
+     * @private
+     * @return {LLBuild~Reporter} The reporter, or null if the builder is quiet.
+     */
+    getReporter() {
+        if (this.options.quiet) {
+            return null;
+        } else if (!this.reporter || this.reporter.option !== this.options.reporter) {
+            this.reporter = { option: this.options.reporter, instance: reporters.createReporter(this.options.reporter) };
+        }
+
+        return this.reporter.instance;
     }
 
     /**
@@ -437,88 +2108,506 @@ class LLBuild {
     }
 
     /**
-     * Executes the specified command as a child process.
-     * @param {string} cmd The command to execute.
-     * @param {string} targetName The target the command execution is associated with, or null.
-     * @return {Promise} A promise object that will resolve with the contents of stdout after the command was executed successfully.
+     * Executes the specified command as a child process, passing it through the wrapCommand hooks of the plugins.
+     *
+     * The command is either a shell command line, or a file executed directly with an array of arguments, which are neither split
+     * nor expanded, so that paths with spaces and values coming from users are passed in as they are. The quoted command line is printed.
+     * @param {string} cmd The command line to execute in a shell, or the file to execute.
+     * @param {(string|Array.<string>)} targetName The target the command execution is associated with, or null. Commands associated with
+     * a cached target count toward its fingerprint. When a file is executed, the array of its arguments instead.
+     * @param {(LLBuild~CommandOptions|LLBuild~SpawnOptions)=} executionOptions Options killing the child process tree when a signal is aborted
+     * or a timeout elapses, retrying the command after it has failed, and setting its working directory, environment and input.
+     * When a file is executed, {@link LLBuild~SpawnOptions} including the target the command execution is associated with.
+     * @return {Promise} A promise object that will resolve with the contents of stdout after the command was executed successfully,
+     * or reject with a {@link CancellationError} or a {@link TimeoutError} if the command was killed.
      * @example
      * const targets = {
-     *     'less': function() {
-     *         return LLBuild.executeCommand('less style.less');
+     *     'less': function(builder) {
+     *         return builder.executeCommand('lessc style.less', 'less');
+     *     },
+     *     'archive': function(builder, context) {
+     *         return builder.executeCommand('tar', ['-czf', `${context.name}.tar.gz`, 'dist'], { targetName: 'archive', cwd: 'out' });
      *     }
      * };
      *
      * new LLBuild(targets).executeTarget('less');
      */
-    executeCommand(cmd, targetName) {
-        const actualMaxBuffer = this.options.maxBufferSize;
+    executeCommand(cmd, targetName, executionOptions) {
+        const command = Array.isArray(targetName) ? {
+            cmd: LLBuild.formatCommandLine(cmd, targetName),
+            file: cmd,
+            args: targetName.map(String),
+            targetName: executionOptions && executionOptions.targetName !== undefined ? executionOptions.targetName : null,
+            options: executionOptions
+        } : { cmd: cmd, file: null, args: null, targetName: targetName, options: executionOptions };
+
+        if (this.options.dryRun) {
+            this.print(`[dry run] ${command.cmd}`, command.targetName);
+            return Promise.resolve('');
+        }
+
+        const recordedCommands = this.recordedCommands.get(command.targetName);
+        if (recordedCommands) {
+            recordedCommands.push(command.cmd);
+        }
+
+        // Commands are cancelled with the target runner executing them, whichever builder instance they are executed with.
+        const runnerScope = this.runnerScope || LLBuild.getCurrentRunnerScope();
+        const parentCancellation = runnerScope ? runnerScope.cancellation : null;
+        // The command line printed and recorded is the one passed in, so that values added by the hooks, such as secrets, are not disclosed.
+        return this.plugins.wrapCommand(
+            Object.assign({ builder: this }, command),
+            actualCommand => this.executeCommandWithRetries(Object.assign({}, actualCommand, { printedCmd: command.cmd }), parentCancellation)
+        );
+    }
+
+    /**
+     * Executes the specified command as a child process once a job slot is available, retrying it after it has failed.
+     * @private
+     * @param {LLBuild~HookCommand} command The command to execute, with a printedCmd property holding the command line to print
+     * in its place, as passed in to {@link LLBuild#executeCommand}.
+     * @param {CancellationScope} parentCancellation The scope of the target runner executing the command, or null.
+     * @return {Promise} A promise object that will resolve with the contents of stdout after the command was executed successfully.
+     */
+    executeCommandWithRetries(command, parentCancellation) {
+        const runCommand = this.options.streamOutput ? this.runStreamingCommand : this.runCommand;
+        const cmd = command.printedCmd;
+        const targetName = command.targetName;
+        const executionOptions = command.options;
+        const cancellation = CancellationScope.fromOptions(parentCancellation, executionOptions, `'${cmd}'`);
+        const retryPolicy = new RetryPolicy(executionOptions ? executionOptions.retry : null);
+        return retryPolicy.run(
+            cancellation,
+            () => this.jobLimiter.acquire('command').then(release => {
+                const promise = cancellation.cancelled ? Promise.reject(cancellation.error) : runCommand.call(this, command, cancellation);
+                return promise.then(
+                    stdout => { release(); return Promise.resolve(stdout); },
+                    err => { release(); return Promise.reject(err); }
+                );
+            }),
+            (attempt, err, delay) => this.reportRetry(targetName, cmd, attempt, retryPolicy.attempts, err, delay)
+        ).then(
+            stdout => { cancellation.dispose(); return Promise.resolve(stdout); },
+            err => { cancellation.dispose(); return Promise.reject(err); }
+        );
+    }
+
+    /**
+     * Reports that a failed target runner or command is about to be executed again.
+     * @private
+     * @param {string} targetName The target the runner or the command is associated with, or null.
+     * @param {string} command The command, or null if a target runner has failed.
+     * @param {number} attempt The number of the failed attempt, starting from 1.
+     * @param {number} attempts The maximum number of attempts.
+     * @param {*} err The error of the failed attempt.
+     * @param {number} delay The number of milliseconds before the next attempt.
+     */
+    reportRetry(targetName, command, attempt, attempts, err, delay) {
+        const subject = command === null ? targetName : `'${command}'`;
+        this.print(`${subject} failed, retrying in ${delay} ms (attempt ${attempt + 1} of ${attempts}).`, targetName);
+        this.emitTargetRetry(targetName, command, attempt, err, delay);
+    }
+
+    /**
+     * Runs the specified command as a child process, once {@link LLBuild#executeCommand} has made room for it.
+     * @private
+     * @param {LLBuild~HookCommand} command The command to execute, with the command line to print, see {@link LLBuild#executeCommandWithRetries}.
+     * @param {CancellationScope} cancellation The scope killing the child process when cancelled.
+     * @return {Promise} A promise object that will resolve with the contents of stdout after the command was executed successfully.
+     */
+    runCommand(command, cancellation) {
+        const cmd = command.printedCmd;
+        const targetName = command.targetName;
+        const processOptions = Object.assign({ maxBuffer: this.options.maxBufferSize }, LLBuild.getProcessOptions(command.options));
 
         return new Promise((resolve, reject) => {
             this.print(cmd, targetName);
             
-            const cp = childProcess.exec(cmd, {
-                maxBuffer: actualMaxBuffer
-            }, (err, stdout, stderr) => {
+            const startTime = Date.now();
+            const shell = command.options ? command.options.shell : undefined;
+            const onExit = (err, stdout, stderr) => {
+                this.untrackChildProcess(child);
+                const outputSize = Buffer.byteLength(stdout || '') + Buffer.byteLength(stderr || '');
+                this.emitCommandExecuted(targetName, cmd, cp.exitCode, cp.signalCode, outputSize, Date.now() - startTime);
+                if (child.killReason) {
+                    reject(child.killReason);
+                    return;
+                }
+
                 if (err) {
+                    if (typeof err.cmd === 'string') {
+                        // Report the printed command line rather than the one executed, or the arguments joined with spaces.
+                        err.message = err.message.replace(err.cmd, cmd);
+                        err.cmd = cmd;
+                    }
+
                     if ((stdout && stdout.length > 0) || (stderr && stderr.length > 0)) {
-                        let errStr = `'${cmd}' error:`;
+                        this.print(`'${cmd}' error:`, targetName, 'stderr');
 
                         if (stdout && stdout.length > 0) {
-                            errStr += `${os.EOL}${stdout}`;
+                            this.print(stdout, targetName, 'stdout');
                         }
 
                         if (stderr && stderr.length > 0) {
-                            errStr += `${os.EOL}${stderr}`;
+                            this.print(stderr, targetName, 'stderr');
                         }
-
-                        this.print(errStr, targetName);
                     }
 
+                    err.stdout = LLBuild.tailLines(stdout, this.options.outputTailLines);
+                    err.stderr = LLBuild.tailLines(stderr, this.options.outputTailLines);
                     reject(err);
                     return;
                 }
 
                 if (stdout && stdout.length > 0) {
-                    this.print(stdout, targetName);
+                    this.print(stdout, targetName, 'stdout');
                 }
 
                 if (cp.exitCode !== 0) {
                     if (stderr && stderr.length > 0) {
-                        if (!this.options.quiet) {
-                            console.log(`'${cmd}' error:${os.EOL}${stderr}`);
-                        }
-                        this.emitConsoleOutput(targetName, stderr);
+                        this.print(`'${cmd}' error:${os.EOL}${stderr}`, targetName, 'stderr');
                     }
 
-                    if (cp.exitCode === null) {
-                        reject(new Error(`'${cmd}' exited with signal: ${cp.signalCode}`));
-                    } else {
-                        reject(new Error(`'${cmd}' exited with code: ${cp.exitCode}`));
-                    }
+                    const exitErr = new Error(cp.exitCode === null ? `'${cmd}' exited with signal: ${cp.signalCode}` : `'${cmd}' exited with code: ${cp.exitCode}`);
+                    exitErr.cmd = cmd;
+                    exitErr.code = cp.exitCode;
+                    exitErr.signal = cp.signalCode;
+                    exitErr.stdout = LLBuild.tailLines(stdout, this.options.outputTailLines);
+                    exitErr.stderr = LLBuild.tailLines(stderr, this.options.outputTailLines);
+                    reject(exitErr);
                 } else {
                     resolve(stdout);
                 }
+            };
+
+            const cp = command.args && !shell
+                ? childProcess.execFile(command.file, command.args, processOptions, onExit)
+                : childProcess.exec(command.cmd, typeof shell === 'string' ? Object.assign({ shell: shell }, processOptions) : processOptions, onExit);
+            const child = this.trackChildProcess(cp, cancellation);
+            LLBuild.writeInput(cp, command.options);
+        });
+    }
+
+    /**
+     * Spawns the specified command as a child process and prints its output line by line as it arrives.
+     * Only the last {@link LLBuild~LLBuildOptions}.outputTailLines lines are kept for the error of a failed command.
+     * @private
+     * @param {LLBuild~HookCommand} command The command to execute, with the command line to print, see {@link LLBuild#executeCommandWithRetries}.
+     * @param {CancellationScope} cancellation The scope killing the child process when cancelled.
+     * @return {Promise} A promise object that will resolve with the lines of stdout after the command was executed successfully,
+     * or reject with an error whose message ends with the last lines of the output.
+     */
+    runStreamingCommand(command, cancellation) {
+        const cmd = command.printedCmd;
+        const targetName = command.targetName;
+        const shell = command.options ? command.options.shell : undefined;
+        const processOptions = Object.assign({
+            stdio: [command.options && command.options.input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe']
+        }, LLBuild.getProcessOptions(command.options));
+
+        return new Promise((resolve, reject) => {
+            this.print(cmd, targetName);
+
+            const stdoutLines = [];
+            const tail = [];
+            const pushLine = (stream, line) => {
+                if (stream === 'stdout') {
+                    stdoutLines.push(line);
+                }
+
+                tail.push({ stream: stream, line: line });
+                if (tail.length > this.options.outputTailLines) {
+                    tail.shift();
+                }
+
+                this.print(line, targetName, stream);
+            };
+
+            const startTime = Date.now();
+            const cp = command.args && !shell
+                ? childProcess.spawn(command.file, command.args, processOptions)
+                : childProcess.spawn(command.cmd, Object.assign({ shell: typeof shell === 'string' ? shell : true }, processOptions));
+            const child = this.trackChildProcess(cp, cancellation);
+            LLBuild.writeInput(cp, command.options);
+            let outputSize = 0;
+            // The streams are decoded by splitLines, so the chunks are strings.
+            cp.stdout.on('data', chunk => { outputSize += Buffer.byteLength(chunk); });
+            cp.stderr.on('data', chunk => { outputSize += Buffer.byteLength(chunk); });
+            const flushStdout = LLBuild.splitLines(cp.stdout, line => pushLine('stdout', line));
+            const flushStderr = LLBuild.splitLines(cp.stderr, line => pushLine('stderr', line));
+            const tailOf = stream => tail.filter(t => t.stream === stream).map(t => t.line).join(os.EOL);
+
+            cp.on('error', err => {
+                this.untrackChildProcess(child);
+                reject(err);
+            });
+
+            cp.on('close', (code, signal) => {
+                flushStdout();
+                flushStderr();
+                this.untrackChildProcess(child);
+                this.emitCommandExecuted(targetName, cmd, code, signal, outputSize, Date.now() - startTime);
+
+                if (child.killReason) {
+                    reject(child.killReason);
+                    return;
+                } else if (code === 0) {
+                    resolve(stdoutLines.join(os.EOL));
+                    return;
+                }
+
+                let message = code === null ? `'${cmd}' exited with signal: ${signal}` : `'${cmd}' exited with code: ${code}`;
+                if (tail.length > 0) {
+                    message += `${os.EOL}${tail.map(t => t.line).join(os.EOL)}`;
+                }
+
+                const err = new Error(message);
+                err.cmd = cmd;
+                err.code = code;
+                err.signal = signal;
+                err.stdout = tailOf('stdout');
+                err.stderr = tailOf('stderr');
+                reject(err);
+            });
+        });
+    }
+
+    /**
+     * Gets the options of a child process set by the options of its command.
+     * @private
+     * @param {(LLBuild~CommandOptions|LLBuild~SpawnOptions)=} options The options of the command.
+     * @return {Object} The working directory and the environment of the child process, if they are set.
+     */
+    static getProcessOptions(options) {
+        const processOptions = {};
+        if (options && options.cwd !== undefined) {
+            processOptions.cwd = options.cwd;
+        }
+
+        if (options && options.env) {
+            processOptions.env = Object.assign({}, process.env, options.env);
+        }
+
+        return processOptions;
+    }
+
+    /**
+     * Writes the input of a command to the standard input of its child process, and closes it.
+     * @private
+     * @param {ChildProcess} cp The child process.
+     * @param {(LLBuild~CommandOptions|LLBuild~SpawnOptions)=} options The options of the command.
+     */
+    static writeInput(cp, options) {
+        if (options && options.input !== undefined && cp.stdin) {
+            // The child process may exit without reading its input.
+            cp.stdin.on('error', () => { });
+            cp.stdin.end(options.input);
+        }
+    }
+
+    /**
+     * Quotes a file and its arguments as a command line, the way the shell of the platform expects.
+     * Arguments made of letters, digits and a few safe punctuation characters are not quoted.
+     * @private
+     * @param {string} file The file to execute.
+     * @param {Array.<string>} args The arguments of the file.
+     * @return {string} The command line.
+     */
+    static formatCommandLine(file, args) {
+        return [file].concat(args).map(arg => {
+            const value = String(arg);
+            if (/^[A-Za-z0-9_\/.,:=+@%-]+$/.test(value)) {
+                return value;
+            } else if (process.platform === 'win32') {
+                return `"${value.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`;
+            } else {
+                return `'${value.replace(/'/g, "'\\''")}'`;
+            }
+        }).join(' ');
+    }
+
+    /**
+     * Registers a running child process, so that it can be killed when the build, the target or the command is cancelled.
+     * @private
+     * @param {ChildProcess} cp The child process.
+     * @param {CancellationScope} cancellation The scope of the command.
+     * @return {Object} The registration, to pass in to {@link LLBuild#untrackChildProcess} once the child process has exited.
+     */
+    trackChildProcess(cp, cancellation) {
+        const child = { process: cp, killReason: null, removeCancelListener: null };
+        this.childProcesses.add(child);
+        child.removeCancelListener = cancellation.onCancel(err => this.killChildProcess(child, err));
+        return child;
+    }
+
+    /**
+     * Unregisters a child process that has exited.
+     * @private
+     * @param {Object} child The registration returned by {@link LLBuild#trackChildProcess}.
+     */
+    untrackChildProcess(child) {
+        this.childProcesses.delete(child);
+        child.removeCancelListener();
+    }
+
+    /**
+     * Kills every running child process.
+     * @private
+     * @param {Error} err The error the commands of the killed child processes reject with.
+     */
+    killChildProcesses(err) {
+        this.childProcesses.forEach(child => this.killChildProcess(child, err));
+    }
+
+    /**
+     * Kills a child process together with the processes it has started.
+     * @private
+     * @param {Object} child The registration returned by {@link LLBuild#trackChildProcess}.
+     * @param {Error} err The error the command of the child process rejects with.
+     */
+    killChildProcess(child, err) {
+        if (child.killReason || !child.process.pid) {
+            return;
+        }
+
+        child.killReason = err;
+        if (process.platform === 'win32') {
+            childProcess.exec(`taskkill /pid ${child.process.pid} /T /F`, () => { });
+        } else {
+            LLBuild.listProcessTree(child.process.pid).then(pids => pids.forEach(pid => {
+                try {
+                    process.kill(pid, 'SIGTERM');
+                } catch (killErr) {
+                    // The process has already exited.
+                }
+            }));
+        }
+    }
+
+    /**
+     * Lists a process and its descendants on POSIX platforms.
+     * @private
+     * @param {number} rootPid The process id of the root of the process tree.
+     * @return {Promise.<Array.<number>>} A promise object that will resolve with the process ids, parents first.
+     */
+    static listProcessTree(rootPid) {
+        return new Promise(resolve => {
+            childProcess.execFile('ps', ['-A', '-o', 'pid=,ppid='], (err, stdout) => {
+                const childPids = new Map();
+                (err ? '' : stdout).split('\n').forEach(line => {
+                    const match = /^\s*(\d+)\s+(\d+)/.exec(line);
+                    if (match) {
+                        const pid = parseInt(match[1], 10);
+                        const ppid = parseInt(match[2], 10);
+                        childPids.set(ppid, (childPids.get(ppid) || []).concat([pid]));
+                    }
+                });
+
+                const pids = [];
+                const visit = pid => {
+                    pids.push(pid);
+                    (childPids.get(pid) || []).forEach(visit);
+                };
+
+                visit(rootPid);
+                resolve(pids);
             });
         });
     }
 
     /**
-     * Executes the specified command as a child process.
-     * @param {string} cmd The command to execute.
-     * @param {boolean=} quiet Disables printing to the standard output and standard error.
-     * @param {number=} maxBuffer The maximum size of the stdout and stderr buffers (default is 200 * 1024).
+     * Gets the last lines of the output of a command.
+     * @private
+     * @param {string} output The output of the command.
+     * @param {number} count The maximum number of lines to keep.
+     * @return {string} The last lines of the output.
+     */
+    static tailLines(output, count) {
+        const lines = (output || '').split(/\r?\n/);
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        return lines.slice(Math.max(0, lines.length - count)).join(os.EOL);
+    }
+
+    /**
+     * Splits the data read from a stream into lines.
+     * @private
+     * @param {stream.Readable} readable The stream to read.
+     * @param {Function} onLine The callback invoked with each complete line, without the line terminator.
+     * @return {Function} A function invoking the callback with the incomplete last line, if any, once the stream has ended.
+     */
+    static splitLines(readable, onLine) {
+        let pending = '';
+        readable.setEncoding('utf8');
+        readable.on('data', chunk => {
+            const lines = (pending + chunk).split(/\r?\n/);
+            pending = lines.pop();
+            lines.forEach(onLine);
+        });
+
+        return () => {
+            if (pending.length > 0) {
+                onLine(pending);
+                pending = '';
+            }
+        };
+    }
+
+    /**
+     * Executes the specified command as a child process. Inside a target runner, the command is executed by the builder instance
+     * of the runner, associated with its target, so that it counts toward {@link LLBuild~LLBuildOptions}.jobs and is reported with it.
+     * Before Node.js 12.17, this only applies to the commands executed synchronously by the runner, see {@link LLBuild#executeCommand} instead.
+     * @param {string} cmd The command line to execute in a shell, or the file to execute.
+     * @param {(boolean|Array.<string>)=} quiet Disables printing to the standard output and standard error.
+     * When a file is executed, the array of its arguments instead.
+     * @param {(number|Object)=} maxBuffer The maximum size of the stdout and stderr buffers (default is 200 * 1024).
+     * When a file is executed, its {@link LLBuild~SpawnOptions} instead, which may also include quiet and maxBufferSize.
      * @return {Promise} A promise object that will resolve with the contents of stdout after the command was executed successfully.
      * @example
      * const targets = {
      *     'less': function() {
-     *         return LLBuild.executeCommand('less style.less');
+     *         return LLBuild.executeCommand('lessc', ['style.less', 'out/style.css']);
      *     }
      * };
      *
      * new LLBuild(targets).executeTarget('less');
      */
     static executeCommand(cmd, quiet, maxBufferSize) {
-        return new LLBuild(null, { quiet: quiet, maxBufferSize: maxBufferSize }).executeCommand(cmd, 'exec');
+        const scope = LLBuild.getCurrentRunnerScope();
+        const targetName = scope ? scope.targetName : 'exec';
+        if (Array.isArray(quiet)) {
+            const options = Object.assign({ targetName: targetName }, maxBufferSize);
+            return LLBuild.getCommandBuilder(scope, options.quiet, options.maxBufferSize).executeCommand(cmd, quiet, options);
+        }
+
+        return LLBuild.getCommandBuilder(scope, quiet, maxBufferSize).executeCommand(cmd, targetName);
+    }
+
+    /**
+     * Gets the builder instance executing a command on behalf of {@link LLBuild.executeCommand}.
+     * @private
+     * @param {LLBuild~RunnerScope} scope The target runner executing the command, or null.
+     * @param {boolean=} quiet Disables printing to the standard output and standard error, or undefined to keep the option of the runner.
+     * @param {number=} maxBufferSize The maximum size of the stdout and stderr buffers, or undefined to keep the option of the runner.
+     * @return {LLBuild} The builder instance of the runner with the specified options, or a new builder instance outside target runners.
+     */
+    static getCommandBuilder(scope, quiet, maxBufferSize) {
+        if (!scope) {
+            return new LLBuild(null, { quiet: quiet, maxBufferSize: maxBufferSize });
+        }
+
+        const overrides = {};
+        if (quiet !== undefined) {
+            overrides.quiet = quiet;
+        }
+
+        if (maxBufferSize !== undefined) {
+            overrides.maxBufferSize = maxBufferSize;
+        }
+
+        return Object.assign(Object.create(scope.builder), { options: Object.assign({}, scope.builder.options, overrides) });
     }
 
     /**
@@ -536,6 +2625,11 @@ class LLBuild {
      * new LLBuild(targets).executeTarget('mkdir');
      */
     mkdirp(path, targetName) {
+        if (this.options.dryRun) {
+            this.print(`[dry run] mkdir -p ${path}`, targetName);
+            return Promise.resolve();
+        }
+
         this.print(`mkdir -p ${path}`, targetName);
         return mkdirp(path).then(() => Promise.resolve());
     }
@@ -559,10 +2653,11 @@ class LLBuild {
     }
     
     /**
-     * Recursively removes a file or directory.
-     * @param {string} path The path of the file or directory to remove.
+     * Recursively removes a file or directory, or the files and directories matching glob patterns.
+     * @param {(string|Array.<string>)} path The path of the file or directory to remove, or glob patterns, see {@link LLBuild#glob}.
+     * Wildcards match names starting with a dot, and paths matching a pattern starting with ! are not removed.
      * @param {string} targetName The target the operation is associated with, or null.
-     * @return {Promise} A promise object that will resolve after the file or directory was removed successfully.
+     * @return {Promise} A promise object that will resolve after the files and directories were removed successfully.
      * @example
      * const targets = {
      *     'rmrf': function() {
@@ -573,24 +2668,21 @@ class LLBuild {
      * new LLBuild(targets).executeTarget('rmrf');
      */
     rmrf(path, targetName) {
-        return new Promise((resolve, reject) => {
-            this.print(`rm -rf ${path}`, targetName);
-            
-            rimraf(path, function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve();
-                }
-            });
-        });
+        if (this.options.dryRun) {
+            this.print(`[dry run] rm -rf ${[].concat(path).join(' ')}`, targetName);
+            return Promise.resolve();
+        }
+
+        this.print(`rm -rf ${[].concat(path).join(' ')}`, targetName);
+        return fileOps.remove(path).then(() => Promise.resolve());
     }
 
     /**
-     * Recursively removes a file or directory.
-     * @param {string} path The path of the file or directory to remove.
+     * Recursively removes a file or directory, or the files and directories matching glob patterns.
+     * @param {(string|Array.<string>)} path The path of the file or directory to remove, or glob patterns, see {@link LLBuild#glob}.
+     * Wildcards match names starting with a dot, and paths matching a pattern starting with ! are not removed.
      * @param {boolean=} quiet Disables printing to the standard output.
-     * @return {Promise} A promise object that will resolve after the file or directory was removed successfully.
+     * @return {Promise} A promise object that will resolve after the files and directories were removed successfully.
      * @example
      * const targets = {
      *     'rmrf': function() {
@@ -605,18 +2697,236 @@ class LLBuild {
     }
 
     /**
-     * Prints the specified content to the standard output.
-     * @param {string} content The content to be printed.
-     * @param {string=} targetName The target the message is associated with, or null.
+     * Expands glob patterns into the paths of the files and directories they match. ** matches any number of directories,
+     * and paths matching a pattern starting with ! are left out, together with the paths inside them. The paths are sorted,
+     * so that builds do not depend on the order the file system lists directories in.
+     * @param {(string|Array.<string>)} patterns The glob patterns.
+     * @param {LLBuild~GlobOptions=} options The directory the patterns are relative to, and whether dotfiles, directories and absolute paths are returned.
+     * @return {Promise.<Array.<string>>} A promise object that will resolve with the matched paths, with forward slashes.
+     * @example
+     * const targets = {
+     *     'less': function(builder) {
+     *         return builder.glob(['src/**\/*.less', '!src/**\/_*.less']).then(files =>
+     *             Promise.all(files.map(file => builder.executeCommand('lessc', [file, file.replace(/\.less$/, '.css')], { targetName: 'less' }))));
+     *     }
+     * };
+     *
+     * new LLBuild(targets).executeTarget('less');
+     */
+    glob(patterns, options) {
+        return globs.expand(patterns, options);
+    }
+
+    /**
+     * Expands glob patterns into the sorted paths of the files and directories they match, see {@link LLBuild#glob}.
+     * @param {(string|Array.<string>)} patterns The glob patterns.
+     * @param {LLBuild~GlobOptions=} options The directory the patterns are relative to, and whether dotfiles, directories and absolute paths are returned.
+     * @return {Promise.<Array.<string>>} A promise object that will resolve with the matched paths, with forward slashes.
+     */
+    static glob(patterns, options) {
+        return globs.expand(patterns, options);
+    }
+
+    /**
+     * Copies a file or directory recursively, only the files matching the filter if there is one. Symbolic links are copied as links.
+     * @param {string} source The path of the file or directory to copy.
+     * @param {string} destination The path of the copy. The parent directories are created if they do not exist.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @param {(string|Array.<string>)=} filter Glob patterns the paths of the copied files, relative to a source directory, have to match.
+     * Files matching a pattern starting with ! are not copied.
+     * @return {Promise.<Array.<string>>} A promise object that will resolve with the paths of the copies of the files after they were copied successfully.
+     * @example
+     * const targets = {
+     *     'assets': function(builder) {
+     *         return builder.copy('assets', 'dist/assets', 'assets', ['**\/*.png', '!**\/draft-*']);
+     *     }
+     * };
+     *
+     * new LLBuild(targets).executeTarget('assets');
+     */
+    copy(source, destination, targetName, filter) {
+        const filterDescription = filter !== undefined && filter !== null ? ` (${[].concat(filter).join(', ')})` : '';
+        return this.runFileOperation(`cp -r ${source} ${destination}${filterDescription}`, targetName, () => fileOps.copy(source, destination, filter), () => Promise.resolve([]));
+    }
+
+    /**
+     * Copies a file or directory recursively, only the files matching the filter if there is one. Symbolic links are copied as links.
+     * @param {string} source The path of the file or directory to copy.
+     * @param {string} destination The path of the copy. The parent directories are created if they do not exist.
+     * @param {boolean=} quiet Disables printing to the standard output.
+     * @param {(string|Array.<string>)=} filter Glob patterns the paths of the copied files, relative to a source directory, have to match.
+     * Files matching a pattern starting with ! are not copied.
+     * @return {Promise.<Array.<string>>} A promise object that will resolve with the paths of the copies of the files after they were copied successfully.
+     */
+    static copy(source, destination, quiet, filter) {
+        return new LLBuild(null, { quiet: quiet }).copy(source, destination, 'copy', filter);
+    }
+
+    /**
+     * Moves or renames a file or directory, falling back to copying and removing it when it is moved to another device.
+     * @param {string} source The path of the file or directory to move.
+     * @param {string} destination The new path. The parent directories are created if they do not exist.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @return {Promise} A promise object that will resolve after the file or directory was moved successfully.
+     */
+    move(source, destination, targetName) {
+        return this.runFileOperation(`mv ${source} ${destination}`, targetName, () => fileOps.move(source, destination));
+    }
+
+    /**
+     * Moves or renames a file or directory, falling back to copying and removing it when it is moved to another device.
+     * @param {string} source The path of the file or directory to move.
+     * @param {string} destination The new path. The parent directories are created if they do not exist.
+     * @param {boolean=} quiet Disables printing to the standard output.
+     * @return {Promise} A promise object that will resolve after the file or directory was moved successfully.
+     */
+    static move(source, destination, quiet) {
+        return new LLBuild(null, { quiet: quiet }).move(source, destination, 'move');
+    }
+
+    /**
+     * Creates a symbolic link. On Windows, links to directories are created as junctions.
+     * @param {string} target The path the link points to, relative to the directory of the link or absolute.
+     * @param {string} linkPath The path of the link. The parent directories are created if they do not exist.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @return {Promise} A promise object that will resolve after the link was created successfully.
+     */
+    symlink(target, linkPath, targetName) {
+        return this.runFileOperation(`ln -s ${target} ${linkPath}`, targetName, () => fileOps.symlink(target, linkPath));
+    }
+
+    /**
+     * Creates a symbolic link. On Windows, links to directories are created as junctions.
+     * @param {string} target The path the link points to, relative to the directory of the link or absolute.
+     * @param {string} linkPath The path of the link. The parent directories are created if they do not exist.
+     * @param {boolean=} quiet Disables printing to the standard output.
+     * @return {Promise} A promise object that will resolve after the link was created successfully.
+     */
+    static symlink(target, linkPath, quiet) {
+        return new LLBuild(null, { quiet: quiet }).symlink(target, linkPath, 'symlink');
+    }
+
+    /**
+     * Writes a file, replacing it if it exists.
+     * @param {string} filePath The path of the file. The parent directories are created if they do not exist.
+     * @param {(string|Buffer)} content The content of the file.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @return {Promise} A promise object that will resolve after the file was written successfully.
+     */
+    writeFile(filePath, content, targetName) {
+        return this.runFileOperation(`write ${filePath}`, targetName, () => fileOps.writeFile(filePath, content));
+    }
+
+    /**
+     * Writes a file, replacing it if it exists.
+     * @param {string} filePath The path of the file. The parent directories are created if they do not exist.
+     * @param {(string|Buffer)} content The content of the file.
+     * @param {boolean=} quiet Disables printing to the standard output.
+     * @return {Promise} A promise object that will resolve after the file was written successfully.
+     */
+    static writeFile(filePath, content, quiet) {
+        return new LLBuild(null, { quiet: quiet }).writeFile(filePath, content, 'writeFile');
+    }
+
+    /**
+     * Reads a file. Files are read in dry run mode as well.
+     * @param {string} filePath The path of the file.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @param {string=} encoding The encoding of the file (default is 'utf8'), or null to read it as a Buffer.
+     * @return {Promise.<(string|Buffer)>} A promise object that will resolve with the content of the file.
+     */
+    readFile(filePath, targetName, encoding) {
+        const read = () => fileOps.readFile(filePath, encoding === undefined ? 'utf8' : encoding);
+        return this.runFileOperation(`read ${filePath}`, targetName, read, read);
+    }
+
+    /**
+     * Reads a file.
+     * @param {string} filePath The path of the file.
+     * @param {boolean=} quiet Disables printing to the standard output.
+     * @param {string=} encoding The encoding of the file (default is 'utf8'), or null to read it as a Buffer.
+     * @return {Promise.<(string|Buffer)>} A promise object that will resolve with the content of the file.
+     */
+    static readFile(filePath, quiet, encoding) {
+        return new LLBuild(null, { quiet: quiet }).readFile(filePath, 'readFile', encoding);
+    }
+
+    /**
+     * Removes the files and directories matching glob patterns, directories recursively.
+     * @param {(string|Array.<string>)} patterns The glob patterns. Paths matching a pattern starting with ! are not removed.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @return {Promise.<Array.<string>>} A promise object that will resolve with the removed paths after they were removed successfully,
+     * or with the paths that would be removed in dry run mode.
+     * @example
+     * const targets = {
+     *     'clean': function(builder) {
+     *         return builder.remove(['dist/**\/*.js', '!dist/vendor/**'], 'clean');
+     *     }
+     * };
+     *
+     * new LLBuild(targets).executeTarget('clean');
+     */
+    remove(patterns, targetName) {
+        return this.runFileOperation(`rm -rf ${[].concat(patterns).join(' ')}`, targetName, () => fileOps.remove(patterns), () => fileOps.findRemovable(patterns));
+    }
+
+    /**
+     * Removes the files and directories matching glob patterns, directories recursively.
+     * @param {(string|Array.<string>)} patterns The glob patterns. Paths matching a pattern starting with ! are not removed.
+     * @param {boolean=} quiet Disables printing to the standard output.
+     * @return {Promise.<Array.<string>>} A promise object that will resolve with the removed paths after they were removed successfully.
+     */
+    static remove(patterns, quiet) {
+        return new LLBuild(null, { quiet: quiet }).remove(patterns, 'remove');
+    }
+
+    /**
+     * Prints a file operation and performs it, or only prints it in dry run mode.
+     * @private
+     * @param {string} description The description of the operation, printed like a shell command.
+     * @param {string} targetName The target the operation is associated with, or null.
+     * @param {Function} operation Performs the operation, returning a promise.
+     * @param {Function=} dryRunOperation Returns the promise to resolve with in dry run mode instead (default resolves with undefined).
+     * @return {Promise} A promise object that will settle like the operation.
      */
-    print(content, targetName) {
-        if (!this.options.quiet) {
-            console.log(content);
+    runFileOperation(description, targetName, operation, dryRunOperation) {
+        if (this.options.dryRun) {
+            this.print(`[dry run] ${description}`, targetName);
+            return dryRunOperation ? dryRunOperation() : Promise.resolve();
         }
 
-        this.emitConsoleOutput(targetName, content);
+        this.print(description, targetName);
+        return operation();
+    }
+
+    /**
+     * Prints the specified content through the reporter, to the standard output unless it is error output.
+     * @param {string} content The content to be printed.
+     * @param {string=} targetName The target the message is associated with, or null.
+     * @param {string=} stream The stream of the command the content was read from, or 'stderr' for errors.
+     */
+    print(content, targetName, stream) {
+        this.emitConsoleOutput(targetName, content, stream);
     }
 }
 
-module.exports = LLBuild;
+/**
+ * The target runner being called synchronously, where AsyncLocalStorage is not available.
+ * @private
+ * @type {LLBuild~RunnerScope}
+ */
+LLBuild.syncRunnerScope = null;
+
+LLBuild.AggregateBuildError = errors.AggregateBuildError;
+LLBuild.BuildError = errors.BuildError;
+LLBuild.CancellationError = errors.CancellationError;
+LLBuild.DependencyCycleError = errors.DependencyCycleError;
+LLBuild.JsonReporter = reporters.JsonReporter;
+LLBuild.PlainReporter = reporters.PlainReporter;
+LLBuild.PrefixedReporter = reporters.PrefixedReporter;
+LLBuild.RetryError = errors.RetryError;
+LLBuild.TimeoutError = errors.TimeoutError;
+LLBuild.UsageError = errors.UsageError;
+LLBuild.ValidationError = errors.ValidationError;
 
+module.exports = LLBuild;
\ No newline at end of file
@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * @module llbuild/plugins
+ * @license MIT
+ */
+
+/**
+ * The hooks a plugin can implement.
+ * @private
+ * @type {Array.<string>}
+ */
+const HOOKS = ['beforeBuild', 'beforeTarget', 'afterTarget', 'onError', 'afterBuild', 'wrapCommand'];
+
+/**
+ * Holds the plugins registered with {@link LLBuild#use} and runs their hooks.
+ *
+ * Hooks run one after the other, in the order the plugins were registered, each waiting for the previous one to settle.
+ * A hook resolving with a value other than undefined short-circuits the hooks registered after it.
+ * The wrapCommand hooks are nested instead, the first registered plugin being the outermost.
+ */
+class PluginSet {
+    /**
+     * Creates a new, empty plugin set.
+     */
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * Registers a plugin.
+     * @param {LLBuild~Plugin} plugin The plugin.
+     * @throws {Error} If the plugin is not an object, or one of its hooks is not a function.
+     */
+    add(plugin) {
+        if (plugin === null || typeof plugin !== 'object') {
+            throw new Error('Plugin is expected to be an object.');
+        }
+
+        HOOKS.forEach(hookName => {
+            if (plugin[hookName] !== undefined && typeof plugin[hookName] !== 'function') {
+                throw new Error(`The ${hookName} hook of the plugin is expected to be a function.`);
+            }
+        });
+
+        this.plugins.push(plugin);
+    }
+
+    /**
+     * Runs a hook of every plugin implementing it, until one of them resolves with a value other than undefined.
+     * @param {string} hookName The name of the hook.
+     * @param {Object} ev The argument passed in to the hooks.
+     * @return {Promise} A promise object that will resolve with the value of the hook that has short-circuited the others, or undefined,
+     * or reject as soon as a hook rejects.
+     */
+    run(hookName, ev) {
+        return this.plugins.reduce(
+            (previous, plugin) => previous.then(result => {
+                if (result !== undefined || typeof plugin[hookName] !== 'function') {
+                    return result;
+                }
+
+                return plugin[hookName](ev);
+            }),
+            Promise.resolve(undefined)
+        );
+    }
+
+    /**
+     * Runs an operation wrapped by the wrapCommand hooks of the plugins.
+     * @param {Object} command The command passed in to the outermost hook.
+     * @param {Function} operation Runs the command passed in by the innermost hook, returning a promise.
+     * @return {Promise} A promise object that will settle like the outermost hook, or like the operation if no plugin wraps commands.
+     */
+    wrapCommand(command, operation) {
+        const wrappers = this.plugins.filter(plugin => typeof plugin.wrapCommand === 'function');
+        const next = index => actualCommand => {
+            if (index >= wrappers.length) {
+                return Promise.resolve().then(() => operation(actualCommand));
+            }
+
+            return Promise.resolve().then(() => wrappers[index].wrapCommand(actualCommand, next(index + 1)));
+        };
+
+        return next(0)(command);
+    }
+}
+
+module.exports = PluginSet;
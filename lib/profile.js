@@ -0,0 +1,228 @@
+"use strict";
+
+/**
+ * @module llbuild/profile
+ * @license MIT
+ */
+
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * The events a profile is built from.
+ * @private
+ * @type {Array.<string>}
+ */
+const EVENTS = ['targetExecutionStarted', 'targetExecutionCompleted', 'targetExecutionFailed', 'commandExecuted'];
+
+/**
+ * Records the target runners and the commands of a build as spans, and writes them to a Chrome Trace Event file
+ * that can be loaded in about:tracing or Perfetto.
+ */
+class BuildProfile {
+    /**
+     * Creates a new build profile.
+     * @param {LLBuild} builder The builder instance whose events are recorded.
+     * @param {string} filePath The path of the trace file.
+     */
+    constructor(builder, filePath) {
+        this.builder = builder;
+        this.filePath = filePath;
+        this.roots = [];
+        this.spans = [];
+        this.openSpans = new Map();
+        this.startTime = null;
+        this.endTime = null;
+        this.listeners = null;
+    }
+
+    /**
+     * Starts recording the build of a target. A profile can cover several builds sharing the same build state, one after the other.
+     * @param {string} targetName The name of the target being built.
+     */
+    start(targetName) {
+        if (this.startTime === null) {
+            this.startTime = Date.now();
+        }
+
+        this.roots.push(targetName);
+        this.listeners = EVENTS.map(eventName => {
+            const listener = ev => this.record(eventName, ev);
+            this.builder.addListener(eventName, listener);
+            return { eventName: eventName, listener: listener };
+        });
+    }
+
+    /**
+     * Stops recording the build of a target.
+     */
+    finish() {
+        this.endTime = Date.now();
+        (this.listeners || []).forEach(l => this.builder.removeListener(l.eventName, l.listener));
+        this.listeners = null;
+    }
+
+    /**
+     * Records an event of the builder.
+     * @private
+     * @param {string} eventName The name of the event.
+     * @param {Object} ev The event arguments.
+     */
+    record(eventName, ev) {
+        const now = Date.now();
+        if (eventName === 'targetExecutionStarted') {
+            const span = { kind: 'target', name: ev.targetName, targetName: ev.targetName, start: now, end: null, args: {} };
+            this.spans.push(span);
+            this.openSpans.set(ev.targetName, (this.openSpans.get(ev.targetName) || []).concat([span]));
+        } else if (eventName === 'commandExecuted') {
+            this.spans.push({
+                kind: 'command',
+                name: ev.command,
+                targetName: ev.targetName,
+                start: now - ev.duration,
+                end: now,
+                args: { target: ev.targetName, exitCode: ev.exitCode, signal: ev.signal, outputSize: ev.outputSize }
+            });
+        } else {
+            const open = this.openSpans.get(ev.targetName) || [];
+            if (open.length > 0) {
+                const span = open.shift();
+                span.end = now;
+                span.args.status = eventName === 'targetExecutionCompleted' ? 'succeeded' : 'failed';
+            }
+        }
+    }
+
+    /**
+     * Finds the critical path of the build: the chain of target runners, ending with the runner that has finished last,
+     * each of which has started after the previous one, the latest to finish before it, had finished.
+     * @return {Array.<Object>} The spans of the target runners on the critical path, in the order they were executed.
+     */
+    getCriticalPath() {
+        const finishedSpans = this.spans.filter(span => span.kind === 'target' && span.end !== null);
+        // Spans are recorded in the order they have started, so ties are broken in favour of the runner that has started later.
+        const latest = spans => spans.reduce((latestSpan, span) => latestSpan === null || span.end >= latestSpan.end ? span : latestSpan, null);
+        const criticalPath = [];
+        for (let span = latest(finishedSpans); span !== null; span = latest(finishedSpans.slice(0, finishedSpans.indexOf(span)).filter(other => other.end <= span.start))) {
+            criticalPath.unshift(span);
+        }
+
+        return criticalPath;
+    }
+
+    /**
+     * Formats the summary of the profile printed after the build.
+     * @return {string} The summary, listing the critical path.
+     */
+    formatSummary() {
+        const criticalPath = this.getCriticalPath();
+        return [
+            `Profile written to ${this.filePath}`,
+            `Critical path (${BuildProfile.getDuration(criticalPath)} ms): ${criticalPath.map(span => `${span.name} (${span.end - span.start} ms)`).join(' > ')}`
+        ].join(os.EOL);
+    }
+
+    /**
+     * Converts the profile to the Chrome Trace Event format. Target runners running at the same time are placed on separate lanes,
+     * and commands are nested under their target runner if it is not running another command at the same time.
+     * @return {Object} The trace.
+     */
+    toTrace() {
+        const origin = this.startTime === null ? Date.now() : this.startTime;
+        const criticalPath = this.getCriticalPath();
+        const closedSpans = this.spans.map(span => Object.assign({}, span, {
+            end: span.end === null ? this.endTime || Date.now() : span.end,
+            isCritical: criticalPath.indexOf(span) >= 0
+        }));
+
+        const lanes = [];
+        const place = (span, owner) => {
+            const isFree = spans => spans.every(other => other === owner || other.end <= span.start || other.start >= span.end);
+            let lane = owner && isFree(lanes[owner.lane]) ? owner.lane : lanes.findIndex(isFree);
+            if (lane < 0) {
+                lane = lanes.length;
+                lanes.push([]);
+            }
+
+            lanes[lane].push(span);
+            span.lane = lane;
+        };
+
+        const byStart = (a, b) => a.start - b.start || b.end - a.end;
+        const targetSpans = closedSpans.filter(span => span.kind === 'target').sort(byStart);
+        targetSpans.forEach(span => place(span, null));
+        closedSpans.filter(span => span.kind === 'command').sort(byStart).forEach(span => {
+            place(span, targetSpans.find(target => target.targetName === span.targetName && BuildProfile.contains(target, span)) || null);
+        });
+
+        const toMicroseconds = ms => Math.round((ms - origin) * 1000);
+        const traceEvents = [
+            { name: 'process_name', ph: 'M', pid: 1, tid: 0, args: { name: 'llbuild' } }
+        ].concat(lanes.map((spans, lane) => ({ name: 'thread_name', ph: 'M', pid: 1, tid: lane, args: { name: `Lane ${lane + 1}` } })));
+
+        closedSpans.sort(byStart).forEach(span => {
+            const ev = {
+                name: span.name,
+                cat: span.kind,
+                ph: 'X',
+                ts: toMicroseconds(span.start),
+                dur: Math.max(0, Math.round((span.end - span.start) * 1000)),
+                pid: 1,
+                tid: span.lane,
+                args: Object.assign({}, span.args, span.isCritical ? { criticalPath: true } : {})
+            };
+
+            if (span.isCritical) {
+                ev.cname = 'terrible';
+            }
+
+            traceEvents.push(ev);
+        });
+
+        return {
+            traceEvents: traceEvents,
+            displayTimeUnit: 'ms',
+            otherData: {
+                targets: this.roots.join(', '),
+                criticalPath: criticalPath.map(span => span.name).join(' > '),
+                criticalPathDuration: `${BuildProfile.getDuration(criticalPath)} ms`
+            }
+        };
+    }
+
+    /**
+     * Writes the trace file.
+     * @return {Promise} A promise object that will resolve after the file was written.
+     */
+    write() {
+        return mkdirp(path.dirname(path.resolve(this.filePath))).then(() => writeFileAsync(this.filePath, JSON.stringify(this.toTrace())));
+    }
+
+    /**
+     * Sums up the durations of spans.
+     * @private
+     * @param {Array.<Object>} spans The spans.
+     * @return {number} The total duration in milliseconds.
+     */
+    static getDuration(spans) {
+        return spans.reduce((sum, span) => sum + span.end - span.start, 0);
+    }
+
+    /**
+     * Determines whether a span contains another one.
+     * @private
+     * @param {Object} outer The outer span.
+     * @param {Object} inner The inner span.
+     * @return {boolean} True if the outer span starts before and ends after the inner span, false otherwise.
+     */
+    static contains(outer, inner) {
+        return outer.start <= inner.start && outer.end >= inner.end;
+    }
+}
+
+module.exports = BuildProfile;
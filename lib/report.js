@@ -0,0 +1,403 @@
+"use strict";
+
+/**
+ * @module llbuild/report
+ * @license MIT
+ */
+
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const writeFileAsync = util.promisify(fs.writeFile);
+
+const REPORT_VERSION = 1;
+
+/**
+ * The events a report is built from.
+ * @private
+ * @type {Array.<string>}
+ */
+const EVENTS = ['targetExecutionStarted', 'targetExecutionCompleted', 'targetExecutionFailed', 'targetSkipped', 'targetNotRun', 'targetRetry', 'commandExecuted'];
+
+/**
+ * Records what a build has executed, from the events of the builder, and writes it to a JSON or JUnit XML file.
+ */
+class BuildReport {
+    /**
+     * Creates a new build report.
+     * @param {LLBuild} builder The builder instance whose events are recorded.
+     * @param {Object} graph An object whose getDependencies function returns the names of the targets a named target references directly,
+     * and whose hasRunner function determines whether a named target has a runner of its own, rather than only dependencies.
+     * @param {string} filePath The path of the report file.
+     * @param {string=} format Either 'json' or 'junit'. If omitted, files with the .xml extension are written as JUnit XML and other files as JSON.
+     */
+    constructor(builder, graph, filePath, format) {
+        this.builder = builder;
+        this.graph = graph;
+        this.filePath = filePath;
+        this.format = format || (path.extname(filePath).toLowerCase() === '.xml' ? 'junit' : 'json');
+        this.roots = [];
+        this.records = new Map();
+        this.startTime = null;
+        this.endTime = null;
+        this.status = null;
+        this.error = null;
+        this.listeners = null;
+    }
+
+    /**
+     * Starts recording the build of a target. A report can cover several builds sharing the same build state, one after the other.
+     * @param {string} targetName The name of the target being built.
+     */
+    start(targetName) {
+        if (this.startTime === null) {
+            this.startTime = Date.now();
+        }
+
+        this.roots.push(targetName);
+        this.status = 'running';
+        this.listeners = EVENTS.map(eventName => {
+            const listener = ev => this.record(eventName, ev);
+            this.builder.addListener(eventName, listener);
+            return { eventName: eventName, listener: listener };
+        });
+    }
+
+    /**
+     * Stops recording the build of a target.
+     * @param {string} status The status of the build, either 'succeeded', 'failed' or 'cancelled'.
+     * @param {Error=} err The error the build has rejected with, if any.
+     */
+    finish(status, err) {
+        this.endTime = Date.now();
+        this.status = status;
+        this.error = err || null;
+        (this.listeners || []).forEach(l => this.builder.removeListener(l.eventName, l.listener));
+        this.listeners = null;
+    }
+
+    /**
+     * Records an event of the builder.
+     * @private
+     * @param {string} eventName The name of the event.
+     * @param {Object} ev The event arguments.
+     */
+    record(eventName, ev) {
+        const now = Date.now();
+        const record = this.getRecord(ev.targetName);
+        switch (eventName) {
+            case 'targetExecutionStarted':
+                record.startTime = record.startTime === null ? now : record.startTime;
+                record.running++;
+                break;
+            case 'targetExecutionCompleted':
+                record.endTime = now;
+                record.running--;
+                break;
+            case 'targetExecutionFailed':
+                record.endTime = now;
+                record.running--;
+                record.error = ev.err;
+                break;
+            case 'targetSkipped':
+                record.skipReason = ev.reason;
+                break;
+            case 'targetNotRun':
+                record.notRun = true;
+                break;
+            case 'targetRetry':
+                if (ev.command === null) {
+                    record.retries++;
+                }
+                break;
+            case 'commandExecuted':
+                record.commands.push({
+                    command: ev.command,
+                    startTime: new Date(now - ev.duration).toISOString(),
+                    duration: ev.duration,
+                    exitCode: ev.exitCode,
+                    signal: ev.signal,
+                    outputSize: ev.outputSize
+                });
+                break;
+        }
+    }
+
+    /**
+     * Gets the record of a target, creating it on first use.
+     * @private
+     * @param {string} targetName The name of the target, or null for commands not associated with any target.
+     * @return {Object} The record of the target.
+     */
+    getRecord(targetName) {
+        const key = targetName === undefined ? null : targetName;
+        if (!this.records.has(key)) {
+            this.records.set(key, { startTime: null, endTime: null, running: 0, error: null, skipReason: null, notRun: false, retries: 0, commands: [] });
+        }
+
+        return this.records.get(key);
+    }
+
+    /**
+     * Converts the report to a plain object, ready to be serialised as JSON.
+     * @return {Object} The report.
+     */
+    toJSON() {
+        const nodes = new Map();
+        const toNode = (targetName, parents) => {
+            if (nodes.has(targetName)) {
+                return Object.assign({}, nodes.get(targetName), { deps: [], duplicate: true });
+            }
+
+            const record = this.getRecord(targetName);
+            const node = {
+                name: targetName,
+                status: BuildReport.getStatus(record),
+                startTime: null,
+                endTime: null,
+                duration: null,
+                attempts: record.startTime === null ? 0 : record.retries + 1,
+                reason: record.skipReason,
+                error: BuildReport.describeError(record.error),
+                commands: record.commands,
+                deps: []
+            };
+
+            nodes.set(targetName, node);
+            node.deps = this.graph.getDependencies(targetName)
+                .filter(name => parents.indexOf(name) < 0)
+                .map(name => toNode(name, parents.concat([name])));
+
+            let startTime = record.startTime;
+            let endTime = record.endTime;
+            node.deps.forEach(dep => {
+                startTime = BuildReport.minTime(startTime, dep.startTime === null ? null : Date.parse(dep.startTime));
+                endTime = BuildReport.maxTime(endTime, dep.endTime === null ? null : Date.parse(dep.endTime));
+            });
+
+            if (node.status === 'pending' && !this.graph.hasRunner(targetName)) {
+                node.status = BuildReport.getParentStatus(node.deps);
+            }
+
+            node.startTime = startTime === null ? null : new Date(startTime).toISOString();
+            node.endTime = endTime === null ? null : new Date(endTime).toISOString();
+            node.duration = startTime === null || endTime === null ? null : endTime - startTime;
+            return node;
+        };
+
+        const targets = this.roots.map(name => toNode(name, [name]));
+        const unassociated = this.getRecord(null).commands;
+
+        return {
+            version: REPORT_VERSION,
+            status: this.status,
+            startTime: this.startTime === null ? null : new Date(this.startTime).toISOString(),
+            endTime: this.endTime === null ? null : new Date(this.endTime).toISOString(),
+            duration: this.startTime === null || this.endTime === null ? null : this.endTime - this.startTime,
+            error: BuildReport.describeError(this.error),
+            targets: targets,
+            commands: unassociated
+        };
+    }
+
+    /**
+     * Converts the report to JUnit XML, with a test suite per built target and a test case per target it has reached.
+     * @return {string} The XML document.
+     */
+    toJUnit() {
+        const report = this.toJSON();
+        const suites = report.targets.map(root => {
+            const cases = [];
+            const visit = (node, chain) => {
+                if (!node.duplicate) {
+                    cases.push(BuildReport.formatTestCase(node, chain));
+                    node.deps.forEach(dep => visit(dep, chain.concat([node.name])));
+                }
+            };
+
+            visit(root, []);
+            const suite = BuildReport.countTestCases(cases);
+            suite.xml = [
+                `  <testsuite name="${BuildReport.escapeXml(root.name)}" tests="${suite.tests}" failures="${suite.failures}" skipped="${suite.skipped}"` +
+                    ` time="${BuildReport.formatSeconds(root.duration)}"${root.startTime ? ` timestamp="${root.startTime}"` : ''}>`
+            ].concat(cases.map(c => c.xml)).concat(['  </testsuite>']).join(os.EOL);
+            return suite;
+        });
+
+        const total = suites.reduce((sum, suite) => ({
+            tests: sum.tests + suite.tests,
+            failures: sum.failures + suite.failures,
+            skipped: sum.skipped + suite.skipped
+        }), { tests: 0, failures: 0, skipped: 0 });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="llbuild" tests="${total.tests}" failures="${total.failures}" skipped="${total.skipped}" time="${BuildReport.formatSeconds(report.duration)}">`
+        ].concat(suites.map(suite => suite.xml)).concat(['</testsuites>', '']).join(os.EOL);
+    }
+
+    /**
+     * Writes the report file.
+     * @return {Promise} A promise object that will resolve after the file was written.
+     */
+    write() {
+        const content = this.format === 'junit' ? this.toJUnit() : JSON.stringify(this.toJSON(), null, 2);
+        return mkdirp(path.dirname(path.resolve(this.filePath))).then(() => writeFileAsync(this.filePath, content));
+    }
+
+    /**
+     * Gets the status of a target from its record.
+     * @private
+     * @param {Object} record The record of the target.
+     * @return {string} Either 'succeeded', 'failed', 'skipped', 'notRun', 'running' or 'pending' if the target has no runner events of its own.
+     */
+    static getStatus(record) {
+        if (record.error) {
+            return 'failed';
+        } else if (record.notRun) {
+            return 'notRun';
+        } else if (record.running > 0) {
+            return 'running';
+        } else if (record.startTime !== null) {
+            return 'succeeded';
+        } else if (record.skipReason !== null) {
+            return 'skipped';
+        } else {
+            return 'pending';
+        }
+    }
+
+    /**
+     * Gets the status of a target without a runner of its own from the statuses of its dependencies.
+     * @private
+     * @param {Array.<Object>} deps The report nodes of the dependencies.
+     * @return {string} The status of the target.
+     */
+    static getParentStatus(deps) {
+        const statuses = deps.map(dep => dep.status);
+        if (statuses.every(status => status === 'succeeded' || status === 'skipped')) {
+            return statuses.length > 0 && statuses.every(status => status === 'skipped') ? 'skipped' : 'succeeded';
+        } else if (statuses.indexOf('running') >= 0) {
+            return 'running';
+        } else {
+            return 'pending';
+        }
+    }
+
+    /**
+     * Describes an error in the report.
+     * @private
+     * @param {*} err The error, if any.
+     * @return {Object} The message of the error and the details of the failed command, if any, or null.
+     */
+    static describeError(err) {
+        if (err === null || err === undefined) {
+            return null;
+        }
+
+        const details = typeof err === 'object' ? err : {};
+        return {
+            message: details.message !== undefined ? details.message : String(err),
+            command: details.command !== undefined ? details.command : null,
+            exitCode: details.code !== undefined ? details.code : null,
+            signal: details.signal !== undefined ? details.signal : null,
+            stdout: details.stdout !== undefined ? details.stdout : null,
+            stderr: details.stderr !== undefined ? details.stderr : null
+        };
+    }
+
+    /**
+     * Formats a JUnit test case.
+     * @private
+     * @param {Object} node The report node of the target.
+     * @param {Array.<string>} chain The names of the targets that led to the target.
+     * @return {Object} The status of the test case and its XML.
+     */
+    static formatTestCase(node, chain) {
+        const attributes = `classname="${BuildReport.escapeXml(chain.length > 0 ? chain.join(' > ') : node.name)}" name="${BuildReport.escapeXml(node.name)}" time="${BuildReport.formatSeconds(node.duration)}"`;
+        let body = null;
+        if (node.status === 'failed') {
+            const output = [node.error.stdout, node.error.stderr].filter(o => o).join(os.EOL);
+            body = `      <failure message="${BuildReport.escapeXml(node.error.message)}">${BuildReport.escapeXml(output)}</failure>`;
+        } else if (node.status === 'skipped') {
+            body = `      <skipped message="${BuildReport.escapeXml(node.reason || 'Up to date.')}"/>`;
+        } else if (node.status === 'notRun') {
+            body = '      <skipped message="Not run, because a target it depends on has failed."/>';
+        } else if (node.status === 'running') {
+            body = '      <skipped message="Still running when the build has stopped."/>';
+        } else if (node.status === 'pending') {
+            body = '      <skipped message="Not reached before the build has stopped."/>';
+        }
+
+        return {
+            status: node.status,
+            xml: body === null ? `    <testcase ${attributes}/>` : [`    <testcase ${attributes}>`, body, '    </testcase>'].join(os.EOL)
+        };
+    }
+
+    /**
+     * Counts the JUnit test cases by outcome.
+     * @private
+     * @param {Array.<Object>} cases The test cases returned by {@link BuildReport.formatTestCase}.
+     * @return {Object} The number of test cases, failures and skipped test cases.
+     */
+    static countTestCases(cases) {
+        return {
+            tests: cases.length,
+            failures: cases.filter(c => c.status === 'failed').length,
+            skipped: cases.filter(c => c.status !== 'succeeded' && c.status !== 'failed').length
+        };
+    }
+
+    /**
+     * Formats a duration in seconds.
+     * @private
+     * @param {number} duration The duration in milliseconds, or null.
+     * @return {string} The duration in seconds, with millisecond precision.
+     */
+    static formatSeconds(duration) {
+        return ((duration || 0) / 1000).toFixed(3);
+    }
+
+    /**
+     * Escapes text for XML attributes and content.
+     * @private
+     * @param {string} text The text to escape.
+     * @return {string} The escaped text.
+     */
+    static escapeXml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+    }
+
+    /**
+     * Gets the earlier of two times.
+     * @private
+     * @param {number} a A time in milliseconds, or null.
+     * @param {number} b A time in milliseconds, or null.
+     * @return {number} The earlier time, or null if both are null.
+     */
+    static minTime(a, b) {
+        return a === null ? b : (b === null ? a : Math.min(a, b));
+    }
+
+    /**
+     * Gets the later of two times.
+     * @private
+     * @param {number} a A time in milliseconds, or null.
+     * @param {number} b A time in milliseconds, or null.
+     * @return {number} The later time, or null if both are null.
+     */
+    static maxTime(a, b) {
+        return a === null ? b : (b === null ? a : Math.max(a, b));
+    }
+}
+
+module.exports = BuildReport;
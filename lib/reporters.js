@@ -0,0 +1,161 @@
+"use strict";
+
+/**
+ * @module llbuild/reporters
+ * @license MIT
+ */
+
+const os = require('os');
+
+/**
+ * Receives the events of a builder and prints them. Every method is optional and is named after the event it receives,
+ * such as buildStarted, targetExecutionFailed or consoleOutput, taking the same event arguments as the listeners of the event.
+ * @interface LLBuild~Reporter
+ */
+
+/**
+ * The streams a reporter writes to.
+ * @interface LLBuild~ReporterStreams
+ * @property {stream.Writable} stdout The stream receiving the output (default is process.stdout).
+ * @property {stream.Writable} stderr The stream receiving the error output of the commands and the errors (default is process.stderr).
+ */
+
+/**
+ * Prints the output of the builder and the commands as it is, the output of the commands
+ * to the standard output or the standard error depending on the stream it was read from.
+ * @implements {LLBuild~Reporter}
+ */
+class PlainReporter {
+    /**
+     * Creates a new plain text reporter.
+     * @param {LLBuild~ReporterStreams=} streams The streams to write to.
+     */
+    constructor(streams) {
+        this.streams = Object.assign({ stdout: process.stdout, stderr: process.stderr }, streams);
+    }
+
+    /**
+     * Prints a console output.
+     * @param {Object} ev The arguments of the {@link LLBuild#consoleOutput} event.
+     */
+    consoleOutput(ev) {
+        this.write(ev.stream, ev.content);
+    }
+
+    /**
+     * Writes lines to a stream.
+     * @private
+     * @param {string=} stream Either 'stderr' to write to the standard error, or anything else to write to the standard output.
+     * @param {string} content The content to write, without the trailing line break.
+     */
+    write(stream, content) {
+        (stream === 'stderr' ? this.streams.stderr : this.streams.stdout).write(`${content}${os.EOL}`);
+    }
+}
+
+/**
+ * Prints the output like {@link PlainReporter}, with every line prefixed by the name of the target it belongs to,
+ * so that the output of targets executed in parallel can be told apart.
+ * @extends PlainReporter
+ */
+class PrefixedReporter extends PlainReporter {
+    /**
+     * Prints a console output, prefixing its lines. The line break ending the output of a command does not start a new line.
+     * @param {Object} ev The arguments of the {@link LLBuild#consoleOutput} event.
+     */
+    consoleOutput(ev) {
+        const prefix = ev.targetName ? `[${ev.targetName}] ` : '';
+        const lines = String(ev.content).split(/\r?\n/);
+        if (lines.length > 1 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        this.write(ev.stream, lines.map(line => `${prefix}${line}`).join(os.EOL));
+    }
+}
+
+/**
+ * Prints every event as a line of JSON, with the name of the event, the time it was emitted at and its arguments.
+ * Errors are printed as objects with their name, message and other properties.
+ * @implements {LLBuild~Reporter}
+ */
+class JsonReporter {
+    /**
+     * Creates a new newline delimited JSON reporter.
+     * @param {LLBuild~ReporterStreams=} streams The streams to write to. Every event is written to the standard output.
+     */
+    constructor(streams) {
+        this.streams = Object.assign({ stdout: process.stdout, stderr: process.stderr }, streams);
+        JsonReporter.EVENTS.forEach(eventName => {
+            this[eventName] = ev => this.write(eventName, ev);
+        });
+    }
+
+    /**
+     * Writes an event.
+     * @private
+     * @param {string} eventName The name of the event.
+     * @param {Object} ev The event arguments.
+     */
+    write(eventName, ev) {
+        const line = Object.assign({ event: eventName, time: new Date().toISOString() }, ev);
+        this.streams.stdout.write(`${JSON.stringify(line, JsonReporter.replaceErrors)}${os.EOL}`);
+    }
+
+    /**
+     * Converts errors to plain objects while serialising an event.
+     * @private
+     * @param {string} key The key of the value.
+     * @param {*} value The value.
+     * @return {*} The value, or an object with the name, the message and the other properties of the error.
+     */
+    static replaceErrors(key, value) {
+        return value instanceof Error ? Object.assign({ name: value.name, message: value.message }, value) : value;
+    }
+}
+
+/**
+ * The events printed by {@link JsonReporter}.
+ * @private
+ * @type {Array.<string>}
+ */
+JsonReporter.EVENTS = [
+    'buildStarted', 'buildComplete', 'buildFailed', 'buildCancelled',
+    'targetExecutionStarted', 'targetExecutionCompleted', 'targetExecutionFailed', 'targetSkipped', 'targetNotRun', 'targetRetry',
+    'commandExecuted', 'consoleOutput'
+];
+
+/**
+ * The built-in reporters, keyed by the names {@link LLBuild~LLBuildOptions}.reporter and --reporter accept.
+ * @type {Object.<string, Function>}
+ */
+const REPORTERS = {
+    plain: PlainReporter,
+    prefixed: PrefixedReporter,
+    json: JsonReporter
+};
+
+/**
+ * Creates a reporter.
+ * @param {(string|LLBuild~Reporter)} reporter The name of a built-in reporter, or a reporter object, which is returned as it is.
+ * @param {LLBuild~ReporterStreams=} streams The streams a built-in reporter writes to.
+ * @return {LLBuild~Reporter} The reporter.
+ * @throws {Error} If there is no built-in reporter with the specified name.
+ */
+function createReporter(reporter, streams) {
+    if (typeof reporter !== 'string') {
+        return reporter;
+    } else if (!Object.prototype.hasOwnProperty.call(REPORTERS, reporter)) {
+        throw new Error(`Unknown reporter: ${reporter}. The built-in reporters are ${Object.keys(REPORTERS).join(', ')}.`);
+    }
+
+    return new REPORTERS[reporter](streams);
+}
+
+module.exports = {
+    createReporter: createReporter,
+    JsonReporter: JsonReporter,
+    PlainReporter: PlainReporter,
+    PrefixedReporter: PrefixedReporter,
+    REPORTERS: REPORTERS
+};
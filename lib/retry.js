@@ -0,0 +1,84 @@
+"use strict";
+
+/**
+ * @module llbuild/retry
+ * @license MIT
+ */
+
+const errors = require('./errors.js');
+
+/**
+ * Describes how a failed target runner or command is retried.
+ * @interface LLBuild~RetryOptions
+ * @property {number=} attempts The maximum number of attempts, including the first one (default is 1, meaning no retries).
+ * @property {(number|Function)=} backoff The number of milliseconds to wait before the first retry, doubled before each further retry,
+ * or a function receiving the number of the failed attempt and its error and returning the number of milliseconds to wait (default is 0).
+ * @property {Function=} retryIf A predicate receiving the error of the failed attempt, whose exit code is its code property if a command has failed.
+ * The attempt is only retried if the predicate returns true (default is to retry every error).
+ */
+
+/**
+ * Executes an operation again after it has failed, according to {@link LLBuild~RetryOptions}.
+ */
+class RetryPolicy {
+    /**
+     * Creates a new retry policy.
+     * @param {LLBuild~RetryOptions=} options The retry options, or null to never retry.
+     */
+    constructor(options) {
+        this.options = options || {};
+    }
+
+    /**
+     * The maximum number of attempts, including the first one.
+     * @type {number}
+     */
+    get attempts() {
+        return Math.max(1, this.options.attempts || 1);
+    }
+
+    /**
+     * Executes an operation until it succeeds, the attempts are exhausted, the error is not to be retried or the scope is cancelled.
+     * @param {CancellationScope} cancellation The scope cancelling the waits between the attempts.
+     * @param {Function} operation The operation, returning a promise object.
+     * @param {Function} onRetry A callback function invoked before waiting for the next attempt with the number of the failed attempt, its error and the delay in milliseconds.
+     * @return {Promise} A promise object that will settle like the last attempt, rejecting with a {@link RetryError} if more than one attempt has failed.
+     */
+    run(cancellation, operation, onRetry) {
+        const failures = [];
+        const attempt = number => Promise.resolve().then(operation).catch(err => {
+            if (cancellation.cancelled) {
+                return Promise.reject(err);
+            }
+
+            failures.push(err);
+            if (number >= this.attempts || (this.options.retryIf && !this.options.retryIf(err))) {
+                return Promise.reject(failures.length > 1 ? new errors.RetryError(failures) : err);
+            }
+
+            const delay = this.getDelay(number, err);
+            onRetry(number, err, delay);
+            return cancellation.delay(delay).then(() => attempt(number + 1));
+        });
+
+        return attempt(1);
+    }
+
+    /**
+     * Gets the number of milliseconds to wait after a failed attempt.
+     * @private
+     * @param {number} number The number of the failed attempt, starting from 1.
+     * @param {*} err The error of the failed attempt.
+     * @return {number} The delay in milliseconds.
+     */
+    getDelay(number, err) {
+        const backoff = this.options.backoff;
+        if (typeof backoff === 'function') {
+            return Math.max(0, backoff(number, err) || 0);
+        } else {
+            return Math.max(0, (backoff || 0) * Math.pow(2, number - 1));
+        }
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * @module llbuild/watcher
+ * @license MIT
+ */
+
+const chokidar = require('chokidar');
+const path = require('path');
+
+/**
+ * Re-runs the targets affected by file changes. Created by {@link LLBuild#watch}.
+ */
+class Watcher {
+    /**
+     * Creates a new watcher.
+     * @private
+     * @param {LLBuild} builder The builder instance executing the builds.
+     * @param {string} targetName The name of the target to build.
+     * @param {Object=} context An optional context object to pass in to {@link LLBuild~targetRunner} callbacks.
+     */
+    constructor(builder, targetName, context) {
+        this.builder = builder;
+        this.targetName = targetName;
+        this.context = context;
+        this.pendingPaths = new Set();
+        this.results = new Map();
+        this.building = null;
+        this.timer = null;
+        this.fsWatcher = null;
+        this.closed = false;
+    }
+
+    /**
+     * Starts watching the files and executes the first, full build.
+     * @private
+     * @return {Promise.<Watcher>} A promise object that will resolve with the watcher after the first build has settled.
+     */
+    start() {
+        this.fsWatcher = chokidar.watch(this.builder.getWatchPatterns(this.targetName), { ignoreInitial: true });
+        this.fsWatcher.on('all', (eventName, changedPath) => this.onChange(changedPath));
+
+        return (
+            new Promise(resolve => this.fsWatcher.once('ready', resolve))
+            .then(() => this.rebuild(null))
+            .then(() => this)
+        );
+    }
+
+    /**
+     * Stops watching the files.
+     * @return {Promise} A promise object that will resolve after the watcher was closed and the build in progress, if any, has settled.
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        return Promise.resolve(this.fsWatcher ? this.fsWatcher.close() : undefined).then(() => this.building);
+    }
+
+    /**
+     * Handles a file change, debouncing bursts of changes.
+     * @private
+     * @param {string} changedPath The path of the file that has changed.
+     */
+    onChange(changedPath) {
+        if (this.closed) {
+            return;
+        }
+
+        this.pendingPaths.add(path.resolve(changedPath));
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.builder.options.watchDelay);
+    }
+
+    /**
+     * Starts a build for the pending changes, unless a build is already in progress.
+     * @private
+     */
+    flush() {
+        if (this.closed || this.building || this.pendingPaths.size === 0) {
+            return;
+        }
+
+        const changedPaths = Array.from(this.pendingPaths);
+        this.pendingPaths.clear();
+        this.rebuild(changedPaths);
+    }
+
+    /**
+     * Executes a build. Changes arriving in the meantime are queued and built afterwards.
+     * @private
+     * @param {Array.<string>} changedPaths The paths of the changed files, or null to build every target.
+     * @return {Promise} A promise object that will resolve after the build has settled.
+     */
+    rebuild(changedPaths) {
+        this.building = (
+            this.builder.executeWatchBuild(this.targetName, this.context, changedPaths, this.results)
+            .catch(err => this.builder.print(`Build of ${this.targetName} failed: ${err && err.message ? err.message : err}`, this.targetName, 'stderr'))
+            .then(() => {
+                this.building = null;
+                if (this.timer === null) {
+                    this.flush();
+                }
+            })
+        );
+
+        return this.building;
+    }
+}
+
+module.exports = Watcher;
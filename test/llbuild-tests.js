@@ -3,6 +3,7 @@
 const assert = require('assert');
 const childProcess = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const mkdirp = require('mkdirp');
 const rimraf = require('rimraf');
@@ -331,6 +332,78 @@ describe('LLBuild', function() {
             });
         });
         
+        describe('object', function() {
+            it('deps before run', function() {
+                let objs = [];
+                return new LLBuild({
+                    'a': function() { objs.push('a'); },
+                    'b': function() { objs.push('b'); }
+                }).executeAnyTarget({
+                    deps: [true, 'a', 'b'],
+                    run: function() { objs.push('run'); },
+                    description: 'Test target.',
+                    inputs: ['src/a.js'],
+                    outputs: ['lib/a.js']
+                }, 'test', null).then(function() {
+                    assert.deepStrictEqual(objs, ['a', 'b', 'run']);
+                });
+            });
+
+            it('only deps', function() {
+                let objs = [];
+                return new LLBuild({ 'a': function() { objs.push('a'); } }).executeAnyTarget({ deps: 'a' }, 'test', null).then(function() {
+                    assert.deepStrictEqual(objs, ['a']);
+                });
+            });
+
+            it('run receives context', function() {
+                const testContext = 'context_str';
+                return new LLBuild().executeAnyTarget({
+                    run: function(builder, context) {
+                        assert.strictEqual(context, testContext);
+                    }
+                }, 'test', testContext);
+            });
+
+            it('failed deps skip run', function() {
+                let didRun = false;
+                return new LLBuild().executeAnyTarget({
+                    deps: function() { return Promise.reject(new Error('Expected error.')); },
+                    run: function() { didRun = true; }
+                }, 'test', null).then(function() {
+                    return Promise.reject(new Error('Promise was not fulfilled with error.'));
+                }, function() {
+                    assert.strictEqual(didRun, false);
+                });
+            });
+
+            it('unsupported runner', function() {
+                return new LLBuild().executeAnyTarget({ run: 'a' }, 'test', null).then(function() {
+                    return Promise.reject(new Error('Promise was not fulfilled with error.'));
+                }, function() {
+                    return Promise.resolve();
+                });
+            });
+
+            it('alwaysRun', function() {
+                let count = 0;
+                return new LLBuild({
+                    'default': [true, 'clean', 'clean'],
+                    'clean': { run: function() { count++; }, alwaysRun: true }
+                }).executeTarget('default').then(function() {
+                    assert.strictEqual(count, 2);
+                });
+            });
+        });
+
+        it('unsupported', function() {
+            return new LLBuild().executeAnyTarget(42, 'test', null).then(function() {
+                return Promise.reject(new Error('Promise was not fulfilled with error.'));
+            }, function() {
+                return Promise.resolve();
+            });
+        });
+        
         it('function', function() {
             const v0 = 'hello';
             let v1 = '';
@@ -343,6 +416,1801 @@ describe('LLBuild', function() {
         });
     });
 
+    describe('#executeTarget()', function() {
+        describe('diamond dependencies', function() {
+            function makeDiamondTargets(counts) {
+                return {
+                    'default': ['babel', 'less'],
+                    'babel': [true, 'clean', function() { counts.babel++; }],
+                    'less': [true, 'clean', function() { counts.less++; }],
+                    'clean': function() {
+                        counts.clean++;
+                        return new Promise(resolve => setTimeout(resolve, 10));
+                    }
+                };
+            }
+
+            it('runs shared target once', function() {
+                const counts = { babel: 0, less: 0, clean: 0 };
+                return new LLBuild(makeDiamondTargets(counts)).executeTarget('default').then(function() {
+                    assert.deepStrictEqual(counts, { babel: 1, less: 1, clean: 1 });
+                });
+            });
+
+            it('runs shared target once per build', function() {
+                const counts = { babel: 0, less: 0, clean: 0 };
+                const llbuild = new LLBuild(makeDiamondTargets(counts));
+                return llbuild.executeTarget('default').then(() => llbuild.executeTarget('default')).then(function() {
+                    assert.deepStrictEqual(counts, { babel: 2, less: 2, clean: 2 });
+                });
+            });
+
+            it('alwaysRun', function() {
+                const counts = { babel: 0, less: 0, clean: 0 };
+                return new LLBuild(makeDiamondTargets(counts), { alwaysRun: ['clean'] }).executeTarget('default').then(function() {
+                    assert.deepStrictEqual(counts, { babel: 1, less: 1, clean: 2 });
+                });
+            });
+
+            it('shared failure', function() {
+                let count = 0;
+                const targets = {
+                    'default': ['a', 'b'],
+                    'a': 'fail',
+                    'b': 'fail',
+                    'fail': function() { count++; return Promise.reject(new Error('Expected error.')); }
+                };
+
+                return new LLBuild(targets).executeTarget('default').then(function() {
+                    return Promise.reject(new Error('Promise was not fulfilled with error.'));
+                }, function() {
+                    assert.strictEqual(count, 1);
+                });
+            });
+        });
+    });
+
+    describe('dependency cycles', function() {
+        function assertCycle(targets, targetName, expectedCycle) {
+            let didRun = false;
+            Object.keys(targets).forEach(name => {
+                if (targets[name] && targets[name].constructor === Function) {
+                    const runner = targets[name];
+                    targets[name] = function() { didRun = true; return runner.apply(this, arguments); };
+                }
+            });
+
+            return new LLBuild(targets, { quiet: true }).executeTarget(targetName).then(function() {
+                return Promise.reject(new Error('Promise was not fulfilled with error.'));
+            }, function(err) {
+                assert.ok(err instanceof LLBuild.DependencyCycleError, 'Unexpected error: ' + err);
+                assert.deepStrictEqual(err.cycle, expectedCycle);
+                assert.strictEqual(err.message, 'Dependency cycle detected: ' + expectedCycle.join(' -> '));
+                assert.strictEqual(didRun, false);
+            });
+        }
+
+        it('direct', function() {
+            return assertCycle({ 'default': 'a', 'a': 'b', 'b': 'a' }, 'default', ['default', 'a', 'b', 'a']);
+        });
+
+        it('self', function() {
+            return assertCycle({ 'default': 'default' }, 'default', ['default', 'default']);
+        });
+
+        it('serial', function() {
+            return assertCycle({
+                'default': [true, function() { }, 'a'],
+                'a': [true, 'b', function() { }],
+                'b': [true, function() { }, 'a']
+            }, 'default', ['default', 'a', 'b', 'a']);
+        });
+
+        it('parallel', function() {
+            return assertCycle({
+                'default': ['a', 'b'],
+                'a': [true, function() { }, 'b'],
+                'b': [[true, function() { }, 'a']]
+            }, 'default', ['default', 'a', 'b', 'a']);
+        });
+
+        it('object deps', function() {
+            return assertCycle({
+                'default': { deps: ['a'], run: function() { } },
+                'a': { deps: [true, 'default'] }
+            }, 'default', ['default', 'a', 'default']);
+        });
+
+        it('no false positive for diamonds', function() {
+            return new LLBuild({
+                'default': ['a', 'b'],
+                'a': 'c',
+                'b': 'c',
+                'c': function() { }
+            }).executeTarget('default');
+        });
+
+        it('#executeTargetWithName()', function() {
+            return new LLBuild({ 'a': [true, 'b'], 'b': ['a'] }).executeTargetWithName('a').then(function() {
+                return Promise.reject(new Error('Promise was not fulfilled with error.'));
+            }, function(err) {
+                assert.ok(err instanceof LLBuild.DependencyCycleError, 'Unexpected error: ' + err);
+                assert.deepStrictEqual(err.cycle, ['a', 'b', 'a']);
+            });
+        });
+    });
+
+    describe('incremental builds', function() {
+        const inputPath = path.join(testFolderPath(), 'src', 'input.txt');
+        const outputPath = path.join(testFolderPath(), 'lib', 'output.txt');
+
+        function writeFileWithTime(fpath, time) {
+            return mkdirp(path.dirname(fpath)).then(() => new Promise((resolve, reject) => {
+                fs.writeFile(fpath, 'content', err => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        fs.utimes(fpath, time, time, err => err ? reject(err) : resolve());
+                    }
+                });
+            }));
+        }
+
+        function runIncrementalTarget(inputs, outputs) {
+            const result = { ran: false, skipped: [], output: '' };
+            const llbuild = new LLBuild({
+                'build': {
+                    run: function() { result.ran = true; },
+                    inputs: inputs,
+                    outputs: outputs
+                }
+            }, { quiet: true });
+
+            llbuild.addListener('targetSkipped', ev => result.skipped.push(ev.targetName));
+            llbuild.addListener('consoleOutput', ev => { result.output += ev.content; });
+            return llbuild.executeTarget('build').then(() => result);
+        }
+
+        beforeEach(makeTestFolder);
+        afterEach(removeTestFolder);
+
+        it('skips up to date target', function() {
+            return writeFileWithTime(inputPath, 1000)
+                .then(() => writeFileWithTime(outputPath, 2000))
+                .then(() => runIncrementalTarget([path.join(testFolderPath(), 'src', '**', '*.txt')], [outputPath]))
+                .then(result => {
+                    assert.strictEqual(result.ran, false);
+                    assert.deepStrictEqual(result.skipped, ['build']);
+                    assert.strictEqual(result.output, 'build is up to date.');
+                });
+        });
+
+        it('runs target with newer input', function() {
+            return writeFileWithTime(inputPath, 2000)
+                .then(() => writeFileWithTime(outputPath, 1000))
+                .then(() => runIncrementalTarget([inputPath], [outputPath]))
+                .then(result => {
+                    assert.strictEqual(result.ran, true);
+                    assert.deepStrictEqual(result.skipped, []);
+                });
+        });
+
+        it('runs target with missing output', function() {
+            return writeFileWithTime(inputPath, 1000)
+                .then(() => writeFileWithTime(outputPath, 2000))
+                .then(() => runIncrementalTarget([inputPath], [outputPath, path.join(testFolderPath(), 'lib', '*.map')]))
+                .then(result => {
+                    assert.strictEqual(result.ran, true);
+                });
+        });
+
+        it('ignores excluded inputs', function() {
+            const generatedPath = path.join(testFolderPath(), 'src', 'generated', 'input.txt');
+            return writeFileWithTime(inputPath, 1000)
+                .then(() => writeFileWithTime(generatedPath, 3000))
+                .then(() => writeFileWithTime(outputPath, 2000))
+                .then(() => runIncrementalTarget([path.join(testFolderPath(), 'src', '**', '*.txt'), `!${path.join(testFolderPath(), 'src', 'generated')}`], [outputPath]))
+                .then(result => {
+                    assert.strictEqual(result.ran, false);
+                    assert.deepStrictEqual(result.skipped, ['build']);
+                });
+        });
+
+        it('runs target without declared inputs', function() {
+            return writeFileWithTime(outputPath, 2000)
+                .then(() => runIncrementalTarget(undefined, [outputPath]))
+                .then(result => {
+                    assert.strictEqual(result.ran, true);
+                });
+        });
+    });
+
+    describe('content-hash cache', function() {
+        const inputPath = path.join(testFolderPath(), 'input.txt');
+        const manifestPath = path.join(testFolderPath(), '.llbuild', 'cache.json');
+
+        function writeInput(content) {
+            return new Promise((resolve, reject) => fs.writeFile(inputPath, content, err => err ? reject(err) : resolve()));
+        }
+
+        function makeCachedBuilder(runs) {
+            return new LLBuild({
+                'build': {
+                    run: function(builder) {
+                        runs.push('build');
+                        return builder.executeCommand('node --version', 'build');
+                    },
+                    inputs: [inputPath],
+                    env: ['LLBUILD_TEST_MODE']
+                }
+            }, { quiet: true, cache: true, cacheManifest: manifestPath });
+        }
+
+        beforeEach(function() {
+            delete process.env.LLBUILD_TEST_MODE;
+            return makeTestFolder().then(() => writeInput('a'));
+        });
+
+        afterEach(function() {
+            delete process.env.LLBUILD_TEST_MODE;
+            return removeTestFolder();
+        });
+
+        it('skips unchanged target', function() {
+            const runs = [];
+            let skipped = [];
+            return makeCachedBuilder(runs).executeTarget('build').then(() => {
+                const llbuild = makeCachedBuilder(runs);
+                llbuild.addListener('targetSkipped', ev => skipped.push(ev.targetName));
+                return llbuild.executeTarget('build');
+            }).then(() => {
+                assert.deepStrictEqual(runs, ['build']);
+                assert.deepStrictEqual(skipped, ['build']);
+                const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+                assert.deepStrictEqual(manifest.targets.build.commands, ['node --version']);
+            });
+        });
+
+        it('runs target with changed input', function() {
+            const runs = [];
+            return makeCachedBuilder(runs).executeTarget('build')
+                .then(() => writeInput('b'))
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => {
+                    assert.deepStrictEqual(runs, ['build', 'build']);
+                });
+        });
+
+        it('runs target with changed environment', function() {
+            const runs = [];
+            return makeCachedBuilder(runs).executeTarget('build')
+                .then(() => { process.env.LLBUILD_TEST_MODE = 'release'; })
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => {
+                    assert.deepStrictEqual(runs, ['build', 'build']);
+                });
+        });
+
+        it('invalidateCache', function() {
+            const runs = [];
+            return makeCachedBuilder(runs).executeTarget('build')
+                .then(() => makeCachedBuilder(runs).invalidateCache('build'))
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => makeCachedBuilder(runs).invalidateCache())
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => {
+                    assert.deepStrictEqual(runs, ['build', 'build', 'build']);
+                });
+        });
+
+        it('runs target with changed context', function() {
+            const modes = [];
+            const makeBuilder = () => new LLBuild({
+                'build': {
+                    run: function(builder, context) {
+                        modes.push(context.mode);
+                        return builder.executeCommand(`node -e "console.log('${context.mode}')"`, 'build');
+                    },
+                    inputs: [inputPath]
+                }
+            }, { quiet: true, cache: true, cacheManifest: manifestPath });
+
+            return makeBuilder().executeTarget('build', { mode: 'debug' })
+                .then(() => makeBuilder().executeTarget('build', { mode: 'debug' }))
+                .then(() => makeBuilder().executeTarget('build', { mode: 'release' }))
+                .then(() => {
+                    assert.deepStrictEqual(modes, ['debug', 'release']);
+                });
+        });
+
+        it('skips unchanged target in another checkout', function() {
+            const cwd = process.cwd();
+            const runs = [];
+            const makeBuilder = () => new LLBuild({
+                'build': { run: function() { runs.push(process.cwd()); }, inputs: ['src/**/*.txt'] }
+            }, { quiet: true, cache: true, cacheManifest: path.join('.llbuild', 'cache.json') });
+            const checkout = name => {
+                const root = path.join(testFolderPath(), name);
+                return mkdirp(path.join(root, 'src')).then(() => fs.writeFileSync(path.join(root, 'src', 'input.txt'), 'a')).then(() => root);
+            };
+            const buildIn = root => {
+                process.chdir(root);
+                return makeBuilder().executeTarget('build').then(() => process.chdir(cwd), err => { process.chdir(cwd); return Promise.reject(err); });
+            };
+
+            return checkout('first')
+                .then(buildIn)
+                .then(() => checkout('second'))
+                .then(root => mkdirp(path.join(root, '.llbuild')).then(() => {
+                    fs.copyFileSync(path.join(testFolderPath(), 'first', '.llbuild', 'cache.json'), path.join(root, '.llbuild', 'cache.json'));
+                    return buildIn(root);
+                }))
+                .then(() => {
+                    assert.deepStrictEqual(runs, [path.join(testFolderPath(), 'first')]);
+                });
+        });
+
+        it('truncated manifest', function() {
+            const runs = [];
+            return mkdirp(path.dirname(manifestPath))
+                .then(() => new Promise((resolve, reject) => fs.writeFile(manifestPath, '{ "version": 1, "targ', err => err ? reject(err) : resolve())))
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => makeCachedBuilder(runs).executeTarget('build'))
+                .then(() => {
+                    assert.deepStrictEqual(runs, ['build']);
+                    assert.strictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).version, 1);
+                    assert.deepStrictEqual(fs.readdirSync(path.dirname(manifestPath)), ['cache.json']);
+                });
+        });
+
+        it('recovers from a failed write', function() {
+            const runs = [];
+            const llbuild = makeCachedBuilder(runs);
+            return llbuild.executeTarget('build')
+                .then(() => new Promise((resolve, reject) => rimraf(manifestPath, err => err ? reject(err) : resolve())))
+                .then(() => mkdirp(path.join(manifestPath, 'blocking')))
+                .then(() => llbuild.invalidateCache().then(() => {
+                    throw new Error('Writing the manifest was expected to fail.');
+                }, err => {
+                    assert.ok(err.code, err.stack);
+                }))
+                .then(() => new Promise((resolve, reject) => rimraf(manifestPath, err => err ? reject(err) : resolve())))
+                .then(() => llbuild.invalidateCache())
+                .then(() => {
+                    assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).targets, { });
+                    assert.deepStrictEqual(fs.readdirSync(path.dirname(manifestPath)), ['cache.json']);
+                });
+        });
+    });
+
+    describe('#watch()', function() {
+        const aPath = path.join(testFolderPath(), 'a', 'a.txt');
+        const bPath = path.join(testFolderPath(), 'b', 'b.txt');
+
+        function writeTestFile(fpath, content) {
+            return mkdirp(path.dirname(fpath)).then(() => new Promise((resolve, reject) => {
+                fs.writeFile(fpath, content, err => err ? reject(err) : resolve());
+            }));
+        }
+
+        function waitForBuilds(llbuild, count) {
+            return new Promise(resolve => {
+                let completed = 0;
+                const listener = () => {
+                    if (++completed === count) {
+                        llbuild.removeListener('buildComplete', listener);
+                        resolve();
+                    }
+                };
+
+                llbuild.addListener('buildComplete', listener);
+            });
+        }
+
+        beforeEach(function() {
+            return makeTestFolder().then(() => writeTestFile(aPath, 'a')).then(() => writeTestFile(bPath, 'b'));
+        });
+
+        afterEach(removeTestFolder);
+
+        it('re-runs affected targets', function() {
+            this.timeout(10000);
+            const runs = [];
+            const llbuild = new LLBuild({
+                'default': { deps: ['a', 'b'], run: function() { runs.push('default'); } },
+                'a': { run: function() { runs.push('a'); }, watch: [path.join(testFolderPath(), 'a', '*.txt')] },
+                'b': { run: function() { runs.push('b'); }, inputs: [path.join(testFolderPath(), 'b', '*.txt')] }
+            }, { quiet: true, watchDelay: 50 });
+
+            let buildStarted = 0;
+            llbuild.addListener('buildStarted', () => buildStarted++);
+
+            return llbuild.watch('default').then(watcher => {
+                assert.deepStrictEqual(runs.slice().sort(), ['a', 'b', 'default']);
+                runs.length = 0;
+
+                const rebuilt = waitForBuilds(llbuild, 1);
+                return writeTestFile(aPath, 'a2').then(() => rebuilt).then(() => watcher.close());
+            }).then(() => {
+                assert.deepStrictEqual(runs, ['a', 'default']);
+                assert.strictEqual(buildStarted, 2);
+            });
+        });
+
+        it('keeps the values of unaffected targets', function() {
+            this.timeout(10000);
+            const versions = [];
+            const llbuild = new LLBuild({
+                'default': {
+                    deps: ['version', 'a'],
+                    run: function(builder, context, deps) { versions.push([deps.version, builder.result('version')]); }
+                },
+                'version': { run: () => '1.2.3', watch: [bPath] },
+                'a': { run: function() { }, watch: [path.join(testFolderPath(), 'a', '*.txt')] }
+            }, { quiet: true, watchDelay: 20 });
+
+            return llbuild.watch('default').then(watcher => {
+                const rebuilt = waitForBuilds(llbuild, 1);
+                return writeTestFile(aPath, 'a2').then(() => rebuilt).then(() => {
+                    const rebuiltAgain = waitForBuilds(llbuild, 1);
+                    return writeTestFile(path.join(testFolderPath(), 'a', 'c.txt'), 'c').then(() => rebuiltAgain);
+                }).then(() => watcher.close());
+            }).then(() => {
+                assert.deepStrictEqual(versions, [['1.2.3', '1.2.3'], ['1.2.3', '1.2.3'], ['1.2.3', '1.2.3']]);
+            });
+        });
+
+        it('re-runs failed targets after an unrelated change', function() {
+            this.timeout(10000);
+            const runs = [];
+            const settled = [];
+            let broken = true;
+            const llbuild = new LLBuild({
+                'default': { deps: ['a', 'b'], run: function() { runs.push('default'); } },
+                'a': { run: function() { runs.push('a'); }, watch: [path.join(testFolderPath(), 'a', '*.txt')] },
+                'b': { run: function() { runs.push('b'); return broken ? Promise.reject(new Error('Broken.')) : undefined; }, watch: [bPath] }
+            }, { quiet: true, watchDelay: 20 });
+            llbuild.addListener('buildComplete', () => settled.push('complete'));
+            llbuild.addListener('buildFailed', () => settled.push('failed'));
+            const failureOutput = [];
+            llbuild.addListener('consoleOutput', ev => {
+                if (ev.content.startsWith('Build of default failed')) {
+                    failureOutput.push(ev.stream);
+                }
+            });
+
+            const waitForSettledBuild = () => new Promise(resolve => {
+                const count = settled.length;
+                const poll = () => settled.length > count ? resolve() : setTimeout(poll, 10);
+                poll();
+            });
+
+            return llbuild.watch('default').then(watcher => {
+                assert.deepStrictEqual(settled, ['failed']);
+                runs.length = 0;
+                const rebuilt = waitForSettledBuild();
+                return writeTestFile(aPath, 'a2').then(() => rebuilt).then(() => {
+                    assert.deepStrictEqual(runs.slice().sort(), ['a', 'b']);
+                    assert.deepStrictEqual(settled, ['failed', 'failed']);
+                    runs.length = 0;
+                    broken = false;
+                    const rebuiltAgain = waitForSettledBuild();
+                    return writeTestFile(path.join(testFolderPath(), 'a', 'c.txt'), 'c').then(() => rebuiltAgain);
+                }).then(() => watcher.close(), err => watcher.close().then(() => Promise.reject(err)));
+            }).then(() => {
+                assert.deepStrictEqual(runs.slice().sort(), ['a', 'b', 'default']);
+                assert.deepStrictEqual(settled, ['failed', 'failed', 'complete']);
+                assert.deepStrictEqual(failureOutput, ['stderr', 'stderr']);
+            });
+        });
+
+        it('queues changes during a build', function() {
+            this.timeout(10000);
+            let running = 0;
+            let overlapped = false;
+            let runs = 0;
+            let onFirstRebuild = null;
+            const llbuild = new LLBuild({
+                'default': {
+                    run: function() {
+                        runs++;
+                        overlapped = overlapped || running > 0;
+                        running++;
+                        const callback = onFirstRebuild;
+                        onFirstRebuild = null;
+                        return Promise.resolve(callback ? callback() : undefined)
+                            .then(() => new Promise(resolve => setTimeout(resolve, 200)))
+                            .then(() => { running--; });
+                    },
+                    watch: [path.join(testFolderPath(), '*', '*.txt')]
+                }
+            }, { quiet: true, watchDelay: 20 });
+
+            return llbuild.watch('default').then(watcher => {
+                onFirstRebuild = () => writeTestFile(bPath, 'b2');
+                const rebuilt = waitForBuilds(llbuild, 2);
+                return writeTestFile(aPath, 'a2').then(() => rebuilt).then(() => watcher.close());
+            }).then(() => {
+                assert.strictEqual(runs, 3);
+                assert.strictEqual(overlapped, false);
+            });
+        });
+
+        it('rejects if there is nothing to watch', function() {
+            let executed = false;
+            const llbuild = new LLBuild({
+                'default': ['a'],
+                'a': function() { executed = true; }
+            }, { quiet: true });
+
+            return llbuild.watch('default').then(watcher => watcher.close().then(() => {
+                throw new Error('Watching was expected to fail.');
+            }), err => {
+                assert.ok(err instanceof LLBuild.UsageError, err.stack);
+                assert.strictEqual(err.message, 'Nothing to watch: neither default nor the targets it depends on have watch or inputs patterns.');
+                assert.strictEqual(executed, false);
+            });
+        });
+    });
+
+    describe('jobs', function() {
+        function makeDelayedRunner(state) {
+            return function() {
+                state.running++;
+                state.maxRunning = Math.max(state.maxRunning, state.running);
+                return new Promise(resolve => setTimeout(resolve, 20)).then(() => { state.running--; });
+            };
+        }
+
+        it('limits parallel runners', function() {
+            const state = { running: 0, maxRunning: 0 };
+            const runners = [0, 1, 2, 3, 4, 5].map(() => makeDelayedRunner(state));
+            return new LLBuild({ 'default': runners }, { jobs: 2 }).executeTarget('default').then(function() {
+                assert.strictEqual(state.maxRunning, 2);
+            });
+        });
+
+        it('limits commands', function() {
+            this.timeout(10000);
+            const llbuild = new LLBuild({
+                'default': function(builder) {
+                    return Promise.all([0, 1, 2].map(() => builder.executeCommand('node -e "setTimeout(function() { }, 100)"', 'default')));
+                }
+            }, { quiet: true, jobs: 1 });
+
+            const startTime = Date.now();
+            return llbuild.executeTarget('default').then(function() {
+                assert.ok(Date.now() - startTime >= 300, 'Commands were not executed one at a time.');
+            });
+        });
+
+        it('limits static commands executed by runners', function() {
+            this.timeout(10000);
+            const executed = [];
+            const llbuild = new LLBuild({
+                'default': function() {
+                    return Promise.all([0, 1, 2].map(() => LLBuild.executeCommand('node -e "setTimeout(function() { }, 300)"', true)));
+                }
+            }, { quiet: true, jobs: 1 });
+            llbuild.addListener('commandExecuted', ev => executed.push(ev.targetName));
+
+            const startTime = Date.now();
+            return llbuild.executeTarget('default').then(function() {
+                assert.ok(Date.now() - startTime >= 900, 'Commands were not executed one at a time.');
+                assert.deepStrictEqual(executed, ['default', 'default', 'default']);
+            });
+        });
+
+        it('runner and its command share a job', function() {
+            return new LLBuild({
+                'default': [
+                    function(builder) { return builder.executeCommand('node --version', 'default'); },
+                    function(builder) { return builder.executeCommand('node --version'); }
+                ]
+            }, { quiet: true, jobs: 1 }).executeTarget('default');
+        });
+    });
+
+    describe('cancellation', function() {
+        const sleepCommand = 'node -e "setTimeout(function() { }, 10000)"';
+
+        function expectError(promise, errorClass, message) {
+            return promise.then(function() {
+                return Promise.reject(new Error('Execution was successful, but was expected to be cancelled.'));
+            }, err => {
+                assert.ok(err instanceof errorClass, err.stack);
+                assert.strictEqual(err.message, message);
+            });
+        }
+
+        it('build timeout kills the running command', function() {
+            this.timeout(5000);
+            const llbuild = new LLBuild({
+                'default': function(builder) { return builder.executeCommand(sleepCommand, 'default'); }
+            }, { quiet: true });
+
+            const cancelled = [];
+            llbuild.addListener('buildCancelled', ev => cancelled.push(ev));
+
+            const startTime = Date.now();
+            return expectError(llbuild.executeTarget('default', null, { timeout: 200 }), LLBuild.TimeoutError, "Build of 'default' timed out after 200 ms").then(function() {
+                assert.ok(Date.now() - startTime < 3000, 'The command was not killed.');
+                assert.strictEqual(cancelled.length, 1);
+                assert.strictEqual(cancelled[0].targetName, 'default');
+                assert.ok(cancelled[0].err instanceof LLBuild.TimeoutError);
+            });
+        });
+
+        it('target timeout', function() {
+            const llbuild = new LLBuild({
+                'default': ['slow'],
+                'slow': { run: () => new Promise(() => { }), timeout: 50 }
+            });
+
+            const failed = [];
+            llbuild.addListener('targetExecutionFailed', ev => failed.push(ev.targetName));
+
+            return expectError(llbuild.executeTarget('default').catch(err => Promise.reject(err.cause)), LLBuild.TimeoutError, "Target 'slow' timed out after 50 ms").then(function() {
+                assert.deepStrictEqual(failed, ['slow']);
+            });
+        });
+
+        it('command timeout kills the process tree', function() {
+            this.timeout(5000);
+            const cmd = 'node -e "require(\'child_process\').spawn(process.execPath, [\'-e\', \'setTimeout(function() { }, 10000)\'], { stdio: \'inherit\' }); setTimeout(function() { }, 10000)"';
+            const startTime = Date.now();
+            return expectError(new LLBuild({ }, { quiet: true }).executeCommand(cmd, null, { timeout: 300 }), LLBuild.TimeoutError, `'${cmd}' timed out after 300 ms`).then(function() {
+                assert.ok(Date.now() - startTime < 3000, 'The process tree was not killed.');
+            });
+        });
+
+        it('command timeout in streaming mode', function() {
+            this.timeout(5000);
+            const llbuild = new LLBuild({ }, { quiet: true, streamOutput: true });
+            return expectError(llbuild.executeCommand(sleepCommand, null, { timeout: 200 }), LLBuild.TimeoutError, `'${sleepCommand}' timed out after 200 ms`);
+        });
+
+        it('target timeout kills the commands of the target runner', function() {
+            this.timeout(5000);
+            const writeLater = fileName => `node -e "setTimeout(function() { require('fs').writeFileSync('${path.join(testFolderPath(), fileName).replace(/\\/g, '/')}', 'done'); }, 1500)"`;
+            const llbuild = new LLBuild({
+                'default': ['builder', 'static'],
+                'builder': { timeout: 300, run: builder => builder.executeCommand(writeLater('builder.txt'), null) },
+                'static': { timeout: 300, run: () => LLBuild.executeCommand(writeLater('static.txt'), true) }
+            }, { quiet: true, keepGoing: true });
+
+            return makeTestFolder().then(() => llbuild.executeTarget('default')).then(() => {
+                throw new Error('The build was expected to time out.');
+            }, () => new Promise(resolve => setTimeout(resolve, 2000))).then(function() {
+                assert.strictEqual(fs.existsSync(path.join(testFolderPath(), 'builder.txt')), false);
+                assert.strictEqual(fs.existsSync(path.join(testFolderPath(), 'static.txt')), false);
+            }).then(removeTestFolder);
+        });
+
+        it('abort signal', function() {
+            this.timeout(5000);
+            const controller = makeAbortController();
+            const llbuild = new LLBuild({
+                'default': function(builder) {
+                    setTimeout(() => controller.abort(), 100);
+                    return builder.executeCommand(sleepCommand, 'default');
+                }
+            }, { quiet: true });
+
+            return expectError(llbuild.executeTarget('default', null, { signal: controller.signal }), LLBuild.CancellationError, "Build of 'default' was cancelled");
+        });
+
+        it('signal aborted before the build', function() {
+            const controller = makeAbortController();
+            controller.abort();
+
+            let executed = false;
+            const llbuild = new LLBuild({ 'default': () => { executed = true; return Promise.resolve(); } });
+            return expectError(llbuild.executeTarget('default', null, { signal: controller.signal }), LLBuild.CancellationError, "Build of 'default' was cancelled").then(function() {
+                assert.strictEqual(executed, false);
+            });
+        });
+
+        it('#cancel()', function() {
+            this.timeout(5000);
+            const llbuild = new LLBuild({
+                'default': ['first', 'second'],
+                'first': function(builder) {
+                    setTimeout(() => builder.cancel(), 100);
+                    return builder.executeCommand(sleepCommand, 'first');
+                },
+                'second': () => Promise.reject(new Error('The build was expected to be cancelled before the second target.'))
+            }, { quiet: true });
+
+            return expectError(llbuild.executeTarget('default'), LLBuild.CancellationError, 'The build was cancelled');
+        });
+    });
+
+    describe('keep going', function() {
+        function makeTargets(executed) {
+            const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+            return {
+                'default': [true, 'lib', 'app'],
+                'lib': [false, 'a', 'b', 'c'],
+                'app': () => { executed.push('app'); return Promise.resolve(); },
+                'a': () => { executed.push('a'); return Promise.reject(new Error('a failed')); },
+                'b': () => delay(20).then(() => { executed.push('b'); return Promise.reject(new Error('b failed')); }),
+                'c': () => delay(40).then(() => { executed.push('c'); })
+            };
+        }
+
+        it('aggregates the failures of the independent targets', function() {
+            const executed = [];
+            const llbuild = new LLBuild(makeTargets(executed), { keepGoing: true, jobs: 4 });
+            const notRun = [];
+            llbuild.addListener('targetNotRun', ev => notRun.push(ev.targetName));
+
+            return llbuild.executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.ok(err instanceof LLBuild.AggregateBuildError, err.stack);
+                assert.deepStrictEqual(executed, ['a', 'b', 'c']);
+                assert.deepStrictEqual(err.failures.map(failure => failure.targetName), ['a', 'b']);
+                assert.deepStrictEqual(err.errors.map(e => e.cause.message), ['a failed', 'b failed']);
+                assert.deepStrictEqual(err.notRun, ['lib', 'default']);
+                assert.deepStrictEqual(notRun, ['lib', 'default']);
+                assert.strictEqual(err.message, ['2 targets failed:', '  default > lib > a: a failed', '  default > lib > b: b failed', 'Not run: lib, default'].join(os.EOL));
+            });
+        });
+
+        it('fail fast stops launching new work', function() {
+            const executed = [];
+            const targets = makeTargets(executed);
+            targets.lib = [false, 'late', 'd'];
+            targets.late = () => new Promise(resolve => setTimeout(resolve, 10)).then(targets.a);
+            targets.d = [true, 'c', 'b'];
+
+            return new LLBuild(targets, { jobs: 4 }).executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.strictEqual(err.cause.message, 'a failed');
+                return new Promise(resolve => setTimeout(resolve, 100)).then(() => {
+                    assert.deepStrictEqual(executed, ['a', 'c']);
+                });
+            });
+        });
+
+        it('fail fast does not start queued runners', function() {
+            const executed = [];
+            const targets = makeTargets(executed);
+            targets.lib = [false, 'a', 'c'];
+
+            return new LLBuild(targets, { jobs: 1 }).executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.strictEqual(err.cause.message, 'a failed');
+                assert.deepStrictEqual(executed, ['a']);
+            });
+        });
+    });
+
+    describe('BuildError', function() {
+        it('describes the failing target and command', function() {
+            this.timeout(10000);
+            const llbuild = new LLBuild({
+                'default': ['bundle'],
+                'bundle': { deps: ['tsc'] },
+                'tsc': function(builder) {
+                    return builder.executeCommand('node -e "console.log(\'out\'); console.error(\'err 1\'); console.error(\'err 2\'); process.exit(2)"', 'tsc');
+                }
+            }, { quiet: true, outputTailLines: 1 });
+
+            const failed = [];
+            llbuild.addListener('targetExecutionFailed', ev => failed.push(ev.err));
+
+            return llbuild.executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                assert.strictEqual(err.target, 'tsc');
+                assert.deepStrictEqual(err.chain, ['default', 'bundle', 'tsc']);
+                assert.ok(err.message.startsWith('default > bundle > tsc: '), err.message);
+                assert.strictEqual(err.command, 'node -e "console.log(\'out\'); console.error(\'err 1\'); console.error(\'err 2\'); process.exit(2)"');
+                assert.strictEqual(err.code, 2);
+                assert.strictEqual(err.signal, null);
+                assert.strictEqual(err.stdout, 'out');
+                assert.strictEqual(err.stderr, 'err 2');
+                assert.ok(err.cause instanceof Error);
+                assert.deepStrictEqual(failed, [err]);
+            });
+        });
+
+        it('in streaming mode', function() {
+            this.timeout(10000);
+            const llbuild = new LLBuild({
+                'default': function(builder) { return builder.executeCommand('node -e "console.error(\'failed\'); process.exit(3)"', 'default'); }
+            }, { quiet: true, streamOutput: true });
+
+            return llbuild.executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                assert.deepStrictEqual(err.chain, ['default']);
+                assert.strictEqual(err.code, 3);
+                assert.strictEqual(err.stderr, 'failed');
+                assert.strictEqual(err.stdout, '');
+            });
+        });
+
+        it('runner rejecting without a command', function() {
+            return new LLBuild({ 'default': () => Promise.reject('plain failure') }).executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                assert.strictEqual(err.message, 'default: plain failure');
+                assert.strictEqual(err.command, null);
+                assert.strictEqual(err.code, null);
+                assert.strictEqual(err.cause, 'plain failure');
+            });
+        });
+    });
+
+    describe('retries', function() {
+        function makeFlakyRunner(failures, calls) {
+            return function() {
+                calls.push(calls.length + 1);
+                return calls.length <= failures ? Promise.reject(new Error(`attempt ${calls.length} failed`)) : Promise.resolve();
+            };
+        }
+
+        function collectEvents(llbuild) {
+            const events = [];
+            ['targetExecutionStarted', 'targetExecutionCompleted', 'targetExecutionFailed', 'targetRetry'].forEach(eventName => {
+                llbuild.addListener(eventName, ev => events.push(eventName === 'targetRetry' ? `${eventName} ${ev.targetName} ${ev.attempt} ${ev.delay} ${ev.err.message}` : eventName));
+            });
+            return events;
+        }
+
+        it('target succeeding after retries', function() {
+            const calls = [];
+            const llbuild = new LLBuild({ 'default': { run: makeFlakyRunner(2, calls), retry: { attempts: 3, backoff: 5 } } }, { quiet: true });
+            const events = collectEvents(llbuild);
+
+            return llbuild.executeTarget('default').then(function() {
+                assert.deepStrictEqual(calls, [1, 2, 3]);
+                assert.deepStrictEqual(events, [
+                    'targetExecutionStarted',
+                    'targetRetry default 1 5 attempt 1 failed',
+                    'targetRetry default 2 10 attempt 2 failed',
+                    'targetExecutionCompleted'
+                ]);
+            });
+        });
+
+        it('target failing every attempt', function() {
+            const calls = [];
+            const llbuild = new LLBuild({ 'default': { run: makeFlakyRunner(5, calls), retry: { attempts: 2, backoff: () => 1 } } }, { quiet: true });
+            const events = collectEvents(llbuild);
+
+            return llbuild.executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                assert.ok(err.cause instanceof LLBuild.RetryError, err.cause);
+                assert.deepStrictEqual(err.cause.attempts.map(e => e.message), ['attempt 1 failed', 'attempt 2 failed']);
+                assert.strictEqual(err.cause.message, ['Failed after 2 attempts:', '  Attempt 1: attempt 1 failed', '  Attempt 2: attempt 2 failed'].join(os.EOL));
+                assert.deepStrictEqual(calls, [1, 2]);
+                assert.deepStrictEqual(events, ['targetExecutionStarted', 'targetRetry default 1 1 attempt 1 failed', 'targetExecutionFailed']);
+            });
+        });
+
+        it('predicate', function() {
+            const calls = [];
+            const llbuild = new LLBuild({ 'default': { run: makeFlakyRunner(5, calls), retry: { attempts: 3, retryIf: err => err.message !== 'attempt 2 failed' } } }, { quiet: true });
+
+            return llbuild.executeTarget('default').then(function() {
+                return Promise.reject(new Error('Build was successful, but was expected to fail.'));
+            }, err => {
+                assert.deepStrictEqual(calls, [1, 2]);
+                assert.deepStrictEqual(err.cause.attempts.map(e => e.message), ['attempt 1 failed', 'attempt 2 failed']);
+            });
+        });
+
+        it('command retried on its exit code', function() {
+            this.timeout(10000);
+            return makeTestFolder().then(function() {
+                const counterPath = path.join(testFolderPath(), 'counter.txt');
+                const cmd = `node -e "const fs = require('fs'); const p = process.argv[1]; const n = fs.existsSync(p) ? Number(fs.readFileSync(p, 'utf8')) + 1 : 1; fs.writeFileSync(p, String(n)); console.log(n); process.exit(n < 3 ? 75 : 0)" "${counterPath}"`;
+                const llbuild = new LLBuild({ }, { quiet: true });
+                const retries = [];
+                llbuild.addListener('targetRetry', ev => retries.push([ev.targetName, ev.command, ev.err.code]));
+
+                return llbuild.executeCommand(cmd, 'codegen', { retry: { attempts: 5, retryIf: err => err.code === 75 } }).then(stdout => {
+                    assert.strictEqual(removeTrailingNewLine(stdout), '3');
+                    assert.deepStrictEqual(retries, [['codegen', cmd, 75], ['codegen', cmd, 75]]);
+                });
+            }).then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        });
+
+        it('command not retried when the predicate rejects its exit code', function() {
+            this.timeout(10000);
+            const llbuild = new LLBuild({ }, { quiet: true });
+            let retries = 0;
+            llbuild.addListener('targetRetry', () => retries++);
+
+            return llbuild.executeCommand('node -e "process.exit(2)"', null, { retry: { attempts: 3, retryIf: err => err.code === 75 } }).then(function() {
+                return Promise.reject(new Error('Command was successful, but was expected to fail.'));
+            }, err => {
+                assert.ok(!(err instanceof LLBuild.RetryError), err.stack);
+                assert.strictEqual(err.code, 2);
+                assert.strictEqual(retries, 0);
+            });
+        });
+    });
+
+    describe('report', function() {
+        function makeTargets() {
+            return {
+                'default': [true, 'lib', 'app'],
+                'lib': [false, 'compile', 'lint'],
+                'compile': function(builder) { return builder.executeCommand('node -e "console.log(\'compiled\')"', 'compile'); },
+                'lint': () => Promise.reject(new Error('Lint failed.')),
+                'app': () => Promise.resolve()
+            };
+        }
+
+        function findNode(node, name) {
+            return node.name === name ? node : node.deps.map(dep => findNode(dep, name)).filter(n => n)[0];
+        }
+
+        it('JSON', function() {
+            this.timeout(10000);
+            const reportPath = path.join(testFolderPath(), 'reports', 'build.json');
+            const llbuild = new LLBuild(makeTargets(), { quiet: true, keepGoing: true, report: reportPath });
+            return makeTestFolder()
+                .then(() => llbuild.executeTarget('default'))
+                .then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                    assert.ok(err instanceof LLBuild.AggregateBuildError, err.stack);
+                    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+                    assert.strictEqual(report.status, 'failed');
+                    assert.strictEqual(report.error.message, err.message);
+                    assert.ok(report.duration >= 0);
+                    assert.strictEqual(report.targets.length, 1);
+
+                    const root = report.targets[0];
+                    assert.deepStrictEqual(root.deps.map(dep => dep.name), ['lib', 'app']);
+                    assert.strictEqual(root.status, 'notRun');
+                    assert.strictEqual(findNode(root, 'lib').status, 'notRun');
+                    assert.strictEqual(findNode(root, 'app').status, 'pending');
+
+                    const compile = findNode(root, 'compile');
+                    assert.strictEqual(compile.status, 'succeeded');
+                    assert.strictEqual(compile.attempts, 1);
+                    assert.ok(Date.parse(compile.endTime) >= Date.parse(compile.startTime));
+                    assert.strictEqual(compile.commands.length, 1);
+                    assert.strictEqual(compile.commands[0].command, 'node -e "console.log(\'compiled\')"');
+                    assert.strictEqual(compile.commands[0].exitCode, 0);
+                    assert.strictEqual(compile.commands[0].outputSize, 'compiled'.length + os.EOL.length);
+
+                    const lint = findNode(root, 'lint');
+                    assert.strictEqual(lint.status, 'failed');
+                    assert.strictEqual(lint.error.message, 'default > lib > lint: Lint failed.');
+                })
+                .then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        });
+
+        it('skipped target and command exit code', function() {
+            this.timeout(10000);
+            const reportPath = path.join(testFolderPath(), 'build.json');
+            const inputPath = path.join(testFolderPath(), 'input.txt');
+            const outputPath = path.join(testFolderPath(), 'output.txt');
+            const llbuild = new LLBuild({
+                'default': [true, 'fresh', 'broken'],
+                'fresh': { inputs: [inputPath], outputs: [outputPath], run: () => Promise.resolve() },
+                'broken': function(builder) { return builder.executeCommand('node -e "process.exit(4)"', 'broken'); }
+            }, { quiet: true, report: reportPath });
+
+            return makeTestFolder()
+                .then(() => {
+                    fs.writeFileSync(inputPath, 'input');
+                    fs.writeFileSync(outputPath, 'output');
+                    fs.utimesSync(inputPath, new Date(2000, 0, 1), new Date(2000, 0, 1));
+                })
+                .then(() => llbuild.executeTarget('default'))
+                .then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), () => {
+                    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+                    const fresh = findNode(report.targets[0], 'fresh');
+                    assert.strictEqual(fresh.status, 'skipped');
+                    assert.strictEqual(fresh.reason, 'Outputs are newer than inputs.');
+
+                    const broken = findNode(report.targets[0], 'broken');
+                    assert.strictEqual(broken.commands[0].exitCode, 4);
+                    assert.strictEqual(broken.error.exitCode, 4);
+                    assert.strictEqual(broken.error.command, 'node -e "process.exit(4)"');
+                })
+                .then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        });
+
+        it('JUnit XML', function() {
+            this.timeout(10000);
+            const reportPath = path.join(testFolderPath(), 'build.xml');
+            return makeTestFolder()
+                .then(() => new LLBuild(makeTargets(), { quiet: true, keepGoing: true, report: reportPath }).executeTarget('default'))
+                .then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), () => {
+                    const xml = fs.readFileSync(reportPath, 'utf8');
+                    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'), xml);
+                    assert.ok(xml.indexOf('<testsuites name="llbuild" tests="5" failures="1" skipped="3"') >= 0, xml);
+                    assert.ok(xml.indexOf('<testcase classname="default &gt; lib" name="compile"') >= 0, xml);
+                    assert.ok(xml.indexOf('<failure message="default &gt; lib &gt; lint: Lint failed.">') >= 0, xml);
+                })
+                .then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        });
+    });
+
+    describe('profile', function() {
+        it('Chrome trace', function() {
+            this.timeout(10000);
+            const profilePath = path.join(testFolderPath(), 'profiles', 'build.trace.json');
+            const output = [];
+            const llbuild = new LLBuild({
+                'default': [true, 'lib', 'bundle'],
+                'lib': [false, 'compile', 'copy'],
+                'compile': function(builder) { return builder.executeCommand('node -e "setTimeout(() => {}, 300)"', 'compile'); },
+                'copy': () => new Promise(resolve => setTimeout(resolve, 10)),
+                'bundle': () => Promise.resolve()
+            }, { quiet: true, jobs: 4, profile: profilePath });
+            llbuild.addListener('consoleOutput', ev => output.push(ev.content));
+            return makeTestFolder()
+                .then(() => llbuild.executeTarget('default'))
+                .then(() => {
+                    const trace = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+                    const spans = trace.traceEvents.filter(ev => ev.ph === 'X');
+                    const findSpan = name => spans.filter(ev => ev.name === name)[0];
+                    assert.deepStrictEqual(spans.map(ev => ev.name).sort(), ['bundle', 'compile', 'copy', 'node -e "setTimeout(() => {}, 300)"']);
+
+                    const compile = findSpan('compile');
+                    const copy = findSpan('copy');
+                    const command = findSpan('node -e "setTimeout(() => {}, 300)"');
+                    assert.notStrictEqual(compile.tid, copy.tid);
+                    assert.strictEqual(command.tid, compile.tid);
+                    assert.strictEqual(command.cat, 'command');
+                    assert.strictEqual(command.args.exitCode, 0);
+                    assert.ok(command.ts >= compile.ts && command.ts + command.dur <= compile.ts + compile.dur, JSON.stringify(spans));
+                    assert.ok(trace.traceEvents.some(ev => ev.ph === 'M' && ev.name === 'thread_name' && ev.tid === copy.tid));
+
+                    assert.strictEqual(trace.otherData.criticalPath, 'compile > bundle');
+                    assert.strictEqual(compile.args.criticalPath, true);
+                    assert.strictEqual(copy.args.criticalPath, undefined);
+                    assert.ok(output.indexOf(`Profile written to ${profilePath}${os.EOL}Critical path (${trace.otherData.criticalPathDuration}): ` +
+                        `compile (${Math.round(compile.dur / 1000)} ms) > bundle (${Math.round(findSpan('bundle').dur / 1000)} ms)`) >= 0, output.join(os.EOL));
+                })
+                .then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        });
+    });
+
+    describe('reporters', function() {
+        function makeStreams() {
+            const streams = { output: { stdout: '', stderr: '' } };
+            streams.stdout = { write: chunk => { streams.output.stdout += chunk; } };
+            streams.stderr = { write: chunk => { streams.output.stderr += chunk; } };
+            return streams;
+        }
+
+        const failingCommand = 'node -e "console.log(\'out\'); console.error(\'err\'); process.exit(3)"';
+
+        it('plain', function() {
+            const streams = makeStreams();
+            const llbuild = new LLBuild({
+                'default': function(builder) { return builder.executeCommand(failingCommand, 'default'); }
+            }, { reporter: new LLBuild.PlainReporter(streams) });
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), () => {
+                assert.strictEqual(streams.output.stdout, [failingCommand, `out${os.EOL}`, ''].join(os.EOL));
+                assert.strictEqual(streams.output.stderr, [`'${failingCommand}' error:`, `err${os.EOL}`, ''].join(os.EOL));
+            });
+        });
+
+        it('prefixed', function() {
+            const streams = makeStreams();
+            const llbuild = new LLBuild({
+                'default': [false, 'a', 'b'],
+                'a': function(builder) { return builder.executeCommand('node -e "console.log(\'1\'); console.log(\'2\')"', 'a'); },
+                'b': builder => Promise.resolve(builder.print('done', 'b'))
+            }, { jobs: 4, reporter: new LLBuild.PrefixedReporter(streams) });
+            return llbuild.executeTarget('default').then(() => {
+                const lines = streams.output.stdout.split(os.EOL);
+                assert.deepStrictEqual(lines.filter(line => line.startsWith('[a] ')), ['[a] node -e "console.log(\'1\'); console.log(\'2\')"', '[a] 1', '[a] 2']);
+                assert.deepStrictEqual(lines.filter(line => line.startsWith('[b] ')), ['[b] done']);
+                assert.strictEqual(streams.output.stderr, '');
+            });
+        });
+
+        it('json', function() {
+            const streams = makeStreams();
+            const llbuild = new LLBuild({
+                'default': function(builder) { return builder.executeCommand(failingCommand, 'default'); }
+            }, { reporter: new LLBuild.JsonReporter(streams) });
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), () => {
+                const events = streams.output.stdout.split(os.EOL).filter(line => line.length > 0).map(line => JSON.parse(line));
+                assert.deepStrictEqual(events.map(ev => ev.event).filter(name => name !== 'consoleOutput'),
+                    ['buildStarted', 'targetExecutionStarted', 'commandExecuted', 'targetExecutionFailed', 'buildFailed']);
+                assert.ok(events.every(ev => !isNaN(Date.parse(ev.time))));
+                assert.deepStrictEqual(events.filter(ev => ev.event === 'consoleOutput').map(ev => [ev.stream, ev.content]),
+                    [[undefined, failingCommand], ['stderr', `'${failingCommand}' error:`], ['stdout', `out${os.EOL}`], ['stderr', `err${os.EOL}`]]);
+                assert.strictEqual(events.filter(ev => ev.event === 'commandExecuted')[0].exitCode, 3);
+
+                const buildFailed = events[events.length - 1];
+                assert.strictEqual(buildFailed.err.name, 'BuildError');
+                assert.strictEqual(buildFailed.err.target, 'default');
+                assert.strictEqual(buildFailed.err.code, 3);
+                assert.strictEqual(buildFailed.err.cause.message.indexOf('Command failed'), 0);
+                assert.strictEqual(streams.output.stderr, '');
+            });
+        });
+
+        it('custom reporter and quiet', function() {
+            const received = [];
+            const reporter = {
+                targetExecutionStarted: ev => received.push(`started ${ev.targetName}`),
+                consoleOutput: ev => received.push(ev.content)
+            };
+            const targets = { 'default': builder => Promise.resolve(builder.print('hello', 'default')) };
+            return new LLBuild(targets, { reporter: reporter }).executeTarget('default')
+                .then(() => assert.deepStrictEqual(received, ['started default', 'hello']))
+                .then(() => new LLBuild(targets, { reporter: reporter, quiet: true }).executeTarget('default'))
+                .then(() => assert.deepStrictEqual(received, ['started default', 'hello']));
+        });
+
+        it('unknown reporter', function() {
+            const llbuild = new LLBuild({ 'default': () => Promise.resolve() }, { reporter: 'fancy' });
+            return Promise.resolve().then(() => llbuild.executeTarget('default')).then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                assert.strictEqual(err.message, 'Unknown reporter: fancy. The built-in reporters are plain, prefixed, json.');
+            });
+        });
+    });
+
+    describe('plugins', function() {
+        function makeRecordingPlugin(name, calls, overrides) {
+            const record = hookName => ev => { calls.push(`${name}.${hookName} ${ev.targetName}`); };
+            return Object.assign({
+                beforeBuild: record('beforeBuild'),
+                beforeTarget: record('beforeTarget'),
+                afterTarget: record('afterTarget'),
+                onError: record('onError'),
+                afterBuild: record('afterBuild')
+            }, overrides);
+        }
+
+        it('hook order', function() {
+            const calls = [];
+            const llbuild = new LLBuild({
+                'default': [true, 'a', 'b'],
+                'a': () => { calls.push('run a'); return Promise.resolve(); },
+                'b': () => { calls.push('run b'); return Promise.resolve(); }
+            }, { quiet: true });
+            llbuild.use(makeRecordingPlugin('first', calls, {
+                beforeTarget: ev => new Promise(resolve => setTimeout(() => { calls.push(`first.beforeTarget ${ev.targetName}`); resolve(); }, 10))
+            })).use(makeRecordingPlugin('second', calls));
+            return llbuild.executeTarget('default').then(() => {
+                assert.deepStrictEqual(calls, [
+                    'first.beforeBuild default', 'second.beforeBuild default',
+                    'first.beforeTarget a', 'second.beforeTarget a', 'run a', 'first.afterTarget a', 'second.afterTarget a',
+                    'first.beforeTarget b', 'second.beforeTarget b', 'run b', 'first.afterTarget b', 'second.afterTarget b',
+                    'first.afterBuild default', 'second.afterBuild default'
+                ]);
+            });
+        });
+
+        it('short-circuiting a target', function() {
+            const calls = [];
+            const skipped = [];
+            const llbuild = new LLBuild({
+                'default': [true, 'cached', 'fresh'],
+                'cached': () => { calls.push('run cached'); return Promise.resolve(); },
+                'fresh': () => { calls.push('run fresh'); return Promise.resolve(); }
+            }, { quiet: true });
+            llbuild.addListener('targetSkipped', ev => skipped.push([ev.targetName, ev.reason]));
+            llbuild.use({ beforeTarget: ev => Promise.resolve(ev.targetName === 'cached' ? 'found in the remote cache' : undefined) });
+            llbuild.use({ beforeTarget: ev => { calls.push(`beforeTarget ${ev.targetName}`); } });
+            return llbuild.executeTarget('default').then(() => {
+                assert.deepStrictEqual(calls, ['beforeTarget fresh', 'run fresh']);
+                assert.deepStrictEqual(skipped, [['cached', 'found in the remote cache']]);
+            });
+        });
+
+        it('failures', function() {
+            const calls = [];
+            const llbuild = new LLBuild({
+                'default': [true, 'ok', 'broken'],
+                'ok': () => Promise.resolve(),
+                'broken': () => Promise.reject(new Error('Broken.'))
+            }, { quiet: true });
+            const errs = [];
+            llbuild.use(makeRecordingPlugin('plugin', calls, {
+                onError: ev => { errs.push(ev.err); return Promise.reject(new Error('Notification failed.')); },
+                afterBuild: ev => { errs.push(ev.err); }
+            }));
+            const output = [];
+            llbuild.addListener('consoleOutput', ev => output.push([ev.stream, ev.content]));
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                assert.strictEqual(err.message, 'default > broken: Broken.');
+                assert.deepStrictEqual(errs, [err, err]);
+                assert.deepStrictEqual(calls, ['plugin.beforeBuild default', 'plugin.beforeTarget ok', 'plugin.afterTarget ok', 'plugin.beforeTarget broken']);
+                assert.deepStrictEqual(output, [['stderr', 'The onError hook has failed: Notification failed.']]);
+            });
+        });
+
+        it('rejecting hooks', function() {
+            const runs = [];
+            const targets = { 'default': () => { runs.push('default'); return Promise.resolve(); } };
+            return new LLBuild(targets, { quiet: true }).use({ beforeTarget: () => Promise.reject(new Error('Not authorised.')) }).executeTarget('default')
+                .then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                    assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                    assert.strictEqual(err.message, 'default: Not authorised.');
+                    assert.deepStrictEqual(runs, []);
+                })
+                .then(() => new LLBuild(targets, { quiet: true }).use({ afterBuild: () => Promise.reject(new Error('Upload failed.')) }).executeTarget('default'))
+                .then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                    assert.strictEqual(err.message, 'Upload failed.');
+                    assert.deepStrictEqual(runs, ['default']);
+                });
+        });
+
+        it('wrapCommand', function() {
+            const llbuild = new LLBuild({
+                'default': function(builder) { return builder.executeCommand('node -e "console.log(process.argv[1])"', 'default'); }
+            }, { quiet: true });
+            const calls = [];
+            llbuild.use({
+                wrapCommand: (command, next) => {
+                    calls.push(`outer ${command.cmd}`);
+                    return next(Object.assign({}, command, { cmd: `${command.cmd} token` })).then(stdout => stdout.trim().toUpperCase());
+                }
+            }).use({
+                wrapCommand: (command, next) => {
+                    calls.push(`inner ${command.cmd} ${command.targetName}`);
+                    return next(command);
+                }
+            });
+            let stdout = null;
+            llbuild.addListener('commandExecuted', ev => calls.push(`executed ${ev.command}`));
+            llbuild.use({ afterTarget: ev => ev.builder.executeCommand('node -e "console.log(\'check\')"', ev.targetName).then(s => { stdout = s; }) });
+            return llbuild.executeTarget('default').then(() => {
+                assert.strictEqual(stdout, 'CHECK');
+                assert.deepStrictEqual(calls, [
+                    'outer node -e "console.log(process.argv[1])"',
+                    'inner node -e "console.log(process.argv[1])" token default',
+                    'executed node -e "console.log(process.argv[1])"',
+                    'outer node -e "console.log(\'check\')"',
+                    'inner node -e "console.log(\'check\')" token default',
+                    'executed node -e "console.log(\'check\')"'
+                ]);
+            });
+        });
+
+        it('wrapCommand does not disclose the changes', function() {
+            this.timeout(10000);
+            const reportPath = path.join(testFolderPath(), 'build.json');
+            const profilePath = path.join(testFolderPath(), 'profile.json');
+            const makeBuilder = streamOutput => {
+                const llbuild = new LLBuild({
+                    'default': [true, 'ok', 'failing'],
+                    'ok': function(builder) { return builder.executeCommand('node -e "console.log(\'ok\')"', 'ok'); },
+                    'failing': function(builder) { return builder.executeCommand('node -e "process.exit(3)"', 'failing'); }
+                }, { quiet: true, streamOutput: streamOutput, report: reportPath, profile: profilePath });
+                return llbuild.use({ wrapCommand: (command, next) => next(Object.assign({}, command, { cmd: `${command.cmd} token=SECRET123` })) });
+            };
+            const disclosed = [];
+            const check = (source, value) => {
+                if (JSON.stringify(value === undefined ? null : value).indexOf('SECRET123') >= 0) {
+                    disclosed.push(source);
+                }
+            };
+            const build = streamOutput => {
+                const llbuild = makeBuilder(streamOutput);
+                llbuild.addListener('consoleOutput', ev => check('consoleOutput', ev.content));
+                llbuild.addListener('commandExecuted', ev => check('commandExecuted', ev.command));
+                return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                    check('error', [err.message, err.stack]);
+                    check('report', fs.readFileSync(reportPath, 'utf8'));
+                    check('profile', fs.readFileSync(profilePath, 'utf8'));
+                });
+            };
+
+            return makeTestFolder()
+                .then(() => build(false))
+                .then(() => build(true))
+                .then(() => {
+                    assert.deepStrictEqual(disclosed, []);
+                })
+                .then(removeTestFolder);
+        });
+
+        it('invalid plugin', function() {
+            const llbuild = new LLBuild({ }, { quiet: true });
+            assert.throws(() => llbuild.use(null), /Plugin is expected to be an object\./);
+            assert.throws(() => llbuild.use({ beforeTarget: 'skip' }), /The beforeTarget hook of the plugin is expected to be a function\./);
+        });
+    });
+
+    describe('target values', function() {
+        it('deps argument and result()', function() {
+            const seen = [];
+            const llbuild = new LLBuild({
+                'default': [true, 'version', 'files', 'package'],
+                'version': () => Promise.resolve('1.2.3'),
+                'files': [false, 'js', 'css'],
+                'js': () => Promise.resolve(['app.js']),
+                'css': { deps: ['js'] },
+                'package': {
+                    deps: [true, 'version', 'files'],
+                    run: (builder, context, deps) => {
+                        seen.push(deps, builder.result('version'), builder.result('css'), builder.result('unknown'));
+                        return Promise.resolve(`package-${deps.version}.tgz`);
+                    }
+                }
+            }, { quiet: true });
+            return llbuild.executeTarget('default').then(value => {
+                assert.deepStrictEqual(value, ['1.2.3', [['app.js'], [['app.js']]], 'package-1.2.3.tgz']);
+                assert.deepStrictEqual(seen, [{ version: '1.2.3', files: [['app.js'], [['app.js']]] }, '1.2.3', [['app.js']], undefined]);
+                assert.strictEqual(llbuild.result('package'), 'package-1.2.3.tgz');
+            });
+        });
+
+        it('executeTarget resolves with the value of the target', function() {
+            const llbuild = new LLBuild({
+                'runner': () => Promise.resolve(42),
+                'object': { deps: 'runner', run: (builder, context, deps) => Promise.resolve(deps.runner + 1) },
+                'deps only': { deps: 'runner' },
+                'alias': 'object'
+            }, { quiet: true });
+            return Promise.all(['runner', 'object', 'deps only', 'alias'].map(name => llbuild.executeTarget(name))).then(values => {
+                assert.deepStrictEqual(values, [42, 43, 42, 43]);
+            });
+        });
+
+        it('values are kept per build', function() {
+            let counter = 0;
+            const llbuild = new LLBuild({
+                'default': ['count', 'count'],
+                'count': () => Promise.resolve(++counter)
+            }, { quiet: true });
+            return llbuild.executeTarget('default')
+                .then(value => {
+                    assert.deepStrictEqual(value, [1, 1]);
+                    return llbuild.executeTarget('default');
+                })
+                .then(value => {
+                    assert.deepStrictEqual(value, [2, 2]);
+                    assert.strictEqual(llbuild.result('count'), 2);
+                });
+        });
+
+        it('dry run', function() {
+            const llbuild = new LLBuild({ 'default': () => Promise.resolve('value') }, { quiet: true, dryRun: true });
+            return llbuild.executeTarget('default').then(value => assert.strictEqual(value, undefined));
+        });
+    });
+
+    describe('dynamic dependencies', function() {
+        it('need()', function() {
+            const runs = [];
+            const run = name => () => { runs.push(name); return Promise.resolve(name.toUpperCase()); };
+            const llbuild = new LLBuild({
+                'default': [false, 'packages', 'docs'],
+                'packages': builder => Promise.resolve(['core', 'cli']).then(names => builder.need(...names)),
+                'docs': builder => builder.need('core').then(() => builder.need('core')),
+                'core': run('core'),
+                'cli': run('cli')
+            }, { quiet: true, jobs: 1 });
+            return llbuild.executeTarget('default').then(value => {
+                assert.deepStrictEqual(value, [['CORE', 'CLI'], ['CORE']]);
+                assert.deepStrictEqual(runs.sort(), ['cli', 'core']);
+                assert.deepStrictEqual(llbuild.getNeededTargets('packages'), ['core', 'cli']);
+                assert.deepStrictEqual(llbuild.getNeededTargets('docs'), ['core']);
+                assert.deepStrictEqual(llbuild.getNeededTargets('core'), []);
+            });
+        });
+
+        it('cycles', function() {
+            const llbuild = new LLBuild({
+                'default': [true, 'a'],
+                'a': builder => builder.need('b'),
+                'b': { deps: 'c', run: () => Promise.resolve() },
+                'c': builder => builder.need('a')
+            }, { quiet: true });
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                assert.ok(err instanceof LLBuild.BuildError, err.stack);
+                assert.strictEqual(err.target, 'c');
+                assert.ok(err.cause instanceof LLBuild.DependencyCycleError, err.stack);
+                assert.deepStrictEqual(err.cause.cycle, ['c', 'a', 'b', 'c']);
+            });
+        });
+
+        it('needing itself', function() {
+            const llbuild = new LLBuild({ 'default': builder => builder.need('default') }, { quiet: true });
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                assert.deepStrictEqual(err.cause.cycle, ['default', 'default']);
+            });
+        });
+
+        it('failing dependency', function() {
+            const notRun = [];
+            const llbuild = new LLBuild({
+                'default': builder => builder.need('broken'),
+                'broken': () => Promise.reject(new Error('Broken.'))
+            }, { quiet: true, keepGoing: true });
+            llbuild.addListener('targetNotRun', ev => notRun.push(ev.targetName));
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                assert.ok(err instanceof LLBuild.AggregateBuildError, err.stack);
+                assert.deepStrictEqual(err.failures.map(failure => failure.targetName), ['broken']);
+                assert.deepStrictEqual(notRun, ['default']);
+            });
+        });
+
+        it('outside of a target runner', function() {
+            return new LLBuild({ 'a': () => Promise.resolve() }, { quiet: true }).need('a').then(() => Promise.reject(new Error('need() was expected to fail.')), err => {
+                assert.strictEqual(err.message, 'need() is expected to be called on the builder instance passed in to a target runner.');
+            });
+        });
+    });
+
+    describe('introspection and validation', function() {
+        function makeTargets(runs) {
+            return {
+                'default': [true, 'lib', 'typo'],
+                'lib': { deps: ['compile', 'compile'], run: () => { runs.push('lib'); return Promise.resolve(); } },
+                'compile': () => { runs.push('compile'); return Promise.resolve(); },
+                'orphan': () => Promise.resolve(),
+                'nothing': null
+            };
+        }
+
+        it('listTargets() and getDependencies()', function() {
+            const llbuild = new LLBuild(makeTargets([]), { quiet: true });
+            assert.deepStrictEqual(llbuild.listTargets(), ['default', 'lib', 'compile', 'orphan']);
+            assert.deepStrictEqual(llbuild.getDependencies('default'), ['lib', 'typo']);
+            assert.deepStrictEqual(llbuild.getDependencies('lib'), ['compile']);
+            assert.deepStrictEqual(llbuild.getDependencies('compile'), []);
+            assert.throws(() => llbuild.getDependencies('nothing'), /^Error: Target does not exist: nothing$/);
+        });
+
+        it('validate()', function() {
+            const llbuild = new LLBuild(Object.assign(makeTargets([]), {
+                'bad type': [42],
+                'bad runner': { run: 'npm test' },
+                'a': ['b'],
+                'b': { deps: 'a' }
+            }), { quiet: true });
+            assert.deepStrictEqual(llbuild.validate(), [
+                { type: 'missing', targetName: 'default', reference: 'typo', message: 'default references a target that does not exist: typo' },
+                { type: 'unsupported', targetName: 'bad type', message: 'bad type: Unsupported target type: number' },
+                { type: 'unsupported', targetName: 'bad runner', message: 'bad runner: Unsupported target runner type: string' },
+                { type: 'cycle', targetName: 'a', cycle: ['a', 'b', 'a'], message: 'Dependency cycle detected: a -> b -> a' },
+                { type: 'unreachable', targetName: 'orphan', message: 'orphan is not reachable from default' },
+                { type: 'unreachable', targetName: 'bad type', message: 'bad type is not reachable from default' },
+                { type: 'unreachable', targetName: 'bad runner', message: 'bad runner is not reachable from default' },
+                { type: 'unreachable', targetName: 'a', message: 'a is not reachable from default' },
+                { type: 'unreachable', targetName: 'b', message: 'b is not reachable from default' }
+            ]);
+
+            const valid = new LLBuild({ 'a': ['b'], 'b': () => Promise.resolve(), 'c': 'b' }, { quiet: true });
+            assert.deepStrictEqual(valid.validate(), []);
+            assert.deepStrictEqual(valid.validate(['a', 'c']), []);
+            assert.deepStrictEqual(valid.validate('a').map(issue => issue.message), ['c is not reachable from a']);
+            assert.deepStrictEqual(valid.validate('x').map(issue => issue.message), ['Target does not exist: x']);
+        });
+
+        it('validating before the build', function() {
+            const runs = [];
+            const llbuild = new LLBuild(makeTargets(runs), { quiet: true, validate: true });
+            return llbuild.executeTarget('default').then(() => Promise.reject(new Error('Build was successful, but was expected to fail.')), err => {
+                assert.ok(err instanceof LLBuild.ValidationError, err.stack);
+                assert.strictEqual(err.message, ['1 problem found in the targets:', '  default references a target that does not exist: typo'].join(os.EOL));
+                assert.deepStrictEqual(err.issues.map(issue => issue.type), ['missing']);
+                assert.deepStrictEqual(runs, []);
+                return llbuild.executeTarget('lib');
+            }).then(() => {
+                assert.deepStrictEqual(runs, ['compile', 'lib']);
+            });
+        });
+    });
+
+    describe('graph export', function() {
+        function compile() { return Promise.resolve(); }
+
+        function makeTargets() {
+            return {
+                'default': [true, 'lib', ['test', 'lint']],
+                'lib': { deps: ['compile', 'generate'], run: compile },
+                'compile': compile,
+                'generate': () => Promise.resolve(),
+                'test': 'lib',
+                'lint': [false, 'typo'],
+                'nothing': null
+            };
+        }
+
+        it('json', function() {
+            const graph = JSON.parse(new LLBuild(makeTargets(), { quiet: true }).exportGraph('json', 'default'));
+            assert.deepStrictEqual(graph.roots, ['default']);
+            assert.deepStrictEqual(graph.nodes, [
+                { id: 'n1', type: 'target', label: 'default' },
+                { id: 'n2', type: 'serial', label: 'serial' },
+                { id: 'n3', type: 'target', label: 'lib' },
+                { id: 'n4', type: 'parallel', label: 'parallel' },
+                { id: 'n5', type: 'target', label: 'test' },
+                { id: 'n6', type: 'target', label: 'lint' },
+                { id: 'n7', type: 'serial', label: 'serial' },
+                { id: 'n8', type: 'parallel', label: 'parallel' },
+                { id: 'n9', type: 'target', label: 'compile' },
+                { id: 'n10', type: 'target', label: 'generate' },
+                { id: 'n11', type: 'runner', label: 'compile()' },
+                { id: 'n12', type: 'missing', label: 'typo (missing)' },
+                { id: 'n13', type: 'runner', label: 'compile()' },
+                { id: 'n14', type: 'runner', label: 'generate()' }
+            ]);
+            assert.deepStrictEqual(graph.edges, [
+                { from: 'n1', to: 'n2', reference: false },
+                { from: 'n2', to: 'n3', reference: true, order: 1 },
+                { from: 'n2', to: 'n4', reference: false, order: 2 },
+                { from: 'n4', to: 'n5', reference: true },
+                { from: 'n4', to: 'n6', reference: true },
+                { from: 'n3', to: 'n7', reference: false },
+                { from: 'n7', to: 'n8', reference: false, order: 1 },
+                { from: 'n8', to: 'n9', reference: true },
+                { from: 'n8', to: 'n10', reference: true },
+                { from: 'n7', to: 'n11', reference: false, order: 2 },
+                { from: 'n5', to: 'n3', reference: true },
+                { from: 'n6', to: 'n12', reference: true },
+                { from: 'n9', to: 'n13', reference: false },
+                { from: 'n10', to: 'n14', reference: false }
+            ]);
+        });
+
+        it('subgraph', function() {
+            const llbuild = new LLBuild(makeTargets(), { quiet: true });
+            assert.deepStrictEqual(JSON.parse(llbuild.exportGraph('json', ['test', 'generate'])).nodes.map(node => node.label), [
+                'test', 'generate', 'lib', 'generate()', 'serial', 'parallel', 'compile', 'compile()', 'compile()'
+            ]);
+            assert.deepStrictEqual(JSON.parse(llbuild.exportGraph('json')).roots, ['default', 'lib', 'compile', 'generate', 'test', 'lint']);
+            assert.throws(() => llbuild.exportGraph('json', 'nothing'), /^Error: Target does not exist: nothing$/);
+            assert.throws(() => llbuild.exportGraph('svg'), /^Error: Unsupported graph format: svg\. The supported formats are dot, mermaid, json\.$/);
+        });
+
+        it('dot', function() {
+            const llbuild = new LLBuild({ 'default': [true, 'a "quoted" name', () => Promise.resolve()], 'a "quoted" name': [] }, { quiet: true });
+            assert.strictEqual(llbuild.exportGraph('dot'), [
+                'digraph llbuild {',
+                '    rankdir=LR;',
+                '    n1 [label="default", shape=box, style=bold];',
+                '    n2 [label="a \\"quoted\\" name", shape=box, style=bold];',
+                '    n3 [label="serial", shape=diamond];',
+                '    n4 [label="function", shape=ellipse];',
+                '    n1 -> n3;',
+                '    n3 -> n2 [label="1", style=dashed];',
+                '    n3 -> n4 [label="2"];',
+                '}'
+            ].join(os.EOL));
+        });
+
+        it('mermaid', function() {
+            const llbuild = new LLBuild({ 'default': ['a', 'typo'], 'a': [true, 'b', 'b'], 'b': [] }, { quiet: true });
+            assert.strictEqual(llbuild.exportGraph('mermaid', 'default'), [
+                'flowchart LR',
+                '    n1["default"]',
+                '    n2[/"parallel"/]',
+                '    n3["a"]',
+                '    n4["typo (missing)"]:::missing',
+                '    n5{{"serial"}}',
+                '    n6["b"]',
+                '    n1 --> n2',
+                '    n2 -.-> n3',
+                '    n2 -.-> n4',
+                '    n3 --> n5',
+                '    n5 -. 1 .-> n6',
+                '    n5 -. 2 .-> n6',
+                '    classDef missing stroke:#f00,stroke-dasharray:4'
+            ].join(os.EOL));
+        });
+    });
+
+    describe('#runArgs()', function() {
+        function runArgs(llbuild, args, context) {
+            const argv = process.argv;
+            const exitCode = process.exitCode;
+            const output = [];
+            llbuild.addListener('consoleOutput', ev => output.push(ev.content));
+            process.argv = [argv[0], 'build.js'].concat(args);
+
+            const restore = () => {
+                const result = { exitCode: process.exitCode, output: output };
+                process.argv = argv;
+                process.exitCode = exitCode;
+                return result;
+            };
+
+            return llbuild.runArgs(context).then(
+                value => Object.assign(restore(), { value: value }),
+                err => Object.assign(restore(), { err: err })
+            );
+        }
+
+        function makeTargets(runs) {
+            return {
+                'default': function() { runs.push('default'); },
+                'clean': { run: function() { runs.push('clean'); }, description: 'Removes the output.' },
+                'build': { deps: 'clean', run: function(builder, context) { runs.push('build'); runs.push(context); } }
+            };
+        }
+
+        it('default target', function() {
+            const runs = [];
+            return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), []).then(result => {
+                assert.strictEqual(result.err, undefined);
+                assert.deepStrictEqual(runs, ['default']);
+            });
+        });
+
+        it('several targets in one build', function() {
+            const runs = [];
+            return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), ['clean', 'build'], 'ctx').then(result => {
+                assert.strictEqual(result.err, undefined);
+                assert.deepStrictEqual(runs, ['clean', 'build', 'ctx']);
+            });
+        });
+
+        it('variables', function() {
+            const runs = [];
+            const context = { mode: 'debug', other: 1 };
+            return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), ['mode=release', 'build', 'EMPTY='], context).then(result => {
+                assert.strictEqual(result.err, undefined);
+                assert.deepStrictEqual(runs[2], { mode: 'release', other: 1, EMPTY: '' });
+                assert.strictEqual(context.mode, 'debug');
+            });
+        });
+
+        it('options', function() {
+            const llbuild = new LLBuild(makeTargets([]));
+            const reportPath = path.join(testFolderPath(), 'report.xml');
+            return runArgs(llbuild, ['-qkj', '3', '--max-buffer-size=1024', '--report', reportPath, '--report-format=json', '--reporter=prefixed', '--', 'default']).then(result => {
+                assert.strictEqual(result.err, undefined);
+                assert.strictEqual(llbuild.options.reporter, 'prefixed');
+                assert.strictEqual(llbuild.options.report, reportPath);
+                assert.deepStrictEqual(JSON.parse(fs.readFileSync(reportPath, 'utf8')).targets.map(t => t.name), ['default']);
+                assert.strictEqual(llbuild.options.reportFormat, 'json');
+                assert.strictEqual(llbuild.options.quiet, true);
+                assert.strictEqual(llbuild.options.keepGoing, true);
+                assert.strictEqual(llbuild.options.jobs, 3);
+                assert.strictEqual(llbuild.options.maxBufferSize, 1024);
+            }).then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        });
+
+        it('--list', function() {
+            const runs = [];
+            return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), ['--list']).then(result => {
+                assert.deepStrictEqual(runs, []);
+                assert.deepStrictEqual(result.output, [['default', 'clean - Removes the output.', 'build'].join(os.EOL)]);
+            });
+        });
+
+        it('--graph', function() {
+            const runs = [];
+            return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), ['--graph=json', 'build']).then(result => {
+                assert.strictEqual(result.err, undefined);
+                assert.deepStrictEqual(runs, []);
+                assert.deepStrictEqual(JSON.parse(result.output[0]).nodes.map(node => node.label), ['build', 'serial', 'clean', 'run()', 'run()']);
+            });
+        });
+
+        it('--help', function() {
+            const runs = [];
+            return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), ['-h']).then(result => {
+                assert.deepStrictEqual(runs, []);
+                assert.ok(result.output[0].startsWith('Usage: node build.js [options] [targets...] [KEY=VALUE...]'), result.output[0]);
+                assert.ok(result.output[0].indexOf('--jobs=N') >= 0, result.output[0]);
+                assert.ok(/--max-buffer-size=BYTES {2}The maximum size/.test(result.output[0]), result.output[0]);
+                const descriptionColumns = result.output[0].split(os.EOL).filter(line => line.trim().startsWith('-')).map(line => line.search(/ {2}[A-Z]/));
+                assert.deepStrictEqual(descriptionColumns.filter(column => column !== descriptionColumns[0]), []);
+            });
+        });
+
+        describe('errors', function() {
+            function assertUsageError(args, message) {
+                const runs = [];
+                return runArgs(new LLBuild(makeTargets(runs), { quiet: true }), args).then(result => {
+                    assert.strictEqual(result.err, undefined);
+                    assert.deepStrictEqual(result.output, [`${message}${os.EOL}Run with --help to see the usage.`]);
+                    assert.strictEqual(result.exitCode, 1);
+                    assert.deepStrictEqual(runs, []);
+                });
+            }
+
+            it('unknown target', function() {
+                return assertUsageError(['clean', 'typo', 'typo2'], 'Unknown targets: typo, typo2. Run with --list to see the available targets.');
+            });
+
+            it('unknown flag', function() {
+                return assertUsageError(['--verbose'], 'Unknown flag: --verbose');
+            });
+
+            it('unknown short flag', function() {
+                return assertUsageError(['-x'], 'Unknown flag: -x');
+            });
+
+            it('missing value', function() {
+                return assertUsageError(['-j'], '--jobs is expected to be followed by N.');
+            });
+
+            it('invalid value', function() {
+                return assertUsageError(['--jobs=many'], '--jobs is expected to be a positive integer, got: many');
+            });
+
+            it('build failure', function() {
+                return runArgs(new LLBuild({ 'default': function() { return Promise.reject(new Error('Expected error.')); } }, { quiet: true }), []).then(result => {
+                    assert.strictEqual(result.err.cause.message, 'Expected error.');
+                    assert.strictEqual(result.exitCode, 1);
+                });
+            });
+        });
+    });
+
+    describe('dry run', function() {
+        it('prints the execution plan', function() {
+            let didRun = false;
+            const runner = function() { didRun = true; };
+            const llbuild = new LLBuild({
+                'default': ['babel', 'less'],
+                'babel': [true, 'clean', runner],
+                'less': { deps: 'clean', run: runner },
+                'clean': runner
+            }, { quiet: true, dryRun: true });
+
+            const output = [];
+            llbuild.addListener('consoleOutput', ev => output.push(ev.content));
+
+            return llbuild.executeTarget('default').then(function() {
+                assert.strictEqual(didRun, false);
+                assert.deepStrictEqual(output, [
+                    'default',
+                    '  parallel:',
+                    '    babel',
+                    '      serial:',
+                    '        clean',
+                    '          run clean',
+                    '        run babel',
+                    '    less',
+                    '      clean (already executed)',
+                    '      run less'
+                ]);
+            });
+        });
+
+        it('does not execute commands or file operations', function() {
+            const fpath = path.join(testFolderPath(), 'dry_run_test');
+            const llbuild = new LLBuild({ }, { quiet: true, dryRun: true });
+            const output = [];
+            llbuild.addListener('consoleOutput', ev => output.push(ev.content));
+
+            return (
+                makeTestFolder()
+                .then(() => llbuild.mkdirp(fpath, null))
+                .then(() => llbuild.executeCommand('node --invalid-arg', null))
+                .then(stdout => {
+                    assert.strictEqual(stdout, '');
+                    assert.strictEqual(fs.existsSync(fpath), false);
+                    return mkdirp(fpath);
+                })
+                .then(() => llbuild.rmrf(fpath, null))
+                .then(() => {
+                    assert.strictEqual(fs.existsSync(fpath), true);
+                    assert.deepStrictEqual(output, [
+                        `[dry run] mkdir -p ${fpath}`,
+                        '[dry run] node --invalid-arg',
+                        `[dry run] rm -rf ${fpath}`
+                    ]);
+                })
+                .then(removeTestFolder)
+            );
+        });
+    });
+
     describe('executeCommand', function() {
         describe('instance', function() {
             it('success', function() {
@@ -366,6 +2234,126 @@ describe('LLBuild', function() {
             });
         });
 
+        describe('arguments', function() {
+            const script = 'console.log(JSON.stringify([process.argv.slice(1), process.cwd(), process.env.LLBUILD_MODE])); process.stdin.pipe(process.stdout)';
+
+            function collectCommands(llbuild) {
+                const commands = [];
+                llbuild.addListener('consoleOutput', ev => {
+                    if (ev.stream === undefined) {
+                        commands.push(ev.content);
+                    }
+                });
+                return commands;
+            }
+
+            [false, true].forEach(streamOutput => it(streamOutput ? 'streaming' : 'buffered', function() {
+                const llbuild = new LLBuild({ }, { quiet: true, streamOutput: streamOutput });
+                const commands = collectCommands(llbuild);
+                const args = ['-e', script, 'a b', '$HOME', 'it\'s', '"quoted"', ''];
+                const cwd = path.resolve(__dirname, '..', 'lib');
+                return llbuild.executeCommand(process.execPath, args, { targetName: 'args', cwd: cwd, env: { LLBUILD_MODE: 'test' }, input: 'input' }).then(stdout => {
+                    const lines = stdout.split(/\r?\n/);
+                    assert.deepStrictEqual(JSON.parse(lines[0]), [['a b', '$HOME', 'it\'s', '"quoted"', ''], cwd, 'test']);
+                    assert.strictEqual(lines[1], 'input');
+                    if (process.platform !== 'win32') {
+                        assert.deepStrictEqual(commands, [`${process.execPath} -e '${script}' 'a b' '$HOME' 'it'\\''s' '"quoted"' ''`]);
+                    }
+                });
+            }));
+
+            it('shell', function() {
+                const llbuild = new LLBuild({ }, { quiet: true });
+                return llbuild.executeCommand('node', ['-e', 'console.log(process.argv[1])', 'a  b'], { shell: true }).then(stdout => {
+                    assert.strictEqual(removeTrailingNewLine(stdout), 'a  b');
+                });
+            });
+
+            it('failure', function() {
+                const llbuild = new LLBuild({ }, { quiet: true });
+                return llbuild.executeCommand('node', ['-e', 'process.exit(3)']).then(() => Promise.reject(new Error('Command was successful, but was expected to fail.')), err => {
+                    const quotedScript = process.platform === 'win32' ? '"process.exit(3)"' : "'process.exit(3)'";
+                    assert.strictEqual(removeTrailingNewLine(err.message), `Command failed: node -e ${quotedScript}`);
+                    assert.strictEqual(err.cmd, `node -e ${quotedScript}`);
+                    assert.strictEqual(err.code, 3);
+                }).then(() => llbuild.executeCommand('llbuild-missing-command', [])).then(() => Promise.reject(new Error('Command was successful, but was expected to fail.')), err => {
+                    assert.strictEqual(err.code, 'ENOENT');
+                });
+            });
+
+            it('dry run, plugins and static', function() {
+                const llbuild = new LLBuild({ }, { quiet: true, dryRun: true });
+                const commands = collectCommands(llbuild);
+                const seen = [];
+                const plugin = { wrapCommand: (command, next) => { seen.push([command.file, command.args, command.targetName]); return next(command); } };
+                return llbuild.executeCommand('rm', ['-rf', 'my dir'], { targetName: 'clean' }).then(stdout => {
+                    assert.strictEqual(stdout, '');
+                    assert.deepStrictEqual(commands, [process.platform === 'win32' ? '[dry run] rm -rf "my dir"' : "[dry run] rm -rf 'my dir'"]);
+                    return new LLBuild({ }, { quiet: true }).use(plugin).executeCommand('node', ['--version'], { targetName: 'version' });
+                }).then(() => {
+                    assert.deepStrictEqual(seen, [['node', ['--version'], 'version']]);
+                    return LLBuild.executeCommand('node', ['-e', 'console.log(process.argv[1])', 'a b'], { quiet: true });
+                }).then(stdout => {
+                    assert.strictEqual(removeTrailingNewLine(stdout), 'a b');
+                });
+            });
+        });
+
+        describe('streaming', function() {
+            function collectOutput(llbuild) {
+                const output = [];
+                llbuild.addListener('consoleOutput', ev => output.push([ev.stream, ev.content]));
+                return output;
+            }
+
+            it('success', function() {
+                const llbuild = new LLBuild({ }, { quiet: true, streamOutput: true });
+                const output = collectOutput(llbuild);
+                return llbuild.executeCommand('node -e "console.log(\'a\'); console.error(\'b\'); process.stdout.write(\'c\')"', null).then(function(stdout) {
+                    assert.strictEqual(stdout, ['a', 'c'].join(os.EOL));
+                    assert.deepStrictEqual(output.slice(1).sort(), [['stderr', 'b'], ['stdout', 'a'], ['stdout', 'c']]);
+                });
+            });
+
+            it('no maxBuffer ceiling', function() {
+                this.timeout(10000);
+                const llbuild = new LLBuild({ }, { quiet: true, streamOutput: true, maxBufferSize: 1024 });
+                const output = collectOutput(llbuild);
+                return llbuild.executeCommand('node -e "for (let i = 0; i < 2000; i++) console.log(\'line \' + i)"', null).then(function() {
+                    assert.strictEqual(output.length, 2001);
+                    assert.deepStrictEqual(output[2000], ['stdout', 'line 1999']);
+                });
+            });
+
+            it('output size in bytes', function() {
+                const llbuild = new LLBuild({ }, { quiet: true, streamOutput: true });
+                let outputSize = null;
+                llbuild.addListener('commandExecuted', ev => { outputSize = ev.outputSize; });
+                return llbuild.executeCommand('node -e "process.stdout.write(\'\\u00e9\\u20ac\'); process.stderr.write(\'\\u00fc\')"', null).then(function() {
+                    assert.strictEqual(outputSize, 7);
+                });
+            });
+
+            it('resolves with the whole stdout', function() {
+                const llbuild = new LLBuild({ }, { quiet: true, streamOutput: true, outputTailLines: 2 });
+                return llbuild.executeCommand('node -e "for (let i = 0; i < 5; i++) console.log(\'line \' + i)"', null).then(function(stdout) {
+                    assert.strictEqual(stdout, ['line 0', 'line 1', 'line 2', 'line 3', 'line 4'].join(os.EOL));
+                });
+            });
+
+            it('failure', function() {
+                const llbuild = new LLBuild({ }, { quiet: true, streamOutput: true, outputTailLines: 2 });
+                return llbuild.executeCommand('node -e "for (let i = 0; i < 5; i++) console.error(\'error \' + i); process.exit(2)"', null).then(function() {
+                    return Promise.reject(new Error('Command was successful, but was expected to fail.'));
+                }, err => {
+                    assert.strictEqual(err.message.split(os.EOL).slice(1).join('|'), 'error 3|error 4');
+                    assert.ok(err.message.indexOf('exited with code: 2') >= 0, err.message);
+                    assert.strictEqual(err.code, 2);
+                    assert.strictEqual(err.stderr, ['error 3', 'error 4'].join(os.EOL));
+                });
+            });
+        });
+
         describe('static', function() {
             it('success', function() {
                 const nodeVer = process.version;
@@ -481,6 +2469,179 @@ describe('LLBuild', function() {
         });
     });
 
+    describe('file operations', function() {
+        function writeFiles(root, files) {
+            return Object.keys(files).reduce(
+                (promise, name) => promise.then(() => mkdirp(path.dirname(path.join(root, name)))).then(() => fs.writeFileSync(path.join(root, name), files[name])),
+                Promise.resolve()
+            );
+        }
+
+        function listFiles(root) {
+            return fs.readdirSync(root).reduce((files, name) => {
+                const stats = fs.lstatSync(path.join(root, name));
+                return files.concat(stats.isDirectory() ? listFiles(path.join(root, name)).map(child => `${name}/${child}`) : [name]);
+            }, []).sort();
+        }
+
+        function cleanUp(promise) {
+            return promise.then(removeTestFolder, err => removeTestFolder().then(() => Promise.reject(err)));
+        }
+
+        it('copy', function() {
+            const root = testFolderPath();
+            const llbuild = new LLBuild({ }, { quiet: true });
+            const output = [];
+            llbuild.addListener('consoleOutput', ev => output.push([ev.targetName, ev.content]));
+            return cleanUp(makeTestFolder()
+                .then(() => writeFiles(path.join(root, 'src'), { 'a.txt': 'a', 'b.png': 'b', 'sub/c.txt': 'c', 'sub/.hidden.txt': 'h', 'skip/d.txt': 'd' }))
+                .then(() => llbuild.copy(path.join(root, 'src'), path.join(root, 'all'), 'assets'))
+                .then(copied => {
+                    assert.strictEqual(copied.length, 5);
+                    assert.deepStrictEqual(listFiles(path.join(root, 'all')), ['a.txt', 'b.png', 'skip/d.txt', 'sub/.hidden.txt', 'sub/c.txt']);
+                    assert.deepStrictEqual(output, [['assets', `cp -r ${path.join(root, 'src')} ${path.join(root, 'all')}`]]);
+                    return llbuild.copy(path.join(root, 'src'), path.join(root, 'filtered'), 'assets', ['**/*.txt', '!skip/**']);
+                })
+                .then(copied => {
+                    assert.deepStrictEqual(copied, ['a.txt', 'sub/.hidden.txt', 'sub/c.txt'].map(name => path.join(root, 'filtered', name)));
+                    assert.deepStrictEqual(listFiles(path.join(root, 'filtered')), ['a.txt', 'sub/.hidden.txt', 'sub/c.txt']);
+                    return LLBuild.copy(path.join(root, 'src', 'a.txt'), path.join(root, 'single', 'a.txt'), true);
+                })
+                .then(() => {
+                    assert.strictEqual(fs.readFileSync(path.join(root, 'single', 'a.txt'), 'utf8'), 'a');
+                }));
+        });
+
+        it('copy twice', function() {
+            const root = testFolderPath();
+            const llbuild = new LLBuild({ }, { quiet: true });
+            return cleanUp(makeTestFolder()
+                .then(() => writeFiles(path.join(root, 'src'), { 'a.txt': 'a' }))
+                .then(() => llbuild.symlink('a.txt', path.join(root, 'src', 'link.txt'), 'assets'))
+                .then(() => llbuild.copy(path.join(root, 'src'), path.join(root, 'dist'), 'assets'))
+                .then(() => writeFiles(path.join(root, 'src'), { 'a.txt': 'a2' }))
+                .then(() => llbuild.copy(path.join(root, 'src'), path.join(root, 'dist'), 'assets'))
+                .then(() => {
+                    assert.ok(fs.lstatSync(path.join(root, 'dist', 'link.txt')).isSymbolicLink());
+                    assert.strictEqual(fs.readFileSync(path.join(root, 'dist', 'link.txt'), 'utf8'), 'a2');
+                }));
+        });
+
+        it('move, symlink, writeFile and readFile', function() {
+            const root = testFolderPath();
+            const llbuild = new LLBuild({ }, { quiet: true });
+            return cleanUp(makeTestFolder()
+                .then(() => llbuild.writeFile(path.join(root, 'out', 'version.txt'), '1.0.0', 'version'))
+                .then(() => llbuild.move(path.join(root, 'out'), path.join(root, 'moved', 'out'), 'version'))
+                .then(() => {
+                    assert.strictEqual(fs.existsSync(path.join(root, 'out')), false);
+                    return llbuild.symlink(path.join('out', 'version.txt'), path.join(root, 'moved', 'link.txt'), 'version');
+                })
+                .then(() => {
+                    assert.ok(fs.lstatSync(path.join(root, 'moved', 'link.txt')).isSymbolicLink());
+                    return llbuild.readFile(path.join(root, 'moved', 'link.txt'), 'version');
+                })
+                .then(content => {
+                    assert.strictEqual(content, '1.0.0');
+                    return LLBuild.readFile(path.join(root, 'moved', 'out', 'version.txt'), true, null);
+                })
+                .then(content => {
+                    assert.ok(Buffer.isBuffer(content));
+                    return LLBuild.writeFile(path.join(root, 'static.txt'), Buffer.from('static'), true);
+                })
+                .then(() => LLBuild.move(path.join(root, 'static.txt'), path.join(root, 'renamed.txt'), true))
+                .then(() => LLBuild.symlink('renamed.txt', path.join(root, 'static-link.txt'), true))
+                .then(() => {
+                    assert.strictEqual(fs.readFileSync(path.join(root, 'static-link.txt'), 'utf8'), 'static');
+                }));
+        });
+
+        it('remove', function() {
+            const root = testFolderPath();
+            const llbuild = new LLBuild({ }, { quiet: true });
+            const toPosix = p => p.replace(/\\/g, '/');
+            return cleanUp(makeTestFolder()
+                .then(() => writeFiles(root, { 'a.js': '', 'b.js': '', 'keep.js': '', 'lib/c.js': '', 'lib/d.txt': '', '.e.js': '' }))
+                .then(() => llbuild.remove([`${toPosix(root)}/**/*.js`, `!${toPosix(root)}/keep.js`], 'clean'))
+                .then(removed => {
+                    assert.deepStrictEqual(removed, ['.e.js', 'a.js', 'b.js', 'lib/c.js'].map(name => `${toPosix(root)}/${name}`));
+                    assert.deepStrictEqual(listFiles(root), ['keep.js', 'lib/d.txt']);
+                    return LLBuild.remove(`${toPosix(root)}/lib`, true);
+                })
+                .then(removed => {
+                    assert.deepStrictEqual(removed, [`${toPosix(root)}/lib`]);
+                    assert.deepStrictEqual(listFiles(root), ['keep.js']);
+                }));
+        });
+
+        it('dry run', function() {
+            const root = testFolderPath();
+            const llbuild = new LLBuild({ }, { quiet: true, dryRun: true });
+            const output = [];
+            llbuild.addListener('consoleOutput', ev => output.push(ev.content));
+            return cleanUp(makeTestFolder()
+                .then(() => writeFiles(root, { 'a.txt': 'a' }))
+                .then(() => Promise.all([
+                    llbuild.copy(path.join(root, 'a.txt'), path.join(root, 'b.txt'), 'dry', '*.txt'),
+                    llbuild.move(path.join(root, 'a.txt'), path.join(root, 'c.txt'), 'dry'),
+                    llbuild.symlink('a.txt', path.join(root, 'd.txt'), 'dry'),
+                    llbuild.writeFile(path.join(root, 'e.txt'), 'e', 'dry'),
+                    llbuild.readFile(path.join(root, 'a.txt'), 'dry'),
+                    llbuild.remove(path.join(root, '*.txt').replace(/\\/g, '/'), 'dry')
+                ]))
+                .then(results => {
+                    assert.deepStrictEqual(results.slice(0, 4), [[], undefined, undefined, undefined]);
+                    assert.strictEqual(results[4], 'a');
+                    assert.strictEqual(results[5].length, 1);
+                    assert.deepStrictEqual(listFiles(root), ['a.txt']);
+                    assert.deepStrictEqual(output.map(line => line.substr(0, line.indexOf(root)).trim()), [
+                        '[dry run] cp -r', '[dry run] mv', '[dry run] ln -s a.txt', '[dry run] write', '[dry run] read', '[dry run] rm -rf'
+                    ]);
+                }));
+        });
+    });
+
+    describe('glob', function() {
+        beforeEach(() => makeTestFolder().then(() => Promise.all(['b.less', 'a.less', '.hidden.less', 'lib/c.less', 'lib/_partial.less', 'lib/deep/d.less', 'lib/.cache/e.less', 'vendor/f.less']
+            .map(name => mkdirp(path.dirname(path.join(testFolderPath(), name))).then(() => fs.writeFileSync(path.join(testFolderPath(), name), ''))))));
+        afterEach(removeTestFolder);
+
+        it('instance', function() {
+            const llbuild = new LLBuild({ }, { quiet: true });
+            const cwd = testFolderPath();
+            return llbuild.glob('**/*.less', { cwd: cwd }).then(files => {
+                assert.deepStrictEqual(files, ['a.less', 'b.less', 'lib/_partial.less', 'lib/c.less', 'lib/deep/d.less', 'vendor/f.less']);
+                return llbuild.glob(['**/*.less', '*.less', '!**/_*.less', '!vendor'], { cwd: cwd, dot: true });
+            }).then(files => {
+                assert.deepStrictEqual(files, ['.hidden.less', 'a.less', 'b.less', 'lib/.cache/e.less', 'lib/c.less', 'lib/deep/d.less']);
+                return llbuild.glob(['lib/*', 'missing.less'], { cwd: cwd, nodir: true, absolute: true });
+            }).then(files => {
+                assert.deepStrictEqual(files, ['lib/_partial.less', 'lib/c.less'].map(name => path.join(cwd, name).replace(/\\/g, '/')));
+                return llbuild.glob(['lib/*', 'vendor'], { cwd: cwd });
+            }).then(files => {
+                assert.deepStrictEqual(files, ['lib/_partial.less', 'lib/c.less', 'lib/deep', 'vendor']);
+            });
+        });
+
+        it('static', function() {
+            return LLBuild.glob(['*.less', '!a.less'], { cwd: testFolderPath() }).then(files => {
+                assert.deepStrictEqual(files, ['b.less']);
+            });
+        });
+
+        it('rmrf', function() {
+            const root = testFolderPath().replace(/\\/g, '/');
+            return new LLBuild({ }, { quiet: true }).rmrf([`${root}/**/*.less`, `!${root}/lib/deep/**`], null).then(() => {
+                return LLBuild.glob('**', { cwd: root, dot: true, nodir: true });
+            }).then(files => {
+                assert.deepStrictEqual(files, ['lib/deep/d.less']);
+                return LLBuild.rmrf(`${root}/lib`, true);
+            }).then(() => {
+                assert.deepStrictEqual(fs.readdirSync(root).sort(), ['vendor']);
+            });
+        });
+    });
+
     describe('events', function() {
         it('targetExecutionStarted', function() {
             const targets = {
@@ -732,6 +2893,33 @@ describe('exit code', function() {
 
         })).then(removeTestFolder);
     });
+
+    it('invalid arguments', function() {
+        this.timeout(10000);
+        const buildJsPath = path.join(testFolderPath(), 'build.js');
+        const run = (args, message) => new Promise(resolve => {
+            const cp = childProcess.exec(`node "${buildJsPath}" ${args}`, (err, stdout, stderr) => {
+                assert.strictEqual(cp.exitCode, 1);
+                assert.strictEqual(stdout, '');
+                assert.strictEqual(stderr, `${message}${os.EOL}Run with --help to see the usage.${os.EOL}`);
+                resolve();
+            });
+        });
+
+        return makeTestFolder().then(() => new Promise((resolve, reject) => {
+            fs.writeFile(
+                buildJsPath, (
+                    'const LLBuild = require(\'../../index.js\');\n' +
+                    'new LLBuild({ \'default\': () => console.log(\'default\') }).runArgs();\n'
+                ),
+                err => err ? reject(err) : resolve()
+            );
+        }))
+        .then(() => run('typo', 'Unknown target: typo. Run with --list to see the available targets.'))
+        .then(() => run('--verbose', 'Unknown flag: --verbose'))
+        .then(() => run('-j', '--jobs is expected to be followed by N.'))
+        .then(removeTestFolder);
+    });
 });
 
 describe('typings', function() {
@@ -745,6 +2933,30 @@ function removeTrailingNewLine(str) {
     return str.replace(/(\n|\r)+$/, '');
 }
 
+// A minimal AbortController, which Node.js has only had since version 15.
+function makeAbortController() {
+    const listeners = [];
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => {
+            if (listeners.indexOf(listener) >= 0) {
+                listeners.splice(listeners.indexOf(listener), 1);
+            }
+        }
+    };
+
+    return {
+        signal: signal,
+        abort: () => {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                listeners.slice().forEach(listener => listener({ type: 'abort' }));
+            }
+        }
+    };
+}
+
 function testFolderPath() {
     return path.resolve(__dirname, 'tmp');
 }
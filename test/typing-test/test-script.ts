@@ -7,7 +7,21 @@ const targets = {
     'test1': null,
     'test2': undefined,
     'test3': testRunner,
-    'test4': testRunner2
+    'test4': testRunner2,
+    'test7': (builder: LLBuild) => builder.need('test3', 'test4').then((values: any[]) => builder.print(`${values.length}`)),
+    'test6': (builder: LLBuild, context: any, deps: { [targetName: string]: any }) => Promise.resolve(`${deps.test3} ${builder.result('test4')}`),
+    'test5': {
+        deps: [true, 'test3', 'test4'],
+        run: testRunner,
+        description: 'Runs the tests.',
+        inputs: ['src/index.ts'],
+        outputs: ['lib/index.js'],
+        env: ['NODE_ENV'],
+        watch: ['src/**/*.ts'],
+        alwaysRun: true,
+        timeout: 60000,
+        retry: { attempts: 3, backoff: (attempt: number) => attempt * 100, retryIf: (err: any) => err.code !== 2 }
+    }
 };
 
 function testRunner(): Promise<void> {
@@ -26,6 +40,8 @@ function testRunner2(builder: LLBuild, context: any): Promise<void> {
 }
 
 const builder = new LLBuild(targets);
+const cachedBuilder = new LLBuild(targets, { cache: true, cacheManifest: 'test/cache.json', jobs: 2, keepGoing: true, validate: true, report: 'test/report.xml', reportFormat: 'junit', profile: 'test/build.trace.json', dryRun: false, streamOutput: true, outputTailLines: 10 });
+cachedBuilder.invalidateCache('test5').then(() => cachedBuilder.invalidateCache());
 
 builder.addListener('targetExecutionStarted', (ev: llbuild.TargetExecutionStartedEventArgs) => { });
 builder.addListener('targetExecutionStarted', () => { });
@@ -33,15 +49,89 @@ builder.addListener('targetExecutionCompleted', (ev: llbuild.TargetExecutionComp
 builder.addListener('targetExecutionCompleted', () => { });
 builder.addListener('targetExecutionFailed', (ev: llbuild.TargetExecutionFailedEventArgs) => { });
 builder.addListener('targetExecutionFailed', () => { });
+builder.addListener('consoleOutput', (ev: llbuild.ConsoleOutputEventArgs) => { if (ev.stream === 'stderr') { builder.removeAllListeners(); } });
+builder.addListener('targetSkipped', (ev: llbuild.TargetSkippedEventArgs) => { builder.print(ev.reason, ev.targetName); });
 
-builder.executeTarget('all', { q: 123 } ).then(() => { });
+builder.addListener('buildCancelled', (ev: llbuild.BuildCancelledEventArgs) => { builder.print(ev.err.message, ev.targetName); });
+
+builder.addListener('targetNotRun', (ev: llbuild.TargetNotRunEventArgs) => { builder.print(ev.targetName); });
+
+const reporter: llbuild.Reporter = { consoleOutput: (ev: llbuild.ConsoleOutputEventArgs) => { }, buildFailed: ev => { builder.print(ev.err.message, ev.targetName, 'stderr'); } };
+new LLBuild(targets, { reporter: reporter });
+new LLBuild(targets, { reporter: 'prefixed' });
+new LLBuild(targets, { reporter: new LLBuild.JsonReporter({ stdout: { write: (chunk: string) => chunk.length > 0 } }) });
+new LLBuild(targets, { reporter: new LLBuild.PrefixedReporter() });
+
+builder.use({
+    beforeBuild: (ev: llbuild.BuildHookArgs) => { ev.builder.print(ev.targetName); },
+    beforeTarget: (ev: llbuild.TargetHookArgs) => Promise.resolve(ev.targetName === 'test5' ? 'cached remotely' : undefined),
+    afterTarget: (ev: llbuild.TargetHookArgs) => Promise.resolve(ev.context),
+    onError: (ev: llbuild.TargetHookArgs) => { builder.print(ev.err ? ev.err.chain.join(' > ') : ''); },
+    afterBuild: (ev: llbuild.BuildHookArgs) => { builder.print(ev.err ? ev.err.message : 'done'); },
+    wrapCommand: (command: llbuild.HookCommand, next: (command: llbuild.HookCommand) => Promise<string>) => next(Object.assign({}, command, { cmd: `${command.cmd} --verbose` }))
+}).use({ });
+
+builder.listTargets().forEach((name: string) => builder.print(builder.getDependencies(name).join(', ')));
+builder.validate().concat(builder.validate('all'), builder.validate(['all', 'test5'])).forEach((issue: llbuild.ValidationIssue) => builder.print(issue.message));
+builder.print(builder.exportGraph('dot') + builder.exportGraph('mermaid', 'all') + builder.exportGraph('json', ['all', 'test5']));
+builder.executeTarget('test6').then((value: string) => builder.print(value));
+builder.executeTarget('test7').then(() => builder.print(builder.getNeededTargets('test7').join(', ')));
+builder.watch('test5').then((watcher: llbuild.Watcher) => watcher.close());
+builder.executeTarget('all', { q: 123 } ).then(() => { }, (err: Error) => {
+    if (err instanceof LLBuild.DependencyCycleError) {
+        builder.print(err.cycle.join(' -> '));
+    } else if (err instanceof LLBuild.ValidationError) {
+        err.issues.forEach((issue: llbuild.ValidationIssue) => builder.print(`${issue.type} ${issue.message} ${issue.reference} ${issue.cycle}`, issue.targetName));
+    } else if (err instanceof LLBuild.UsageError) {
+        builder.print(err.message);
+    } else if (err instanceof LLBuild.BuildError) {
+        builder.print(`${err.chain.join(' > ')} ${err.command} ${err.code} ${err.signal} ${err.stdout} ${err.stderr} ${err.cause}`, err.target);
+    } else if (err instanceof LLBuild.AggregateBuildError) {
+        err.failures.forEach((failure: llbuild.TargetFailure) => builder.print(failure.err.message, failure.targetName));
+        builder.print(`${err.errors.length} ${err.notRun.join(', ')}`);
+    }
+});
+
+const controller = new AbortController();
+builder.executeTarget('test5', null, { signal: controller.signal, timeout: 1000 }).catch((err: Error) => {
+    if (err instanceof LLBuild.TimeoutError) {
+        builder.print(`${err.timeout}`);
+    } else if (err instanceof LLBuild.CancellationError) {
+        builder.print(err.message);
+    }
+});
+builder.executeCommand('sleep 10', 'test5', { timeout: 500, retry: { attempts: 2, backoff: 100 } }).catch((err: Error) => {
+    if (err instanceof LLBuild.RetryError) {
+        builder.print(`${err.attempts.length} ${err.code}`);
+    }
+});
+builder.addListener('commandExecuted', (ev: llbuild.CommandExecutedEventArgs) => { builder.print(`${ev.command} ${ev.exitCode} ${ev.signal} ${ev.outputSize} ${ev.duration}`, ev.targetName); });
+builder.addListener('targetRetry', (ev: llbuild.TargetRetryEventArgs) => { builder.print(`${ev.command} ${ev.attempt} ${ev.delay} ${ev.err}`, ev.targetName); });
+controller.abort();
+builder.cancel();
 
 LLBuild.executeCommand('touch test/exec_static0.txt');
 LLBuild.executeCommand('touch test/exec_static0.txt', false);
 LLBuild.executeCommand('touch test/exec_static0.txt', true, 4096);
+LLBuild.executeCommand('touch', ['test/exec static1.txt'], { cwd: '.', quiet: true });
+builder.executeCommand('node', ['-e', 'process.stdin.pipe(process.stdout)'], { targetName: 'test5', env: { MODE: 'test' }, input: 'hello', shell: false, timeout: 500 });
 
 LLBuild.mkdirp('test/test2');
 LLBuild.mkdirp('test/test3', true);
 
 LLBuild.rmrf('test/test4');
-LLBuild.rmrf('test/test5', true);
\ No newline at end of file
+LLBuild.rmrf('test/test5', true);
+LLBuild.rmrf(['test/*.tmp', '!test/keep.tmp'], true);
+builder.copy('test/src', 'test/dest', 'test5', ['**/*.txt', '!**/skip.txt'])
+    .then((copied: string[]) => builder.move(copied[0], 'test/moved.txt'))
+    .then(() => builder.symlink('moved.txt', 'test/link.txt', 'test5'))
+    .then(() => builder.writeFile('test/written.txt', 'content', 'test5'))
+    .then(() => builder.readFile('test/written.txt', 'test5'))
+    .then((content: string) => builder.readFile('test/written.txt', null, null).then((buffer: Uint8Array) => builder.print(`${content} ${buffer.length}`)))
+    .then(() => builder.remove(['test/*.txt', '!test/hello.txt'], 'test5'))
+    .then((removed: string[]) => builder.print(removed.join(', ')));
+LLBuild.copy('test/src', 'test/dest2', true).then(() => LLBuild.move('test/dest2', 'test/dest3', true));
+LLBuild.symlink('dest3', 'test/link3', true).then(() => LLBuild.writeFile('test/static.txt', new Uint8Array(1), true));
+LLBuild.readFile('test/static.txt', true, 'latin1').then((content: string) => LLBuild.remove(content, true));
+builder.glob(['test/**/*.txt', '!test/skip/**'], { cwd: '.', dot: true, nodir: true, absolute: false }).then((files: string[]) => builder.rmrf(files, 'test5'));
+LLBuild.glob('test/*').then((files: string[]) => builder.print(files.join(', ')));
\ No newline at end of file